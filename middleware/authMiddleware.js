@@ -1,15 +1,159 @@
 // middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const { isSessionActive, accountBlockReason, JWT_ISSUER } = require('../utils/sessions');
+const { capabilitiesFor, can } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { verifyApiKey, touchApiKey } = require('../utils/apiKeys');
+const { consentsDue } = require('../utils/consent');
+const { institutionForEmail, institutionForEmailSync, campusInstitutionsFor } = require('../utils/institutions');
 
-const isMsuiitG = (email = "") => /@g\.msuiit\.edu\.ph$/i.test(String(email));
+// member address of any active institution (last-loaded directory; see utils/institutions.js)
+const isInstitutionEmail = (email = "") => !!institutionForEmailSync(String(email));
 const SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || "change-me";
-const JWT_ISSUER = "repo-api"; // keep consistent with your token minting
 const CLOCK_TOLERANCE = 10;    // seconds of leeway
 
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// writes an impersonation token may always make (ending the session)
+const IMPERSONATION_WRITE_PATHS = ['/api/auth/logout'];
+// sign-in methods and second factors belong to the account owner: refused
+// to impersonation tokens even when they allow writes
+const OWNER_ONLY_PATHS = [
+  /^\/api\/auth\/passkeys(\/|$)/,
+  /^\/api\/auth\/totp(\/|$)/,
+  /^\/api\/auth\/phone\/verify\//,
+  /^\/api\/auth\/otp-channel$/,
+  /^\/api\/auth\/email-change\//,
+  /^\/api\/auth\/change-password$/,
+];
+// reachable while a new privacy notice / terms version is waiting to be accepted
+const CONSENT_EXEMPT_PATHS = [
+  '/api/auth/logout', '/api/auth/me', '/api/consent/me', '/api/consent/accept',
+  // data-subject rights don't depend on accepting new terms
+  '/api/auth/me/export', '/api/auth/me/erasure',
+];
+
+/**
+ * Verifies a Bearer access token and its server-side session.
+ * Returns `{ user }` on success or `{ status, error }` when rejected;
+ * JWT errors (bad signature, expiry) are thrown to the caller.
+ */
+async function resolveBearer(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: JWT_ISSUER,
+    clockTolerance: CLOCK_TOLERANCE,
+  });
+
+  if (!decoded?.id || !decoded?.email || !decoded?.role) {
+    return { status: 400, error: 'Malformed token' };
+  }
+
+  // 🔒 tokens without a live session (logged out, revoked, pre-session tokens) are refused
+  if (!(await isSessionActive(decoded.sid, decoded.id))) {
+    return { status: 401, error: 'Session expired or revoked' };
+  }
+
+  // live account state (role, college scope) rather than what the token remembers
+  const account = await User.findById(decoded.id)
+    .select('email role institution college scopeColleges status accountExpiresAt consents')
+    .lean();
+  if (!account) {
+    return { status: 401, error: 'Account not found' };
+  }
+  const blocked = accountBlockReason(account);
+  if (blocked) {
+    return { status: 401, error: blocked };
+  }
+
+  // 🕵️ "view as user" token: the admin behind it must still be allowed to
+  const { imp, ...claims } = decoded;
+  let impersonator = null;
+  if (imp) {
+    const admin = await User.findById(imp.by).select('email role status accountExpiresAt').lean();
+    const adminCaps = admin && !accountBlockReason(admin) ? await capabilitiesFor(admin.role) : [];
+    if (!adminCaps.includes('users.impersonate')) {
+      return { status: 401, error: 'Impersonation is no longer allowed' };
+    }
+    impersonator = { id: String(admin._id), email: admin.email, writes: !!imp.writes };
+  }
+
+  // the account's current address (it can change after the token was issued)
+  const email = String(account.email || decoded.email).toLowerCase();
+  const colleges = account.scopeColleges?.length ? account.scopeColleges : [account.college];
+  // campus = member of an institution by address; guests never are, whatever their address
+  const member = account.role === 'guest' ? null : await institutionForEmail(email);
+  const isCampus = !!member;
+  return {
+    user: {
+      ...claims,
+      email,
+      role: account.role,
+      college: account.college || '',
+      colleges: [...new Set(colleges.filter(Boolean))],
+      institution: member?.code || account.institution || '',
+      affiliation: isCampus ? member.shortName || member.code : 'external',
+      isCampus,
+      // institutions whose "campus" records this user may see (own + sharing with it)
+      campusInstitutions: isCampus ? await campusInstitutionsFor(member.code) : [],
+      permissions: await capabilitiesFor(account.role),
+      impersonator,
+      // an admin viewing as the user can't accept on their behalf
+      consentsDue: impersonator ? [] : await consentsDue(account),
+    },
+  };
+}
+
+/**
+ * Audits every request made with an impersonation token and refuses writes
+ * unless the token allows them (never to sign-in methods or second factors).
+ * Returns false when it has already responded.
+ */
+function guardImpersonation(req, res) {
+  const imp = req.user?.impersonator;
+  if (!imp) return true;
+
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+  res.on('finish', () => {
+    recordAudit(req, {
+      action: 'impersonation.request',
+      targetType: 'User',
+      targetId: req.user.id,
+      details: { method: req.method, path, status: res.statusCode },
+    }).catch(err => console.error('❌ Impersonation audit failed:', err?.message || err));
+  });
+
+  if (READ_METHODS.includes(req.method)) return true;
+  if (OWNER_ONLY_PATHS.some(re => re.test(path))) {
+    res.status(403).json({ error: 'Only the account owner can change sign-in methods', impersonating: true });
+    return false;
+  }
+  if (!imp.writes && !IMPERSONATION_WRITE_PATHS.includes(path)) {
+    res.status(403).json({ error: 'Read-only while viewing as another user', impersonating: true });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Holds back every request (except the consent endpoints) until the user
+ * accepts the current privacy notice / terms. Returns false when it responded.
+ */
+function guardConsent(req, res) {
+  const due = req.user?.consentsDue || [];
+  if (!due.length) return true;
+
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+  if (CONSENT_EXEMPT_PATHS.includes(path)) return true;
+
+  res.status(403).json({ error: 'Please review and accept the updated terms', consentRequired: due });
+  return false;
+}
+
 function authorize(allowedRoles = []) {
   if (typeof allowedRoles === 'string') allowedRoles = [allowedRoles];
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       const hdr = req.headers.authorization || '';
       // ✅ Accept Bearer header or ?token= query param for GETs
@@ -21,22 +165,13 @@ function authorize(allowedRoles = []) {
         return res.status(401).json({ error: 'Missing or invalid token' });
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-        issuer: JWT_ISSUER,
-        clockTolerance: CLOCK_TOLERANCE,
-      });
-
-      if (!decoded?.id || !decoded?.email || !decoded?.role) {
-        return res.status(400).json({ error: 'Malformed token' });
+      const result = await resolveBearer(token);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
-
-      const email = String(decoded.email).toLowerCase();
-      req.user = {
-        ...decoded,
-        email,
-        affiliation: isMsuiitG(email) ? 'MSU-IIT' : 'external',
-        isCampus: isMsuiitG(email),
-      };
+      req.user = result.user;
+      if (!guardImpersonation(req, res)) return;
+      if (!guardConsent(req, res)) return;
 
       if (allowedRoles.length && !allowedRoles.includes(req.user.role)) {
         return res.status(403).json({ error: 'Forbidden: insufficient privileges' });
@@ -50,6 +185,26 @@ function authorize(allowedRoles = []) {
   };
 }
 
+/**
+ * Capability gate (see utils/permissions.js). Authenticates like `authorize()`,
+ * then requires at least one of `required`, e.g.
+ *   requirePermission('research.publish')
+ *   requirePermission(['research.review', 'research.manage'])
+ */
+function requirePermission(required = []) {
+  if (typeof required === 'string') required = [required];
+  const authenticate = authorize();
+
+  return (req, res, next) =>
+    authenticate(req, res, (err) => {
+      if (err) return next(err);
+      if (required.length && !can(req.user, required)) {
+        return res.status(403).json({ error: 'Forbidden: insufficient privileges' });
+      }
+      return next();
+    });
+}
+
 
 /**
  * Accepts:
@@ -57,27 +212,20 @@ function authorize(allowedRoles = []) {
  *  - OR short-lived signed query token `?sig=...` (headerless preview)
  */
 function authorizeOrSig() {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const hdr = req.headers.authorization || '';
 
     // 1) Bearer path
     if (hdr.startsWith('Bearer ')) {
       const token = hdr.slice(7);
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-          issuer: JWT_ISSUER,
-          clockTolerance: CLOCK_TOLERANCE,
-        });
-        if (!decoded?.id || !decoded?.email || !decoded?.role) {
-          return res.status(400).json({ error: 'Malformed token' });
+        const result = await resolveBearer(token);
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
         }
-        const email = String(decoded.email).toLowerCase();
-        req.user = {
-          ...decoded,
-          email,
-          affiliation: isMsuiitG(email) ? 'MSU-IIT' : 'external',
-          isCampus: isMsuiitG(email),
-        };
+        req.user = result.user;
+        if (!guardImpersonation(req, res)) return;
+        if (!guardConsent(req, res)) return;
         return next();
       } catch (_) {
         /* fall through to ?sig */
@@ -100,6 +248,9 @@ function authorizeOrSig() {
         email: (payload.email || '').toLowerCase(),
         role: payload.role || '',
         isCampus: !!payload.isCampus,
+        institution: payload.institution || '',
+        campusInstitutions: payload.campusInstitutions || [],
+        permissions: [],
         _signedUrl: true,
         _sig: payload, // { fileId, sub, exp, ... }
       };
@@ -110,4 +261,81 @@ function authorizeOrSig() {
   };
 }
 
-module.exports = { authorize, authorizeOrSig, isMsuiitG };
+/* =============================
+   API keys (service integrations)
+============================= */
+// per key, not per IP: integrations often sit behind one NAT / proxy
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey?.rateLimit || 60,
+  keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'API key rate limit exceeded' },
+});
+
+/**
+ * Authenticates an integration by `X-API-Key: rk_…` (or
+ * `Authorization: ApiKey rk_…`) and requires at least one of `scopes`.
+ * Sets `req.apiKey` and a service principal on `req.user` with no capabilities.
+ */
+function authorizeApiKey(scopes = []) {
+  if (typeof scopes === 'string') scopes = [scopes];
+
+  const authenticate = async (req, res, next) => {
+    try {
+      const hdr = req.headers.authorization || '';
+      const presented =
+        req.get('x-api-key') ||
+        (hdr.startsWith('ApiKey ') && hdr.slice(7)) ||
+        '';
+      if (!presented) {
+        return res.status(401).json({ error: 'Missing API key' });
+      }
+
+      const result = await verifyApiKey(presented);
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+      const key = result.key;
+
+      if (scopes.length && !scopes.some(s => key.scopes.includes(s))) {
+        return res.status(403).json({ error: 'API key lacks the required scope', required: scopes });
+      }
+
+      const readsCampus = key.scopes.includes('read-campus');
+      req.apiKey = {
+        id: String(key._id),
+        name: key.name,
+        scopes: key.scopes,
+        rateLimit: key.rateLimit,
+        institution: key.institution || '',
+      };
+      req.user = {
+        id: null,
+        email: '',
+        role: 'integration',
+        colleges: [],
+        institution: req.apiKey.institution,
+        isCampus: readsCampus,
+        campusInstitutions: readsCampus ? await campusInstitutionsFor(req.apiKey.institution) : [],
+        affiliation: 'integration',
+        permissions: [],
+        apiKey: req.apiKey.id,
+      };
+      touchApiKey(key._id, req.ip);
+      return next();
+    } catch (err) {
+      console.error('❌ API key check error:', err.message);
+      return res.status(500).json({ error: 'API key check failed' });
+    }
+  };
+
+  return (req, res, next) =>
+    authenticate(req, res, (err) => {
+      if (err) return next(err);
+      return apiKeyLimiter(req, res, next);
+    });
+}
+
+module.exports = { authorize, authorizeOrSig, authorizeApiKey, requirePermission, isInstitutionEmail };
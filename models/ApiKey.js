@@ -0,0 +1,34 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+const { DEFAULT_INSTITUTION_CODE } = require("../utils/institutions");
+
+/* 🔌 Service credential for integrations (library systems, campus portal) */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+
+    // key = "rk_<prefix>_<secret>"; the prefix finds the row, only the hash is kept
+    prefix:  { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true, select: false },
+
+    scopes: {
+      type: [{ type: String, enum: ["read-public", "read-campus", "ingest"] }],
+      default: ["read-public"],
+      validate: { validator: (v) => v.length > 0, message: "At least one scope is required" },
+    },
+    rateLimit: { type: Number, default: 60, min: 1, max: 10000 }, // requests per minute
+
+    // tenant the key reads "campus" records of / deposits into
+    institution: { type: String, default: DEFAULT_INSTITUTION_CODE, uppercase: true, trim: true },
+
+    createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt:  { type: Date, default: null },
+    revokedAt:  { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: "" },
+    usageCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema);
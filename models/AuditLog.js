@@ -0,0 +1,24 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+/* 📜 Who did what to which account/record (append-only) */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, index: true }, // e.g. "user.email-change"
+    actor:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    actorEmail: { type: String, default: "" },
+
+    targetType: { type: String, default: "" }, // "User" | "Research" | …
+    targetId:   { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    ip:        { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
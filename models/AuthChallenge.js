@@ -0,0 +1,23 @@
+// models/AuthChallenge.js
+const mongoose = require("mongoose");
+
+/**
+ * Short-lived server-side state for multi-step sign-in flows
+ * (e.g. the WebAuthn challenge between "options" and "verify").
+ * Each row is redeemed once and otherwise expires via TTL.
+ */
+const authChallengeSchema = new mongoose.Schema(
+  {
+    purpose:   { type: String, required: true, index: true },
+    challenge: { type: String, required: true },
+    user:      { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    data:      { type: mongoose.Schema.Types.Mixed, default: {} },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports =
+  mongoose.models.AuthChallenge || mongoose.model("AuthChallenge", authChallengeSchema);
@@ -0,0 +1,28 @@
+// models/AuthThrottle.js
+const mongoose = require("mongoose");
+
+/**
+ * Failed-attempt counter for one (scope, account|ip) pair,
+ * e.g. key "login:account:jdoe@g.msuiit.edu.ph" or "otp:ip:10.0.0.7".
+ */
+const authThrottleSchema = new mongoose.Schema(
+  {
+    key:     { type: String, required: true, unique: true },
+    scope:   { type: String, enum: ["login", "otp", "reset"], required: true },
+    kind:    { type: String, enum: ["account", "ip"], required: true, index: true },
+    subject: { type: String, required: true, index: true }, // email or IP
+
+    failures:      { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil:   { type: Date, default: null, index: true },
+
+    // 🧹 counters disappear after a quiet period
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports =
+  mongoose.models.AuthThrottle || mongoose.model("AuthThrottle", authThrottleSchema);
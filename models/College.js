@@ -0,0 +1,30 @@
+// models/College.js
+const mongoose = require("mongoose");
+
+const cleanList = (arr) =>
+  Array.from(
+    new Set((arr || []).map(s => String(s || "").trim()).filter(Boolean))
+  );
+
+/* 🏫 A college (e.g. CCS — College of Computer Studies) */
+const collegeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9][A-Z0-9-]{0,15}$/, "Codes use letters, digits and dashes (max 16)"],
+    },
+    name:    { type: String, required: true, trim: true },
+    // owning institution (tenant) code; "" = the default institution (colleges from before tenancy)
+    institution: { type: String, default: "", uppercase: true, trim: true, index: true },
+    // other spellings seen in the wild ("Comp Studies", "College of Comp. Studies" …)
+    aliases: { type: [String], default: [], set: cleanList },
+    active:  { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.College || mongoose.model("College", collegeSchema);
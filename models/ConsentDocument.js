@@ -0,0 +1,28 @@
+// models/ConsentDocument.js
+const mongoose = require("mongoose");
+
+/*
+ * 📄 One version of a document users must accept (privacy notice, deposit
+ * terms). Drafts are editable; once published a version is frozen and the
+ * newest published version of each kind is the one users are held to.
+ */
+const consentDocumentSchema = new mongoose.Schema(
+  {
+    kind:    { type: String, enum: ["privacy", "terms"], required: true, index: true },
+    version: { type: Number, required: true, min: 1 },
+    title:   { type: String, required: true, trim: true, maxlength: 200 },
+    body:    { type: String, required: true },          // markdown / plain text
+    summary: { type: String, default: "", trim: true }, // "what changed" shown on re-acceptance
+
+    publishedAt: { type: Date, default: null },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+consentDocumentSchema.index({ kind: 1, version: 1 }, { unique: true });
+consentDocumentSchema.index({ kind: 1, publishedAt: -1 });
+
+module.exports =
+  mongoose.models.ConsentDocument || mongoose.model("ConsentDocument", consentDocumentSchema);
@@ -0,0 +1,25 @@
+// models/ConsentRecord.js
+const mongoose = require("mongoose");
+
+/* ✅ Proof that a user accepted a consent document version (append-only) */
+const consentRecordSchema = new mongoose.Schema(
+  {
+    user:     { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    email:    { type: String, required: true, lowercase: true, trim: true }, // as of acceptance
+    kind:     { type: String, enum: ["privacy", "terms"], required: true },
+    version:  { type: Number, required: true },
+    document: { type: mongoose.Schema.Types.ObjectId, ref: "ConsentDocument", required: true },
+    context:  { type: String, enum: ["register", "prompt"], default: "prompt" },
+
+    acceptedAt: { type: Date, default: Date.now },
+    ip:         { type: String, default: "" },
+    userAgent:  { type: String, default: "" },
+  },
+  { timestamps: false }
+);
+
+consentRecordSchema.index({ kind: 1, version: 1, acceptedAt: -1 });
+consentRecordSchema.index({ user: 1, kind: 1, version: 1 });
+
+module.exports =
+  mongoose.models.ConsentRecord || mongoose.model("ConsentRecord", consentRecordSchema);
@@ -0,0 +1,29 @@
+// models/Department.js
+const mongoose = require("mongoose");
+
+const cleanList = (arr) =>
+  Array.from(
+    new Set((arr || []).map(s => String(s || "").trim()).filter(Boolean))
+  );
+
+/* 🏛️ A department inside a college; codes are unique per college */
+const departmentSchema = new mongoose.Schema(
+  {
+    college: { type: mongoose.Schema.Types.ObjectId, ref: "College", required: true, index: true },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9][A-Z0-9-]{0,15}$/, "Codes use letters, digits and dashes (max 16)"],
+    },
+    name:    { type: String, required: true, trim: true },
+    aliases: { type: [String], default: [], set: cleanList },
+    active:  { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+departmentSchema.index({ college: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.models.Department || mongoose.model("Department", departmentSchema);
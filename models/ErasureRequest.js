@@ -0,0 +1,34 @@
+// models/ErasureRequest.js
+const mongoose = require("mongoose");
+
+/* 🧽 A user's request to be forgotten — approved by an admin (see utils/personalData.js) */
+const erasureRequestSchema = new mongoose.Schema(
+  {
+    user:   { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    email:  { type: String, required: true, lowercase: true, trim: true }, // cleared once erased
+    reason: { type: String, default: "", trim: true, maxlength: 1000 },
+
+    status: {
+      type: String,
+      enum: ["pending", "processing", "approved", "rejected", "cancelled"], // processing: approved, erasure running
+      default: "pending",
+      index: true,
+    },
+    decidedAt:    { type: Date, default: null },
+    decidedBy:    { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    decisionNote: { type: String, default: "", trim: true },
+
+    // counts of what was removed / re-attributed (no personal data)
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true }
+);
+
+// at most one open request per user
+erasureRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" }, name: "one_pending_per_user" }
+);
+
+module.exports =
+  mongoose.models.ErasureRequest || mongoose.model("ErasureRequest", erasureRequestSchema);
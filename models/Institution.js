@@ -0,0 +1,65 @@
+// models/Institution.js
+const mongoose = require("mongoose");
+
+const cleanDomains = (arr) =>
+  Array.from(
+    new Set(
+      (arr || [])
+        .map(s => String(s || "").trim().toLowerCase().replace(/^@/, ""))
+        .filter(Boolean)
+    )
+  );
+
+const cleanCodes = (arr) =>
+  Array.from(new Set((arr || []).map(s => String(s || "").trim().toUpperCase()).filter(Boolean)));
+
+/*
+ * 🏛️ A campus sharing this backend (tenant), e.g. MSU-IIT. Members are
+ * recognised by email domain; "campus" visibility means members of the
+ * record's institution plus any institution it shares campus records with.
+ */
+const institutionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9][A-Z0-9-]{0,15}$/, "Codes use letters, digits and dashes (max 16)"],
+    },
+    name:      { type: String, required: true, trim: true }, // "Mindanao State University – Iligan Institute of Technology"
+    shortName: { type: String, default: "", trim: true },    // "MSU-IIT"
+
+    // member addresses, e.g. ["g.msuiit.edu.ph"]; a domain belongs to one institution
+    emailDomains: {
+      type: [String],
+      default: [],
+      set: cleanDomains,
+      validate: { validator: (v) => v.length > 0, message: "At least one email domain is required" },
+    },
+
+    branding: {
+      logoUrl:      { type: String, default: "" },
+      primaryColor: { type: String, default: "", match: [/^(#[0-9a-fA-F]{6})?$/, "Use a #rrggbb colour"] },
+      footer:       { type: String, default: "" }, // email footer line
+    },
+
+    // sender identity for mail to this institution's members
+    mail: {
+      senderName:  { type: String, default: "" },
+      senderEmail: { type: String, default: "", lowercase: true, trim: true },
+      replyTo:     { type: String, default: "", lowercase: true, trim: true },
+    },
+
+    // institutions whose members may also see our "campus" records ("*" = all)
+    shareCampusWith: { type: [String], default: [], set: cleanCodes },
+
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+institutionSchema.index({ emailDomains: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.models.Institution || mongoose.model("Institution", institutionSchema);
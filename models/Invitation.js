@@ -0,0 +1,30 @@
+// models/Invitation.js
+const mongoose = require("mongoose");
+
+/* ✉️ Invite for an outside examiner / collaborator (guest role) */
+const invitationSchema = new mongoose.Schema(
+  {
+    email:     { type: String, required: true, lowercase: true, trim: true, index: true },
+    firstName: { type: String, default: "", trim: true },
+    lastName:  { type: String, default: "", trim: true },
+    note:      { type: String, default: "", trim: true, maxlength: 500 },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // only the hash of the link token is stored
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    expiresAt: { type: Date, required: true },            // link validity
+
+    accountExpiresAt: { type: Date, required: true },     // guest access end
+    // private records the guest is added to (allowedViewers) on acceptance
+    research: [{ type: mongoose.Schema.Types.ObjectId, ref: "Research" }],
+
+    acceptedAt:   { type: Date, default: null },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    revokedAt:    { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports =
+  mongoose.models.Invitation || mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,32 @@
+// models/LoginEvent.js
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = Number(process.env.LOGIN_HISTORY_DAYS || 180);
+
+/* 🪪 One sign-in attempt (successful or not) — see utils/loginEvents.js */
+const loginEventSchema = new mongoose.Schema(
+  {
+    user:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    email: { type: String, default: "", lowercase: true, trim: true },
+
+    step:    { type: String, enum: ["login", "verify-code", "passkey", "sso"], required: true },
+    method:  { type: String, default: "" },   // pin | email | totp | recovery | passkey | oidc
+    success: { type: Boolean, required: true },
+    reason:  { type: String, default: "" },   // why it failed
+
+    ip:        { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    device:    { type: String, default: "" }, // "Chrome on Windows"
+    deviceKey: { type: String, default: "" }, // hash used for new-device detection
+    newDevice: { type: Boolean, default: false },
+    session:   { type: mongoose.Schema.Types.ObjectId, ref: "Session", default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, deviceKey: 1, success: 1 });
+// 🧹 history is kept for RETENTION_DAYS
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.LoginEvent || mongoose.model("LoginEvent", loginEventSchema);
@@ -0,0 +1,36 @@
+// models/OneTimeCode.js
+const mongoose = require("mongoose");
+
+/**
+ * Hashed one-time codes. At most one live code per (user, purpose, target);
+ * issuing a new one replaces the previous. Plain codes are never stored.
+ */
+const oneTimeCodeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    purpose: {
+      type: String,
+      enum: ["verify", "login", "reset", "email-change", "phone-verify"],
+      required: true,
+    },
+    target: { type: String, default: "", lowercase: true, trim: true }, // where the code was sent
+
+    codeHash: { type: String, required: true, select: false },
+
+    attempts:    { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+
+    lastSentAt: { type: Date, default: Date.now },
+    consumedAt: { type: Date, default: null },
+    expiresAt:  { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+oneTimeCodeSchema.index({ user: 1, purpose: 1, target: 1 }, { unique: true });
+// 🧹 expired codes are dropped by Mongo
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports =
+  mongoose.models.OneTimeCode || mongoose.model("OneTimeCode", oneTimeCodeSchema);
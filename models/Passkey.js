@@ -0,0 +1,22 @@
+// models/Passkey.js
+const mongoose = require("mongoose");
+
+/* 🔑 One WebAuthn credential (passkey / security key) registered by a user */
+const passkeySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, default: "Passkey", trim: true, maxlength: 60 },
+
+    credentialId: { type: String, required: true, unique: true }, // base64url
+    publicKey:    { type: String, required: true, select: false }, // base64url COSE key
+    counter:      { type: Number, default: 0 },
+    transports:   { type: [String], default: [] },
+
+    deviceType: { type: String, default: "" }, // "singleDevice" | "multiDevice"
+    backedUp:   { type: Boolean, default: false },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.Passkey || mongoose.model("Passkey", passkeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { DEFAULT_INSTITUTION_CODE } = require("../utils/institutions");
 
 const researchSchema = new mongoose.Schema(
   {
@@ -14,12 +15,94 @@ const researchSchema = new mongoose.Schema(
     /* ⚙️ Status + Review */
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      // revision-requested: models/RevisionRequest.js; in-workflow: college sign-off stages (models/Workflow.js)
+      enum: ["pending", "approved", "rejected", "revision-requested", "in-workflow"],
       default: "pending",
       index: true,
     },
     facultyComment: { type: String, default: "" },
 
+    /* 👥 Review panel (replaces the adviser's single decision, see utils/panels.js) */
+    panel: {
+      members: [
+        {
+          _id: false,
+          email: { type: String, lowercase: true, trim: true },
+          user:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          role:  { type: String, enum: ["chair", "member", "external"], default: "member" },
+          assignedAt: { type: Date, default: Date.now },
+        },
+      ],
+      rule: {
+        type:      { type: String, enum: ["majority", "unanimous", "chair", "threshold"], default: "majority" },
+        threshold: { type: Number, default: null },
+      },
+      round: { type: Number, default: 1 },
+      recommendations: [
+        {
+          _id: false,
+          email:          { type: String, lowercase: true, trim: true },
+          user:           { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          role:           String,
+          round:          Number,
+          recommendation: { type: String, enum: ["approved", "rejected", "revision-requested"] },
+          comment:        { type: String, default: "", maxlength: 5000 },
+          items:          { type: [String], default: [] }, // requested changes (revision-requested)
+          at:             { type: Date, default: Date.now },
+        },
+      ],
+      // what each round's consensus decided
+      decisions: [{ _id: false, round: Number, outcome: String, counts: mongoose.Schema.Types.Mixed, at: Date }],
+      assignedBy: { user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, email: String },
+      assignedAt: { type: Date, default: null },
+    },
+
+    /* ✍️ College approval workflow run (stages copied from the definition at start) */
+    workflow: {
+      definition: { type: mongoose.Schema.Types.ObjectId, ref: "Workflow", default: null },
+      name:       { type: String, default: "" },
+      state:      { type: String, enum: ["", "in-progress", "completed", "rejected", "returned", "cancelled"], default: "" },
+      stage:      { type: Number, default: 0 }, // index of the current stage
+      stages: [
+        {
+          _id: false,
+          key:       String,
+          name:      String,
+          mode:      { type: String, enum: ["sequential", "parallel"] },
+          approvers: [String],
+          required:  Number,
+          state:     { type: String, enum: ["waiting", "active", "approved", "rejected", "returned"], default: "waiting" },
+          signoffs: [
+            {
+              _id: false,
+              email:    String,
+              user:     { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+              decision: { type: String, enum: ["approved", "rejected", "revision-requested"] },
+              comment:  String,
+              items:    { type: [String], default: undefined }, // changes asked for (revision-requested)
+              at:       Date,
+            },
+          ],
+          startedAt:   Date,
+          completedAt: Date,
+        },
+      ],
+      startedAt:   { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+    },
+    // every sign-off and transition across runs (a returned item starts a new run)
+    stageHistory: [
+      {
+        _id: false,
+        stage:   String, // stage key; "adviser" for the adviser's decision
+        name:    String,
+        action:  { type: String, enum: ["started", "approved", "rejected", "revision-requested", "stage-completed", "completed", "cancelled"] },
+        by:      { user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, email: String },
+        comment: String,
+        at:      { type: Date, default: Date.now },
+      },
+    ],
+
     /* 🧭 Draft/Final flag (NEW) */
     submissionType: {
       type: String,
@@ -79,8 +162,14 @@ const researchSchema = new mongoose.Schema(
     forwardedBy:  { type: String, default: "" },
     source:       { type: String, default: "" }, // "faculty-approved" | "staff-upload" | "student-upload" | "faculty-upload"
 
-    /* 🏫 Optional college tag */
-    college: { type: String, default: "" },
+    /* 🏛️ Tenant (Institution code) — defaults to the uploader's, see hook below */
+    institution: { type: String, default: "", uppercase: true, trim: true, index: true },
+
+    /* 🏫 Optional college / department (codes + refs, see models/College.js) */
+    college:      { type: String, default: "" },
+    collegeId:    { type: mongoose.Schema.Types.ObjectId, ref: "College", default: null, index: true },
+    department:   { type: String, default: "" },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Department", default: null },
 
     /* 🔒 Access control */
     visibility: {
@@ -98,6 +187,8 @@ const researchSchema = new mongoose.Schema(
       transform: (_doc, ret) => {
         // 🚫 never leak storage internals
         delete ret.filePath;
+        // 👥 panel recommendations are private until decided (see utils/panels.js toPublicPanel)
+        if (ret.panel) delete ret.panel.recommendations;
         return ret;
       },
     },
@@ -110,6 +201,15 @@ const researchSchema = new mongoose.Schema(
   }
 );
 
+/* 🏛️ New records inherit the uploader's institution (or the default tenant) */
+researchSchema.pre("validate", async function () {
+  if (!this.isNew || this.institution) return;
+  const uploader = this.uploadedBy
+    ? await mongoose.model("User").findById(this.uploadedBy).select("institution").lean()
+    : null;
+  this.institution = uploader?.institution || DEFAULT_INSTITUTION_CODE;
+});
+
 /* 🔎 Helpful indexes */
 researchSchema.index({ status: 1, visibility: 1, updatedAt: -1 });
 researchSchema.index({ submissionType: 1, status: 1, updatedAt: -1 });
@@ -122,6 +222,7 @@ researchSchema.index({
   genreTags: "text",
 });
 researchSchema.index({ categories: 1 });
+researchSchema.index({ "panel.members.email": 1 });
 researchSchema.index({ genreTags: 1 });
 
 /* 🧪 Virtuals */
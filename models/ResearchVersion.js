@@ -0,0 +1,75 @@
+// models/ResearchVersion.js
+const mongoose = require("mongoose");
+
+/*
+ * 🗂️ One saved state of a Research record (append-only). Every file upload
+ * and metadata change adds the next number; files of past versions stay on
+ * disk until the record itself is deleted. See utils/versions.js.
+ */
+const researchVersionSchema = new mongoose.Schema(
+  {
+    research: { type: mongoose.Schema.Types.ObjectId, ref: "Research", required: true },
+    number:   { type: Number, required: true, min: 1 },
+    kind: {
+      type: String,
+      enum: ["created", "file", "metadata", "restore"],
+      required: true,
+    },
+    changedFields: { type: [String], default: [] }, // vs the previous version; "file" for a new upload
+
+    // metadata as of this version
+    snapshot: {
+      title:          { type: String, default: "" },
+      abstract:       { type: String, default: "" },
+      author:         { type: String, default: "" },
+      adviser:        { type: String, default: "" },
+      student:        { type: String, default: "" },
+      coAuthors:      { type: [String], default: [] },
+      keywords:       { type: [String], default: [] },
+      year:           { type: String, default: "" },
+      category:       { type: String, default: "" },
+      categories:     { type: [String], default: [] },
+      genreTags:      { type: [String], default: [] },
+      submissionType: { type: String, default: "" },
+    },
+
+    file: {
+      path: { type: String, default: "", select: false }, // storage internal, never exposed
+      name: { type: String, default: "" },
+      type: { type: String, default: "" },
+      size: { type: Number, default: null },
+    },
+
+    // extracted page text for revision diffs (see utils/revisionDiff.js); cached per file
+    text: {
+      pages:       { type: [String], default: undefined, select: false },
+      pageCount:   { type: Number, default: null },
+      extractedAt: { type: Date, default: null },
+      error:       { type: String, default: "" },
+    },
+
+    // who saved it (email as of then)
+    by: {
+      user:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      email: { type: String, default: "", lowercase: true, trim: true },
+      role:  { type: String, default: "" },
+    },
+
+    // the review this version responded to, if there was one
+    answers: {
+      comment:  { type: String, default: "" },
+      decision: { type: String, default: "" }, // the record's status when the comment was left
+    },
+
+    restoredFrom: { type: Number, default: null },
+    note:         { type: String, default: "" },
+    createdAt:    { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+researchVersionSchema.index({ research: 1, number: -1 }, { unique: true });
+researchVersionSchema.index({ "by.user": 1 });
+
+module.exports =
+  mongoose.models.ResearchVersion || mongoose.model("ResearchVersion", researchVersionSchema);
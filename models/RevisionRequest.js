@@ -0,0 +1,60 @@
+// models/RevisionRequest.js
+const mongoose = require("mongoose");
+
+/* ✏️ One requested change; the student claims it, the reviewer has the last word */
+const revisionItemSchema = new mongoose.Schema(
+  {
+    text:         { type: String, required: true, trim: true, maxlength: 2000 },
+    status:       { type: String, enum: ["open", "addressed", "unaddressed"], default: "open" },
+    response:     { type: String, default: "", trim: true, maxlength: 2000 }, // student's note on the fix
+    reviewerNote: { type: String, default: "", trim: true, maxlength: 2000 },
+    updatedAt:    { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+/*
+ * 🔁 A reviewer's "needs revision" decision on a submission. Lifecycle:
+ *   open → resubmitted (student resubmits, linked to the new version)
+ *        → closed (next review decision: approved / rejected / revision-requested again)
+ * At most one active request per submission; earlier ones form the chain.
+ */
+const revisionRequestSchema = new mongoose.Schema(
+  {
+    research:  { type: mongoose.Schema.Types.ObjectId, ref: "Research", required: true, index: true },
+    round:     { type: Number, required: true, min: 1 }, // 1st, 2nd … request on this submission
+    requestedBy: {
+      user:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      email: { type: String, default: "", lowercase: true, trim: true },
+    },
+    comment: { type: String, default: "", trim: true, maxlength: 5000 },
+    items: {
+      type: [revisionItemSchema],
+      validate: { validator: (v) => v.length > 0, message: "List at least one requested change" },
+    },
+    dueAt: { type: Date, required: true },
+    // the version the reviewer looked at (see models/ResearchVersion.js)
+    reviewedVersion: { type: Number, default: null },
+
+    status: { type: String, enum: ["open", "resubmitted", "closed"], default: "open", index: true },
+    active: { type: Boolean, default: true },
+
+    resubmission: {
+      version: { type: Number, default: null },
+      at:      { type: Date, default: null },
+      note:    { type: String, default: "", trim: true, maxlength: 2000 },
+      late:    { type: Boolean, default: false },
+    },
+
+    outcome:  { type: String, enum: ["", "approved", "rejected", "revision-requested"], default: "" },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+revisionRequestSchema.index({ research: 1, active: 1 }, { unique: true, partialFilterExpression: { active: true } });
+revisionRequestSchema.index({ research: 1, round: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.RevisionRequest || mongoose.model("RevisionRequest", revisionRequestSchema);
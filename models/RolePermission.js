@@ -0,0 +1,23 @@
+// models/RolePermission.js
+const mongoose = require("mongoose");
+
+/* 🛡️ Role → capability grants (see utils/permissions.js for the catalogue) */
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9-]{1,39}$/, "Role names use lowercase letters, digits and dashes"],
+    },
+    label:        { type: String, default: "", trim: true },
+    capabilities: { type: [String], default: [] },
+    builtIn:      { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports =
+  mongoose.models.RolePermission || mongoose.model("RolePermission", rolePermissionSchema);
@@ -0,0 +1,36 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+/**
+ * One row per signed-in device. Access tokens carry the session id (`sid`)
+ * so a session can be revoked server-side; the refresh token is stored
+ * only as a SHA-256 hash and rotated on every use.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    refreshTokenHash: { type: String, required: true, select: false },
+    // the secret it replaced: presenting that one again means the token was copied
+    prevRefreshTokenHash: { type: String, default: "", select: false },
+
+    userAgent:  { type: String, default: "" },
+    ip:         { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+
+    expiresAt:     { type: Date, required: true },
+    revokedAt:     { type: Date, default: null },
+    revokedReason: { type: String, default: "" },
+
+    // 🕵️ set on "view as user" sessions minted by an admin (no refresh token)
+    impersonatedBy:      { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    impersonationReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// 🧹 Mongo drops the row once the refresh window is over
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -1,5 +1,7 @@
 // models/User.js
 const mongoose = require("mongoose");
+const { isKnownRole } = require("../utils/permissions");
+const { institutionForEmail } = require("../utils/institutions");
 
 const userSchema = new mongoose.Schema(
   {
@@ -13,50 +15,141 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
       validate: {
-        // ✅ Students, faculty, and staff all use @g.msuiit.edu.ph
-        validator: (v) => /@g\.msuiit\.edu\.ph$/i.test(v),
-        message: "Only @g.msuiit.edu.ph emails are allowed",
+        // ✅ Members use their institution's domain (see models/Institution.js);
+        //    invited guests (see routes/invitations.js) may use any address
+        validator: async function (v) {
+          if (await institutionForEmail(v)) return true;
+          return this?.role === "guest" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+        },
+        message: "Use your institution email address",
       },
       index: true,
     },
 
      // ADD THIS ➜ phone number
     phone: { type: String, default: "" },
+    phoneVerified:   { type: Boolean, default: false },
+    phoneVerifiedAt: { type: Date, default: null },
+
+    // 📱 where login / PIN-reset codes go ("sms" needs a verified phone)
+    otpChannel: { type: String, enum: ["email", "sms"], default: "email" },
 
     // ADD THIS ➜ so updated affiliation is saved
     affiliation: { type: String, default: "" },
 
     pinHash: { type: String, required: true, select: false },
 
+    // any role defined in the permission registry (utils/permissions.js)
     role: {
       type: String,
-      enum: ["student", "staff", "faculty", "admin"],
       default: "student",
+      lowercase: true,
+      trim: true,
+      index: true,
+      validate: {
+        validator: (v) => isKnownRole(v),
+        message: (props) => `Unknown role: ${props.value}`,
+      },
+    },
+
+    // 🏛️ Tenant (Institution code) — from the email domain; guests get the inviter's
+    institution: { type: String, default: "", uppercase: true, trim: true, index: true },
+
+    // 🏫 canonical college / department codes (see models/College.js)
+    college:      { type: String, default: "" },
+    collegeId:    { type: mongoose.Schema.Types.ObjectId, ref: "College", default: null, index: true },
+    department:   { type: String, default: "" },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Department", default: null },
+
+    // 🏫 Colleges a staff member / reviewer / college admin may act on
+    // (empty → just their own `college`; see utils/scope.js)
+    scopeColleges: { type: [String], default: [] },
+
+    // 🚦 Lifecycle — suspended / deactivated accounts can't sign in, but keep
+    //    their research attribution (no hard deletes)
+    status: {
+      type: String,
+      enum: ["active", "suspended", "deactivated"],
+      default: "active",
       index: true,
     },
+    statusReason:    { type: String, default: "" },
+    statusChangedAt: { type: Date, default: null },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    statusHistory: {
+      type: [
+        {
+          status: String,
+          reason: String,
+          at:     { type: Date, default: Date.now },
+          by:     { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        },
+      ],
+      default: [],
+    },
+
+    // ⏳ Guest accounts stop working after this date (null = no expiry)
+    accountExpiresAt: { type: Date, default: null },
+    invitedBy:        { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 
-    college: { type: String, default: "" },
+    // 🧽 set when the profile was anonymized on an approved erasure request
+    erasedAt: { type: Date, default: null },
 
+    // one-time codes live in the OneTimeCode collection (hashed)
     verified:         { type: Boolean, default: false },
-    verificationCode: { type: String, default: null, select: false },
     lastVerifiedAt:   { type: Date, default: null },
 
-    resetCode:        { type: String, default: null, select: false },
-    resetCodeExpires: { type: Date,   default: null },
+    // 📄 Latest accepted consent versions (proof lives in ConsentRecord)
+    consents: {
+      privacy: { version: { type: Number, default: 0 }, acceptedAt: { type: Date, default: null } },
+      terms:   { version: { type: Number, default: 0 }, acceptedAt: { type: Date, default: null } },
+    },
+
+    // 🏛️ Linked institutional identity (OpenID Connect, see utils/oidc.js)
+    sso: {
+      issuer:      { type: String, default: "" },
+      subject:     { type: String, default: "" },
+      linkedAt:    { type: Date, default: null },
+      lastLoginAt: { type: Date, default: null },
+    },
+
+    // 📱 Authenticator-app second factor (secrets are AES-GCM encrypted)
+    totp: {
+      enabled:          { type: Boolean, default: false },
+      enrolledAt:       { type: Date, default: null },
+      secretEnc:        { type: String, default: null, select: false },
+      pendingSecretEnc: { type: String, default: null, select: false },
+      lastUsedStep:     { type: Number, default: 0, select: false },
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: { type: Date, default: null } }],
+        default: [],
+        select: false,
+      },
+    },
   },
   {
     timestamps: true,
     toJSON: {
       transform: (_doc, ret) => {
         delete ret.pinHash;
-        delete ret.verificationCode;
-        delete ret.resetCode;
         return ret;
       },
     },
   }
 );
 
+userSchema.index(
+  { "sso.issuer": 1, "sso.subject": 1 },
+  { unique: true, partialFilterExpression: { "sso.subject": { $gt: "" } } }
+);
+
+// members always belong to the institution of their address
+userSchema.pre("validate", async function () {
+  if (this.role === "guest" || !(this.isNew || this.isModified("email"))) return;
+  const inst = await institutionForEmail(this.email);
+  if (inst) this.institution = inst.code;
+});
+
 userSchema.pre("save", function (next) {
   if (this.email) this.email = String(this.email).toLowerCase();
   next();
@@ -0,0 +1,50 @@
+// models/Workflow.js
+const mongoose = require("mongoose");
+
+const cleanEmails = (arr) =>
+  Array.from(
+    new Set((arr || []).map(s => String(s || "").trim().toLowerCase()).filter(Boolean))
+  );
+
+/*
+ * ✍️ One sign-off stage (e.g. Panel, Department chair, Dean).
+ *   sequential → approvers sign in the listed order, all of them
+ *   parallel   → any order; the stage passes once `required` have approved
+ *                (0 = every approver)
+ */
+const stageSchema = new mongoose.Schema(
+  {
+    key:       { type: String, required: true, lowercase: true, trim: true, match: [/^[a-z0-9][a-z0-9-]{0,31}$/, "Stage keys use letters, digits and dashes"] },
+    name:      { type: String, required: true, trim: true },
+    mode:      { type: String, enum: ["sequential", "parallel"], default: "parallel" },
+    approvers: {
+      type: [String],
+      set: cleanEmails,
+      validate: { validator: (v) => v.length > 0, message: "Every stage needs at least one approver" },
+    },
+    required:  { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/*
+ * 🏫 A college's approval workflow for FINAL submissions, run after the
+ * adviser approves (or a faculty member posts a final). Items only reach the
+ * staff publishing queue once every stage has signed off. Colleges without
+ * an active workflow keep the single adviser decision. See utils/workflow.js.
+ */
+const workflowSchema = new mongoose.Schema(
+  {
+    college: { type: mongoose.Schema.Types.ObjectId, ref: "College", required: true, unique: true },
+    name:    { type: String, default: "Approval workflow", trim: true },
+    stages: {
+      type: [stageSchema],
+      validate: { validator: (v) => v.length > 0, message: "Add at least one stage" },
+    },
+    active:    { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.Workflow || mongoose.model("Workflow", workflowSchema);
@@ -1,7 +1,42 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const multer = require('multer');
 const User = require('../models/User');
-const { authorize } = require('../middleware/authMiddleware');
+const Research = require('../models/Research');
+const AuthThrottle = require('../models/AuthThrottle');
+const RolePermission = require('../models/RolePermission');
+const AuditLog = require('../models/AuditLog');
+const LoginEvent = require('../models/LoginEvent');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const ErasureRequest = require('../models/ErasureRequest');
+const Workflow = require('../models/Workflow');
+const { requirePermission } = require('../middleware/authMiddleware');
+const {
+  ALL,
+  CAPABILITIES,
+  BUILT_IN_ROLES,
+  capabilitiesFor,
+  listRoles,
+  isKnownRole,
+  invalidatePermissions,
+} = require('../utils/permissions');
+const { revokeAllSessions, startImpersonation } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { sendSystemEmail } = require('../utils/mailer');
+const { findCollege, resolveAffiliation } = require('../utils/colleges');
+const { toCsv } = require('../utils/csv');
+const { API_KEY_SCOPES, generateApiKey, toPublicKey } = require('../utils/apiKeys');
+const { pendingReviewDuties, eraseUser } = require('../utils/personalData');
+const { involvedIn } = require('../utils/workflow');
+const { DEFAULT_INSTITUTION_CODE, findInstitution, institutionMatch } = require('../utils/institutions');
+const {
+  RESULT_COLUMNS,
+  planUserImport,
+  commitUserImport,
+  summarize,
+  resultRow,
+} = require('../utils/userImport');
 
 const router = express.Router();
 
@@ -10,17 +45,17 @@ const router = express.Router();
 ========================================================== */
 
 /* ---------- Student Access ---------- */
-router.get('/student', authorize(['student', 'faculty', 'staff', 'admin']), (req, res) => {
+router.get('/student', requirePermission('repository.read'), (req, res) => {
   res.json({ message: `Welcome ${req.user.email}! You can upload and track your research submissions.` });
 });
 
 /* ---------- Faculty (Adviser) Access ---------- */
-router.get('/faculty', authorize(['faculty', 'admin']), (req, res) => {
+router.get('/faculty', requirePermission('research.review'), (req, res) => {
   res.json({ message: `Welcome, ${req.user.email}! You can review and approve student research papers.` });
 });
 
 /* ---------- Staff Access ---------- */
-router.get('/staff', authorize(['staff', 'faculty', 'admin']), (req, res) => {
+router.get('/staff', requirePermission(['research.publish', 'research.author']), (req, res) => {
   res.json({ message: `Hi ${req.user.email}, repository management tools unlocked.` });
 });
 
@@ -33,10 +68,32 @@ router.get('/public', (req, res) => {
    ADMIN MANAGEMENT — USER CONTROL
 ========================================================== */
 
-// View all users
-router.get('/users', authorize('admin'), async (req, res) => {
+const USER_STATUSES = ['active', 'suspended', 'deactivated'];
+
+// Records a lifecycle change and ends the user's sessions when access is removed
+async function setUserStatus(user, status, reason, by) {
+  const now = new Date();
+  user.status = status;
+  user.statusReason = reason;
+  user.statusChangedAt = now;
+  user.statusChangedBy = by;
+  user.statusHistory.push({ status, reason, at: now, by });
+  await user.save();
+
+  if (status !== 'active') await revokeAllSessions(user._id, `account-${status}`);
+}
+
+// View all users (?status=active|suspended|deactivated)
+router.get('/users', requirePermission('users.manage'), async (req, res) => {
   try {
-    const users = await User.find().select('-pinHash -verificationCode');
+    const { status, institution } = req.query;
+    const filter = !USER_STATUSES.includes(status)
+      ? {}
+      : status === 'active'
+        ? { status: { $nin: ['suspended', 'deactivated'] } } // older accounts have no status field
+        : { status };
+    if (institution) filter.institution = institutionMatch([String(institution).trim().toUpperCase()]);
+    const users = await User.find(filter).select('-pinHash');
     res.json(users);
   } catch (err) {
     console.error('❌ Fetch users failed:', err);
@@ -45,20 +102,26 @@ router.get('/users', authorize('admin'), async (req, res) => {
 });
 
 // Create new users (student, faculty, staff)
-router.post('/create-user', authorize('admin'), async (req, res) => {
+router.post('/create-user', requirePermission('users.manage'), async (req, res) => {
   try {
-    const { firstName, lastName, email, pin, role, college } = req.body;
+    const { firstName, lastName, email, pin, role, college, department } = req.body;
     if (!firstName || !lastName || !email || !pin || !role)
       return res.status(400).json({ error: 'All fields are required' });
 
-    const validRoles = ['student', 'faculty', 'staff'];
-    if (!validRoles.includes(role))
+    // admins are promoted via the role endpoint, never created directly
+    if (role === 'admin' || !(await isKnownRole(role)))
       return res.status(403).json({ error: 'Invalid role for creation' });
 
+    if (role === 'guest')
+      return res.status(400).json({ error: 'Guests are invited via /api/invitations' });
+
     const existing = await User.findOne({ email });
     if (existing)
       return res.status(409).json({ error: 'Email already exists' });
 
+    const aff = await resolveAffiliation({ college, department });
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
     const pinHash = await bcrypt.hash(pin, 10);
 
     const user = await User.create({
@@ -67,7 +130,7 @@ router.post('/create-user', authorize('admin'), async (req, res) => {
       email,
       pinHash,
       role,
-      college: college || '',
+      ...aff.fields,
       verified: true,
     });
 
@@ -78,21 +141,72 @@ router.post('/create-user', authorize('admin'), async (req, res) => {
   }
 });
 
+/*
+ * Bulk provisioning from CSV
+ * POST /api/admin/users/import
+ *   - file (multipart, .csv) or { csv: "<text>" }
+ *   - columns: firstName, lastName, email, role, college[, department]
+ *   - commit=true to create accounts (default is a dry run)
+ *   - format=csv (query) to download the per-row results instead of JSON
+ */
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ok = /\.csv$/i.test(file.originalname || '') ||
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    cb(ok ? null : new Error('Only CSV files are allowed'), ok);
+  },
+});
+
+router.post('/users/import', requirePermission('users.manage'), csvUpload.single('file'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : String(req.body?.csv || '');
+    if (!text.trim()) return res.status(400).json({ error: 'Upload a CSV file' });
+
+    const commit = ['1', 'true', 'yes'].includes(String(req.body?.commit ?? req.query.commit ?? '').toLowerCase());
+
+    const plan = await planUserImport(text);
+    if (plan.error) return res.status(400).json({ error: plan.error });
+
+    const rows = commit ? await commitUserImport(plan.rows) : plan.rows;
+    const results = rows.map(resultRow);
+
+    if (req.query.format === 'csv') {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      res.attachment(`user-import-${commit ? 'results' : 'dry-run'}-${stamp}.csv`);
+      res.type('text/csv');
+      return res.send(toCsv(results, RESULT_COLUMNS));
+    }
+
+    res.status(commit ? 201 : 200).json({
+      dryRun: !commit,
+      summary: summarize(rows),
+      rows: results,
+    });
+  } catch (err) {
+    console.error('❌ Bulk import failed:', err);
+    res.status(500).json({ error: 'Failed to import users' });
+  }
+});
+
 // Update user role (admin only)
-router.put('/users/:id/role', authorize('admin'), async (req, res) => {
+router.put('/users/:id/role', requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { role } = req.body;
 
     if (!role) return res.status(400).json({ error: 'Role required' });
 
-    const validRoles = ['student', 'staff', 'faculty', 'admin'];
-    if (!validRoles.includes(role))
+    if (!(await isKnownRole(role)))
       return res.status(400).json({ error: 'Invalid role' });
 
     const updatedUser = await User.findByIdAndUpdate(id, { role }, { new: true });
     if (!updatedUser) return res.status(404).json({ error: 'User not found' });
 
+    // 🔒 old tokens carry the old role — force a fresh sign-in
+    await revokeAllSessions(updatedUser._id, 'role-change');
+
     res.json({ message: 'Role updated successfully', user: updatedUser });
   } catch (err) {
     console.error('❌ Update role failed:', err);
@@ -100,17 +214,753 @@ router.put('/users/:id/role', authorize('admin'), async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:id', authorize('admin'), async (req, res) => {
+// Assign the colleges a staff member / reviewer / college admin may act on.
+// An empty list falls back to the user's own college.
+router.put('/users/:id/scope', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const raw = req.body?.colleges;
+    if (!Array.isArray(raw))
+      return res.status(400).json({ error: 'colleges must be an array' });
+
+    const colleges = [];
+    for (const value of raw) {
+      if (!String(value || '').trim()) continue;
+      const c = await findCollege(value);
+      if (!c) return res.status(400).json({ error: `Unknown college: ${String(value).trim()}` });
+      if (!colleges.includes(c.code)) colleges.push(c.code);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { scopeColleges: colleges } },
+      { new: true }
+    ).select('email role college scopeColleges');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({ message: 'College scope updated', user });
+  } catch (err) {
+    console.error('❌ Update scope failed:', err);
+    res.status(500).json({ error: 'Failed to update college scope' });
+  }
+});
+
+// Suspend / reactivate / deactivate — body: { status, reason }
+router.put('/users/:id/status', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const status = String(req.body?.status || '').toLowerCase().trim();
+    const reason = String(req.body?.reason || '').trim();
+
+    if (!USER_STATUSES.includes(status))
+      return res.status(400).json({ error: `status must be one of: ${USER_STATUSES.join(', ')}` });
+    if (status !== 'active' && !reason)
+      return res.status(400).json({ error: 'A reason is required' });
+    if (String(req.params.id) === String(req.user.id))
+      return res.status(400).json({ error: 'You cannot change your own account status' });
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.status === status)
+      return res.status(409).json({ error: `User is already ${status}` });
+
+    await setUserStatus(user, status, reason, req.user.id);
+
+    res.json({ message: `User ${status === 'active' ? 'reactivated' : status}`, user });
+  } catch (err) {
+    console.error('❌ Update status failed:', err);
+    res.status(500).json({ error: 'Failed to update account status' });
+  }
+});
+
+// "Delete" = soft deactivation; research keeps pointing at the account
+router.delete('/users/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedUser = await User.findByIdAndDelete(id);
-    if (!deletedUser) return res.status(404).json({ error: 'User not found' });
+    if (String(id) === String(req.user.id))
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.status === 'deactivated')
+      return res.status(409).json({ error: 'User is already deactivated' });
+
+    const reason = String(req.body?.reason || req.query.reason || '').trim() || 'Removed by administrator';
+    await setUserStatus(user, 'deactivated', reason, req.user.id);
+
+    res.json({ message: 'User deactivated successfully', user });
+  } catch (err) {
+    console.error('❌ Deactivate user failed:', err);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+const swapEmail = (list, from, to) =>
+  [...new Set((list || []).map(e => (sameEmail(e, from) ? to : String(e).toLowerCase())))];
 
-    res.json({ message: 'User deleted successfully', user: deletedUser });
+/**
+ * Moves `from`'s open review seats to `target`: approver slots in workflow
+ * definitions and in running stages, and seats on undecided review panels.
+ * Items `target` wrote, co-wrote or advises (or already sits on) are left
+ * alone and counted as `skipped` for an administrator to reassign.
+ */
+async function transferReviewDuties(from, target) {
+  const to = String(target.email).toLowerCase();
+  const result = { workflows: 0, approvals: 0, panels: 0, skipped: 0 };
+
+  const defs = await Workflow.find({ 'stages.approvers': from.email });
+  for (const def of defs) {
+    for (const stage of def.stages) {
+      stage.approvers = swapEmail(stage.approvers, from.email, to);
+      stage.required = Math.min(stage.required || 0, stage.approvers.length);
+    }
+    await def.save();
+    result.workflows += 1;
+  }
+
+  const runs = await Research.find({ 'workflow.state': 'in-progress', 'workflow.stages.approvers': from.email });
+  for (const r of runs) {
+    if (involvedIn(r, to)) {
+      result.skipped += 1;
+      continue;
+    }
+    for (const stage of r.workflow.stages) {
+      if (!['waiting', 'active'].includes(stage.state)) continue;
+      stage.approvers = swapEmail(stage.approvers, from.email, to);
+      stage.required = Math.min(stage.required || 0, stage.approvers.length);
+    }
+    await r.save();
+    result.approvals += 1;
+  }
+
+  const panels = await Research.find({ 'panel.members.email': from.email, status: { $nin: ['approved', 'rejected'] } });
+  for (const r of panels) {
+    if (involvedIn(r, to) || r.panel.members.some(m => sameEmail(m.email, to))) {
+      result.skipped += 1;
+      continue;
+    }
+    const seat = r.panel.members.find(m => sameEmail(m.email, from.email));
+    seat.email = to;
+    seat.user = target._id;
+    // the departing panelist's recommendation for this round goes with the seat's new holder
+    r.panel.recommendations = r.panel.recommendations.filter(
+      x => x.round !== r.panel.round || !sameEmail(x.email, from.email)
+    );
+    await r.save();
+    result.panels += 1;
+  }
+  return result;
+}
+
+/**
+ * Hand a departing member's work to another account.
+ * Body: { to: <userId|email>, advisees = true, records = true, reviews = true }
+ *  - advisees: submissions naming them as adviser move to the new adviser
+ *  - records:  research they uploaded becomes owned (uploadedBy) by the new account
+ *  - reviews:  workflow approver slots and review panel seats move too
+ * Authorship (author / coAuthors) is never rewritten.
+ */
+router.post('/users/:id/transfer', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { to, advisees = true, records = true, reviews = true } = req.body || {};
+    if (!to) return res.status(400).json({ error: 'Target account (to) is required' });
+    if (!advisees && !records && !reviews) return res.status(400).json({ error: 'Nothing to transfer' });
+
+    const from = await User.findById(req.params.id).select('email role status');
+    if (!from) return res.status(404).json({ error: 'User not found' });
+
+    const target = await User.findOne(
+      /^[a-f0-9]{24}$/i.test(String(to)) ? { _id: to } : { email: String(to).toLowerCase().trim() }
+    ).select('email role status firstName lastName');
+    if (!target) return res.status(404).json({ error: 'Target user not found' });
+    if (String(target._id) === String(from._id))
+      return res.status(400).json({ error: 'Source and target are the same account' });
+    if (target.status !== 'active')
+      return res.status(400).json({ error: 'Target account is not active' });
+
+    if (advisees || reviews) {
+      const caps = await capabilitiesFor(target.role);
+      if (!caps.includes('research.review'))
+        return res.status(400).json({ error: 'Target account cannot review submissions' });
+    }
+
+    const result = { advisees: 0, records: 0, reviews: null };
+    if (advisees) {
+      const r = await Research.updateMany(
+        { adviser: from.email },
+        { $set: { adviser: target.email } }
+      );
+      result.advisees = r.modifiedCount || 0;
+    }
+    if (records) {
+      const r = await Research.updateMany({ uploadedBy: from._id }, { $set: { uploadedBy: target._id } });
+      result.records = r.modifiedCount || 0;
+    }
+    if (reviews) result.reviews = await transferReviewDuties(from, target);
+
+    const seats = result.reviews
+      ? `, ${result.reviews.approvals + result.reviews.workflows} approver slot(s) and ${result.reviews.panels} panel seat(s)` +
+        (result.reviews.skipped ? ` (${result.reviews.skipped} left to reassign by hand)` : '')
+      : '';
+    res.json({
+      message: `Transferred ${result.advisees} advisee submission(s), ${result.records} record(s)${seats} to ${target.email}`,
+      from: { id: from._id, email: from.email },
+      to: { id: target._id, email: target.email },
+      ...result,
+    });
+  } catch (err) {
+    console.error('❌ Transfer failed:', err);
+    res.status(500).json({ error: 'Failed to transfer work' });
+  }
+});
+
+// Reset a user's authenticator-app enrollment (lost phone, etc.)
+router.delete('/users/:id/totp', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { totp: { enabled: false } } },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    sendSystemEmail({
+      to: user.email,
+      subject: 'Research Repository – Authenticator app removed',
+      text: 'An administrator removed the authenticator app from your account. ' +
+        'Sign in with your PIN and email code, then set it up again from your profile.',
+    }).catch(err => console.error('❌ TOTP reset notice failed:', err?.message || err));
+
+    res.json({ message: 'Authenticator enrollment reset', user });
+  } catch (err) {
+    console.error('❌ Reset TOTP failed:', err);
+    res.status(500).json({ error: 'Failed to reset authenticator' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — VIEW AS USER (impersonation)
+========================================================== */
+
+// Accounts that can manage others are never impersonated
+const PRIVILEGED_CAPS = [
+  'users.manage', 'users.impersonate', 'roles.manage', 'security.manage', 'integrations.manage',
+  'institutions.manage',
+];
+
+/*
+ * POST /api/admin/users/:id/impersonate   { reason, allowWrites? }
+ * Returns a short-lived token for the target user. Requests made with it are
+ * read-only (unless allowWrites) and each one is written to the audit log.
+ * End it early with POST /api/auth/logout using the impersonation token.
+ */
+router.post('/users/:id/impersonate', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    if (req.user.impersonator)
+      return res.status(400).json({ error: 'Already viewing as another user' });
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A reason is required' });
+    if (String(req.params.id) === String(req.user.id))
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+
+    const target = await User.findById(req.params.id)
+      .select('email role firstName lastName college status accountExpiresAt');
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (target.status && target.status !== 'active')
+      return res.status(400).json({ error: `User is ${target.status}` });
+
+    const targetCaps = await capabilitiesFor(target.role);
+    if (PRIVILEGED_CAPS.some(c => targetCaps.includes(c)))
+      return res.status(403).json({ error: 'Administrative accounts cannot be impersonated' });
+
+    const admin = { _id: req.user.id, email: req.user.email };
+    const allowWrites = req.body?.allowWrites === true;
+    const { session, token, expiresIn } = await startImpersonation(admin, target, req, { reason, allowWrites });
+
+    await recordAudit(req, {
+      action: 'impersonation.start',
+      targetType: 'User',
+      targetId: target._id,
+      details: { reason, allowWrites, session: String(session._id) },
+    });
+
+    res.json({
+      message: `Viewing as ${target.email}`,
+      impersonating: true,
+      readOnly: !allowWrites,
+      token,
+      expiresIn,
+      user: {
+        id: target._id,
+        firstName: target.firstName,
+        lastName: target.lastName,
+        email: target.email,
+        role: target.role,
+        college: target.college,
+      },
+    });
+  } catch (err) {
+    console.error('❌ Impersonation failed:', err);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — LOGIN HISTORY
+========================================================== */
+
+// ?success=true|false &page= &limit=  — also returns the user's live sessions
+router.get('/users/:id/logins', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email firstName lastName').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    // failed attempts against an unknown/old address are matched by email too
+    const filter = { $or: [{ user: user._id }, { user: null, email: user.email }] };
+    if (['true', 'false'].includes(req.query.success)) filter.success = req.query.success === 'true';
+
+    const [events, total, sessions] = await Promise.all([
+      LoginEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      LoginEvent.countDocuments(filter),
+      Session.find({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .lean(),
+    ]);
+
+    res.json({
+      user,
+      data: events,
+      sessions,
+      meta: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error('❌ Fetch login history failed:', err);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — AUDIT TRAIL
+========================================================== */
+
+// ?action=user.email-change &user=<id> (actor or target) &page= &limit=
+router.get('/audit', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    if (req.query.action) filter.action = String(req.query.action);
+    if (/^[a-f0-9]{24}$/i.test(String(req.query.user || ''))) {
+      filter.$or = [{ actor: req.query.user }, { targetId: req.query.user }];
+    }
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ data: items, meta: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    console.error('❌ Fetch audit log failed:', err);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — LOCKED ACCOUNTS (brute-force protection)
+========================================================== */
+
+// List current lockouts (?kind=account|ip, ?all=1 to include unlocked counters)
+router.get('/lockouts', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (['account', 'ip'].includes(req.query.kind)) filter.kind = req.query.kind;
+    if (!req.query.all) filter.lockedUntil = { $gt: new Date() };
+
+    const rows = await AuthThrottle.find(filter)
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .limit(500)
+      .lean();
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Fetch lockouts failed:', err);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+// Clear a single counter / lock
+router.delete('/lockouts/:id', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const row = await AuthThrottle.findByIdAndDelete(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Lockout not found' });
+    res.json({ message: 'Lockout cleared', lockout: row });
+  } catch (err) {
+    console.error('❌ Clear lockout failed:', err);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+// Clear every account counter (login / otp / reset) of a user
+router.delete('/users/:id/lockouts', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const r = await AuthThrottle.deleteMany({ kind: 'account', subject: user.email });
+    res.json({ message: 'Lockouts cleared', cleared: r.deletedCount || 0 });
+  } catch (err) {
+    console.error('❌ Clear user lockouts failed:', err);
+    res.status(500).json({ error: 'Failed to clear lockouts' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — ERASURE REQUESTS (data-subject right to be forgotten)
+========================================================== */
+
+// ?status=pending (default) | approved | rejected | cancelled | all
+router.get('/erasure-requests', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const filter = status === 'all' ? {} : { status };
+    const items = await ErasureRequest.find(filter)
+      .populate('user', 'firstName lastName email role status erasedAt')
+      .populate('decidedBy', 'email firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+    res.json(items);
+  } catch (err) {
+    console.error('❌ Fetch erasure requests failed:', err);
+    res.status(500).json({ error: 'Failed to fetch erasure requests' });
+  }
+});
+
+// Approve → anonymize now. { note? }
+router.post('/erasure-requests/:id/approve', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const request = await ErasureRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Erasure request not found' });
+    if (request.status !== 'pending')
+      return res.status(409).json({ error: `Request is already ${request.status}` });
+    if (String(request.user) === String(req.user.id))
+      return res.status(400).json({ error: 'Ask another administrator to approve your own request' });
+
+    const user = await User.findById(request.user).select('email firstName erasedAt');
+    if (!user || user.erasedAt) return res.status(409).json({ error: 'Account no longer exists or is already erased' });
+
+    const duties = await pendingReviewDuties(user.email);
+    if (duties.total) {
+      const { total, ...counts } = duties;
+      return res.status(409).json({
+        error:
+          `This user still holds review duties (${duties.advisees} advisee(s), ${duties.approvals} workflow sign-off(s), ` +
+          `${duties.panels} panel seat(s), ${duties.workflows} workflow definition(s)) — transfer them first`,
+        pendingReviewDuties: counts,
+      });
+    }
+
+    // claim it first so a second approval (or the user withdrawing) can't run alongside
+    const note = String(req.body?.note || '').trim();
+    const claimed = await ErasureRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'processing', decidedAt: new Date(), decidedBy: req.user.id, decisionNote: note } },
+      { new: true }
+    );
+    if (!claimed) return res.status(409).json({ error: 'Request is no longer pending' });
+
+    const email = user.email; // gone from the account once erased
+    let result;
+    try {
+      result = await eraseUser(req, user._id, { requestId: String(request._id) });
+    } catch (err) {
+      await ErasureRequest.updateOne(
+        { _id: claimed._id, status: 'processing' },
+        { $set: { status: 'pending', decidedAt: null, decidedBy: null, decisionNote: '' } }
+      );
+      throw err;
+    }
+
+    await ErasureRequest.updateOne({ _id: claimed._id }, { $set: { status: 'approved', result } });
+
+    sendSystemEmail({
+      to: email,
+      subject: 'Research Repository – Your erasure request was approved',
+      text:
+        'Your request to erase your personal data was approved. Your profile and sign-in data have been ' +
+        'removed; published works stay in the repository under your name. This is the last email you will receive.',
+    }).catch(err => console.error('❌ Erasure notice failed:', err?.message || err));
+
+    res.json({ message: 'Account erased', result });
+  } catch (err) {
+    console.error('❌ Approve erasure failed:', err);
+    res.status(500).json({ error: 'Failed to erase account' });
+  }
+});
+
+// Reject with a reason the user is told (e.g. records we must retain)
+router.post('/erasure-requests/:id/reject', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const note = String(req.body?.note || '').trim();
+    if (!note) return res.status(400).json({ error: 'A reason is required' });
+
+    const request = await ErasureRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'rejected', decidedAt: new Date(), decidedBy: req.user.id, decisionNote: note } },
+      { new: true }
+    );
+    if (!request) return res.status(404).json({ error: 'No pending erasure request with that id' });
+
+    await recordAudit(req, {
+      action: 'user.erasure-reject',
+      targetType: 'User',
+      targetId: request.user,
+      details: { request: String(request._id), note },
+    });
+
+    sendSystemEmail({
+      to: request.email,
+      subject: 'Research Repository – About your erasure request',
+      text: `Your request to erase your personal data was not approved: ${note}`,
+    }).catch(err => console.error('❌ Erasure notice failed:', err?.message || err));
+
+    res.json({ message: 'Erasure request rejected', request });
+  } catch (err) {
+    console.error('❌ Reject erasure failed:', err);
+    res.status(500).json({ error: 'Failed to reject request' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — API KEYS (service integrations)
+========================================================== */
+
+// Validates { scopes, rateLimit, expiresAt } from a create/update body
+function parseKeyOptions(body = {}) {
+  const out = {};
+  if (body.scopes !== undefined) {
+    const scopes = [...new Set((Array.isArray(body.scopes) ? body.scopes : [body.scopes]).map(String))];
+    const unknown = scopes.filter(s => !API_KEY_SCOPES[s]);
+    if (unknown.length) return { error: `Unknown scope(s): ${unknown.join(', ')}` };
+    if (!scopes.length) return { error: 'At least one scope is required' };
+    out.scopes = scopes;
+  }
+  if (body.rateLimit !== undefined) {
+    const n = Number(body.rateLimit);
+    if (!Number.isInteger(n) || n < 1 || n > 10000)
+      return { error: 'rateLimit must be 1–10000 requests per minute' };
+    out.rateLimit = n;
+  }
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === '') out.expiresAt = null;
+    else {
+      const d = new Date(body.expiresAt);
+      if (Number.isNaN(d.getTime()) || d <= new Date())
+        return { error: 'expiresAt must be a future date' };
+      out.expiresAt = d;
+    }
+  }
+  return { fields: out };
+}
+
+// Scope catalogue + every key (?active=1 hides revoked / expired)
+router.get('/api-keys', requirePermission('integrations.manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active) {
+      filter.revokedAt = null;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+    const keys = await ApiKey.find(filter)
+      .populate('createdBy', 'email firstName lastName')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ scopes: API_KEY_SCOPES, data: keys.map(toPublicKey) });
+  } catch (err) {
+    console.error('❌ Fetch API keys failed:', err);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/*
+ * POST /api/admin/api-keys   { name, scopes?, rateLimit?, expiresAt?, institution? }
+ * The plain key is in this response only — it is stored hashed.
+ */
+router.post('/api-keys', requirePermission('integrations.manage'), async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'A name is required' });
+
+    const opts = parseKeyOptions(req.body);
+    if (opts.error) return res.status(400).json({ error: opts.error });
+
+    const inst = await findInstitution(req.body?.institution || req.user.institution || DEFAULT_INSTITUTION_CODE);
+    if (!inst) return res.status(400).json({ error: 'Unknown institution' });
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const doc = await ApiKey.create({
+      name, prefix, keyHash, institution: inst.code, createdBy: req.user.id, ...opts.fields,
+    });
+
+    await recordAudit(req, {
+      action: 'api-key.create',
+      targetType: 'ApiKey',
+      targetId: doc._id,
+      details: { name, scopes: doc.scopes, rateLimit: doc.rateLimit, institution: doc.institution, expiresAt: doc.expiresAt },
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now — it will not be shown again.',
+      key,
+      apiKey: toPublicKey(doc),
+    });
+  } catch (err) {
+    console.error('❌ Create API key failed:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rename / re-scope / change limit or expiry (revoked keys stay revoked)
+router.patch('/api-keys/:id', requirePermission('integrations.manage'), async (req, res) => {
+  try {
+    const opts = parseKeyOptions(req.body);
+    if (opts.error) return res.status(400).json({ error: opts.error });
+    const update = opts.fields;
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) return res.status(400).json({ error: 'A name is required' });
+      update.name = name;
+    }
+
+    const doc = await ApiKey.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'API key not found' });
+    if (doc.revokedAt) return res.status(409).json({ error: 'API key is revoked' });
+
+    doc.set(update);
+    await doc.save();
+
+    await recordAudit(req, {
+      action: 'api-key.update',
+      targetType: 'ApiKey',
+      targetId: doc._id,
+      details: update,
+    });
+    res.json({ message: 'API key updated', apiKey: toPublicKey(doc) });
+  } catch (err) {
+    console.error('❌ Update API key failed:', err);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// Revoke (kept for the usage record; rejected from the next request on)
+router.delete('/api-keys/:id', requirePermission('integrations.manage'), async (req, res) => {
+  try {
+    const doc = await ApiKey.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'API key not found' });
+    if (doc.revokedAt) return res.json({ message: 'API key already revoked', apiKey: toPublicKey(doc) });
+
+    doc.revokedAt = new Date();
+    await doc.save();
+
+    await recordAudit(req, {
+      action: 'api-key.revoke',
+      targetType: 'ApiKey',
+      targetId: doc._id,
+      details: { name: doc.name },
+    });
+    res.json({ message: 'API key revoked', apiKey: toPublicKey(doc) });
+  } catch (err) {
+    console.error('❌ Revoke API key failed:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+/* ==========================================================
+   ADMIN — ROLES & CAPABILITIES
+========================================================== */
+
+// Catalogue + current grants
+router.get('/permissions', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roles = await listRoles();
+    const counts = await User.aggregate([{ $group: { _id: '$role', n: { $sum: 1 } } }]);
+    const byRole = Object.fromEntries(counts.map(c => [c._id, c.n]));
+
+    res.json({
+      capabilities: CAPABILITIES,
+      roles: roles.map(r => ({ ...r, users: byRole[r.role] || 0 })),
+    });
+  } catch (err) {
+    console.error('❌ Fetch permissions failed:', err);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+// Create a role or replace its grants
+router.put('/permissions/:role', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = String(req.params.role || '').toLowerCase().trim();
+    if (role === 'admin')
+      return res.status(403).json({ error: 'The admin role always has every capability' });
+
+    const { capabilities, label } = req.body || {};
+    if (!Array.isArray(capabilities))
+      return res.status(400).json({ error: 'capabilities must be an array' });
+
+    const caps = [...new Set(capabilities.map(c => String(c).trim()).filter(Boolean))];
+    const unknown = caps.filter(c => c !== ALL && !CAPABILITIES[c]);
+    if (unknown.length)
+      return res.status(400).json({ error: `Unknown capabilities: ${unknown.join(', ')}` });
+
+    const doc = await RolePermission.findOneAndUpdate(
+      { role },
+      {
+        $set: {
+          capabilities: caps,
+          ...(label != null ? { label: String(label).trim() } : {}),
+          builtIn: BUILT_IN_ROLES.includes(role),
+        },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    invalidatePermissions();
+    res.json({ message: 'Role permissions saved', role: doc });
+  } catch (err) {
+    if (err?.name === 'ValidationError')
+      return res.status(400).json({ error: err.message });
+    console.error('❌ Save permissions failed:', err);
+    res.status(500).json({ error: 'Failed to save permissions' });
+  }
+});
+
+// Remove a custom role (built-ins fall back to their default grants)
+router.delete('/permissions/:role', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = String(req.params.role || '').toLowerCase().trim();
+
+    if (!BUILT_IN_ROLES.includes(role)) {
+      const inUse = await User.countDocuments({ role });
+      if (inUse)
+        return res.status(409).json({ error: `Role is assigned to ${inUse} user(s). Reassign them first.` });
+    }
+
+    const doc = await RolePermission.findOneAndDelete({ role });
+    if (!doc) return res.status(404).json({ error: 'No saved grants for this role' });
+
+    invalidatePermissions();
+    res.json({
+      message: BUILT_IN_ROLES.includes(role)
+        ? 'Role reset to default permissions'
+        : 'Role removed',
+    });
   } catch (err) {
-    console.error('❌ Delete user failed:', err);
-    res.status(500).json({ error: 'Failed to delete user' });
+    console.error('❌ Delete role failed:', err);
+    res.status(500).json({ error: 'Failed to remove role' });
   }
 });
 
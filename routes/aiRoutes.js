@@ -5,7 +5,10 @@ const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
 
+const { requirePermission } = require("../middleware/authMiddleware");
+
 const router = express.Router();
+router.use(requirePermission("ai.use"));
 const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
 const upload = multer({ dest: "uploads/temp/" });
 
@@ -2,40 +2,181 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const ErasureRequest = require('../models/ErasureRequest');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { authorize } = require('../middleware/authMiddleware');
-const { sendOtpEmail } = require("../utils/mailer");
+const { sendOtpEmail, sendLockoutEmail, sendSystemEmail } = require("../utils/mailer");
+const { checkLock, recordFailure, clearFailures } = require('../utils/throttle');
+const { issueCode, verifyCode, ttlMinutes, OTP_ERRORS } = require('../utils/otp');
+const {
+  generateSecret,
+  otpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/totp');
+const {
+  getAffiliation,
+  accountBlockReason,
+  signMfaTicket,
+  mfaTicketMatches,
+  startSession,
+  rotateSession,
+  sessionUserPayload,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/sessions');
+const { resolveAffiliation } = require('../utils/colleges');
+const { institutionForEmail } = require('../utils/institutions');
+const { changeUserEmail } = require('../utils/emailChange');
+const { describeUserAgent, recordLoginAttempt, recordSignIn } = require('../utils/loginEvents');
+const { matchAcceptance, recordConsent } = require('../utils/consent');
+const { collectPersonalData } = require('../utils/personalData');
+const { createZip } = require('../utils/zip');
+const { recordAudit } = require('../utils/audit');
+const { normalizePhone, maskPhone, smsEnabled, sendOtpSms } = require('../utils/sms');
+const Session = require('../models/Session');
+const { can } = require('../utils/permissions');
 
 
 /* =============================
-   Helpers
+   Brute-force protection
 ============================= */
-function getAffiliation(email = '') {
-  // ✅ everyone with @g.msuiit.edu.ph is considered MSU-IIT
-  return /@g\.msuiit\.edu\.ph$/i.test(String(email).toLowerCase().trim())
-    ? 'MSU-IIT'
-    : 'external';
+// Coarse per-IP ceiling in front of the per-account counters below
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 100,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please slow down.' },
+});
+
+function sendLocked(res, lock) {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed attempts. Try again later.',
+    retryAfter: lock.retryAfter,
+  });
+}
+
+/**
+ * Counts a wrong PIN/code for this account + IP and mails the owner
+ * when the account has just been locked.
+ */
+async function failAttempt(scope, req, email, { notify = true } = {}) {
+  const result = await recordFailure(scope, { email, ip: req.ip });
+  if (notify && result.newlyLocked.includes('account')) {
+    sendLockoutEmail(email, { scope, until: result.lockedUntil })
+      .catch(err => console.error('❌ Lockout notice failed:', err?.message || err));
+  }
+  return result;
+}
+
+
+/* =============================
+   One-time codes (see utils/otp.js)
+============================= */
+const OTP_MAIL_TITLES = {
+  verify: "Verify Your Research Repository Account",
+  login: "Your Login Verification Code",
+  reset: "Research Repository – Reset PIN Code",
+  "email-change": "Confirm Your Email Change",
+};
+
+const LOGIN_CODE_COOLDOWN_MS = 30 * 1000;
+
+// 🔑 Roles that must sign in with a passkey once they have registered one
+// (e.g. "staff,admin"). Everyone else keeps PIN + code.
+const PASSKEY_REQUIRED_ROLES = (process.env.PASSKEY_REQUIRED_ROLES || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+// 📱 codes that may go by text message instead of email
+const SMS_PURPOSES = ['login', 'reset'];
+const USER_OTP_FIELDS = 'phone phoneVerified otpChannel';
+
+/** 'sms' when the account prefers it (or asks for it now) and has a verified phone. */
+function codeChannel(user, purpose, requested) {
+  if (!SMS_PURPOSES.includes(purpose) || !smsEnabled()) return 'email';
+  if (!user.phoneVerified || !user.phone) return 'email';
+  return (requested || user.otpChannel) === 'sms' ? 'sms' : 'email';
+}
+
+/**
+ * Issues a code for `purpose` and delivers it — by SMS when `codeChannel()`
+ * says so, else by email (to `to`, default the account address). The code is
+ * always bound to the account address, whatever the channel. Passes cooldown
+ * refusals through; the result carries `channel` (and `sentTo` for SMS).
+ */
+async function sendCode(user, purpose, { cooldownMs, to = user.email, title, channel } = {}) {
+  const issued = await issueCode({ user, purpose, target: to, cooldownMs });
+  if (!issued.ok) return issued;
+
+  const expiresInMinutes = ttlMinutes(purpose);
+  if (codeChannel(user, purpose, channel) === 'sms') {
+    try {
+      const phone = normalizePhone(user.phone) || user.phone;
+      await sendOtpSms(phone, issued.code, purpose, { expiresInMinutes });
+      return { ...issued, channel: 'sms', sentTo: maskPhone(phone) };
+    } catch (smsErr) {
+      // the gateway is down — don't leave the user without a code
+      console.error('❌ SMS code failed, falling back to email:', smsErr?.message || smsErr);
+    }
+  }
+
+  await sendOtpEmail(to, issued.code, title || OTP_MAIL_TITLES[purpose], { expiresInMinutes });
+  return { ...issued, channel: 'email' };
 }
 
+/* =============================
+   Second factor: TOTP / recovery codes
+============================= */
+/**
+ * Checks an authenticator code (`factor: 'totp'`) or a recovery code
+ * (`factor: 'recovery'`). Both are single-use.
+ */
+async function verifySecondFactor(user, factor, code) {
+  const full = await User.findById(user._id).select(
+    '+totp.secretEnc +totp.lastUsedStep +totp.recoveryCodes totp.enabled'
+  );
+  if (!full?.totp?.enabled) return { ok: false, error: 'Authenticator app is not set up' };
+
+  if (factor === 'totp') {
+    const step = verifyTotp(decryptSecret(full.totp.secretEnc), code, {
+      lastUsedStep: full.totp.lastUsedStep || 0,
+    });
+    if (step === null) return { ok: false, error: 'Invalid authenticator code' };
 
-function signAuthToken(user) {
-  const affiliation = getAffiliation(user.email);
-  return jwt.sign(
+    // conditional so the same code can't be redeemed twice concurrently
+    const r = await User.updateOne(
+      { _id: full._id, 'totp.lastUsedStep': { $lt: step } },
+      { $set: { 'totp.lastUsedStep': step } }
+    );
+    return r.modifiedCount ? { ok: true } : { ok: false, error: 'Code already used' };
+  }
+
+  const r = await User.updateOne(
     {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      affiliation,           // now aligns with the single rule above
-      college: user.college || '',
+      _id: full._id,
+      'totp.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } },
     },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d', issuer: 'repo-api' }
+    { $set: { 'totp.recoveryCodes.$.usedAt': new Date() } }
   );
+  return r.modifiedCount ? { ok: true } : { ok: false, error: 'Invalid recovery code' };
 }
 
-
-
+function sendCooldown(res, issued) {
+  res.set('Retry-After', String(issued.retryAfter));
+  return res.status(429).json({
+    error: 'Please wait before requesting another code.',
+    retryAfter: issued.retryAfter,
+  });
+}
 
 
 /* =============================
@@ -43,7 +184,7 @@ function signAuthToken(user) {
 ============================= */
 router.post('/register', async (req, res) => {
   try {
-    let { firstName, lastName, email, role, college } = req.body;
+    let { firstName, lastName, email, role, college, department } = req.body;
 
     let rawPin =
       req.body.pin ??
@@ -61,10 +202,24 @@ router.post('/register', async (req, res) => {
     if (!/^\d{6}$/.test(rawPin))
       return res.status(400).json({ error: 'PIN must be 6 digits' });
 
+    if (String(role || '').toLowerCase() === 'guest')
+      return res.status(403).json({ error: 'Guest accounts are invite-only' });
+
     const existing = await User.findOne({ email });
     if (existing)
       return res.status(409).json({ error: 'Email already registered' });
 
+    const aff = await resolveAffiliation(
+      { college, department },
+      { institution: (await institutionForEmail(email))?.code }
+    );
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
+    // 📄 current privacy notice + deposit terms, e.g. { privacy: 3, terms: 2 }
+    const consent = await matchAcceptance(req.body.consents, { requireAll: true });
+    if (consent.error)
+      return res.status(400).json({ error: consent.error, consentRequired: consent.required });
+
     const pinHash = await bcrypt.hash(rawPin, 10);
 
     const user = new User({
@@ -73,14 +228,28 @@ router.post('/register', async (req, res) => {
       email,
       pinHash,
       role: role || 'student',
-      college: college || '',
+      ...aff.fields,
       verified: false,
     });
 
     await user.save();
 
+    try {
+      await recordConsent(user, consent.docs, req, { context: 'register' });
+    } catch (consentErr) {
+      // the account exists; authorize() asks again on first sign-in
+      console.error('❌ Registration consent not recorded:', consentErr?.message || consentErr);
+    }
+
+    try {
+      await sendCode(user, 'verify', { cooldownMs: 0 });
+    } catch (mailErr) {
+      // account exists either way; the code can be resent from the login screen
+      console.error('❌ Registration code email failed:', mailErr?.message || mailErr);
+    }
+
     return res.status(201).json({
-      message: 'Registered successfully. Verify your email on first login.',
+      message: 'Registered successfully. Check your email for the verification code.',
     });
   } catch (err) {
     console.error('❌ Registration error:', err);
@@ -92,7 +261,7 @@ router.post('/register', async (req, res) => {
 /* =============================
    🔐 Login + Send OTP
 ============================= */
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').toLowerCase().trim();
     const rawPin = String(
@@ -105,36 +274,78 @@ router.post('/login', async (req, res) => {
     if (!/^\d{6}$/.test(rawPin))
       return res.status(400).json({ error: 'PIN must be 6 digits' });
 
+    const attempt = { email, step: 'login', method: 'pin' };
+
+    const lock = await checkLock('login', { email, ip: req.ip });
+    if (lock.locked) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'locked' });
+      return sendLocked(res, lock);
+    }
+
     const user = await User.findOne({ email }).select(
-      '+pinHash email role firstName lastName verified verificationCode college loginOtp loginOtpExpires'
+      `+pinHash email role firstName lastName verified college totp.enabled status accountExpiresAt ${USER_OTP_FIELDS}`
     );
 
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'unknown-account' });
+      await failAttempt('login', req, email, { notify: false });
+      return res.status(404).json({ error: 'User not found' });
+    }
+    attempt.user = user;
 
     const isMatch = await bcrypt.compare(rawPin, user.pinHash);
-    if (!isMatch) return res.status(401).json({ error: 'Invalid PIN' });
+    if (!isMatch) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'invalid-pin' });
+      const failed = await failAttempt('login', req, email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    await clearFailures('login', { email });
 
-    if (!user.verified) {
-      user.verificationCode = otp;
-    } else {
-      user.loginOtp = otp;
-      user.loginOtpExpires = new Date(Date.now() + 5 * 60 * 1000);
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'account-blocked' });
+      return res.status(403).json({ error: blocked });
     }
 
-    await user.save();
+    if (PASSKEY_REQUIRED_ROLES.includes(user.role) && await Passkey.exists({ user: user._id })) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'passkey-required' });
+      return res.status(403).json({
+        error: 'This account must sign in with a passkey',
+        passkeyRequired: true,
+      });
+    }
 
-    // Send OTP using corrected Brevo API
-    await sendOtpEmail(
-      user.email,
-      otp,
-      user.verified
-        ? "Your Login Verification Code"
-        : "Verify Your Research Repository Account"
-    );
+    // PIN step passed; the sign-in itself is recorded at /verify-code
+    recordLoginAttempt(req, { ...attempt, success: true });
+
+    const hasTotp = !!(user.verified && user.totp?.enabled);
+    const factors = hasTotp ? ['email', 'totp'] : ['email'];
+    const mfa = hasTotp ? { factors, mfaToken: signMfaTicket(user) } : { factors };
+
+    // 📱 authenticator chosen: no email needed
+    if (hasTotp && req.body.factor === 'totp') {
+      return res.json({ needsVerification: true, email: user.email, factor: 'totp', ...mfa });
+    }
+
+    const purpose = user.verified ? 'login' : 'verify';
+    // ?channel=email|sms overrides the saved preference for this sign-in (lost phone …)
+    const issued = await sendCode(user, purpose, {
+      cooldownMs: LOGIN_CODE_COOLDOWN_MS,
+      channel: req.body.channel,
+    });
 
-    return res.json({ needsVerification: true, email: user.email });
+    // within the cooldown the code already sent is still valid
+    return res.json({
+      needsVerification: true,
+      email: user.email,
+      factor: 'email',
+      ...mfa,
+      ...(issued.ok
+        ? { channel: issued.channel, ...(issued.sentTo ? { sentTo: issued.sentTo } : {}) }
+        : { codeAlreadySent: true, retryAfter: issued.retryAfter }),
+    });
 
   } catch (err) {
     console.error('❌ Login error:', err);
@@ -146,33 +357,25 @@ router.post('/login', async (req, res) => {
 /* =============================
    ✉️ Send PIN Reset Code
 ============================= */
-router.post('/send-pin-reset-code', async (req, res) => {
+router.post('/send-pin-reset-code', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').toLowerCase().trim();
 
     if (!email)
       return res.status(400).json({ error: 'Email required' });
 
-    const user = await User.findOne({ email }).select(
-      'email resetCode resetCodeExpires firstName'
-    );
+    const user = await User.findOne({ email }).select(`email firstName ${USER_OTP_FIELDS}`);
 
     if (!user) return res.status(404).json({ error: 'No account found' });
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    user.resetCode = code;
-    user.resetCodeExpires = new Date(Date.now() + 15 * 60 * 1000);
+    const issued = await sendCode(user, 'reset', { channel: req.body.channel });
+    if (!issued.ok) return sendCooldown(res, issued);
 
-    await user.save();
-
-    await sendSystemEmail({
-      to: email,
-      subject: "Research Repository – Reset PIN Code",
-      text: `Your reset code is: ${code} \nThis code expires in 15 minutes.`,
+    return res.json({
+      message: issued.channel === 'sms' ? `Reset code sent to ${issued.sentTo}` : 'Reset code sent',
+      channel: issued.channel,
     });
 
-    return res.json({ message: 'Reset code sent' });
-
   } catch (err) {
     console.error('❌ Reset code error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -182,7 +385,7 @@ router.post('/send-pin-reset-code', async (req, res) => {
 /* =============================
    🔁 validate-reset-code
 ============================= */
-router.post('/validate-reset-code', async (req, res) => {
+router.post('/validate-reset-code', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').trim().toLowerCase();
     const code = String(req.body.code || '').trim();
@@ -190,17 +393,20 @@ router.post('/validate-reset-code', async (req, res) => {
     if (!email || !/^\d{6}$/.test(code))
       return res.status(400).json({ error: 'Valid email and code required' });
 
-    const user = await User.findOne({ email }).select(
-      'resetCode resetCodeExpires'
-    );
+    const lock = await checkLock('reset', { email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
 
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findOne({ email }).select('email');
 
-    if (user.resetCode !== code)
-      return res.status(400).json({ error: 'Invalid code' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    if (user.resetCodeExpires.getTime() < Date.now())
-      return res.status(400).json({ error: 'Code expired' });
+    // peek only — the code is consumed by /reset-pin
+    const check = await verifyCode({ user, purpose: 'reset', code, target: email, consume: false });
+    if (!check.ok) {
+      const failed = await failAttempt('reset', req, email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(400).json({ error: OTP_ERRORS[check.reason] });
+    }
 
     return res.json({ ok: true });
 
@@ -213,7 +419,7 @@ router.post('/validate-reset-code', async (req, res) => {
 /* =============================
    🔁 reset-pin (final step)
 ============================= */
-router.post('/reset-pin', async (req, res) => {
+router.post('/reset-pin', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').trim().toLowerCase();
     const code = String(req.body.code || '').trim();
@@ -222,25 +428,36 @@ router.post('/reset-pin', async (req, res) => {
     if (!email || !/^\d{6}$/.test(code) || !/^\d{6}$/.test(newPin))
       return res.status(400).json({ error: 'Invalid input' });
 
+    const lock = await checkLock('reset', { email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
+
     const user = await User.findOne({ email }).select(
-      '+pinHash resetCode resetCodeExpires role firstName lastName college verified'
+      '+pinHash email role firstName lastName college verified status accountExpiresAt'
     );
 
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    if (user.resetCode !== code)
-      return res.status(400).json({ error: 'Invalid reset code' });
+    const blocked = accountBlockReason(user);
+    if (blocked) return res.status(403).json({ error: blocked });
 
-    if (user.resetCodeExpires.getTime() < Date.now())
-      return res.status(400).json({ error: 'Code expired' });
+    const check = await verifyCode({ user, purpose: 'reset', code, target: email });
+    if (!check.ok) {
+      const failed = await failAttempt('reset', req, email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(400).json({ error: OTP_ERRORS[check.reason] });
+    }
 
     user.pinHash = await bcrypt.hash(newPin, 10);
-    user.resetCode = null;
-    user.resetCodeExpires = null;
 
     await user.save();
+    await Promise.all([
+      clearFailures('reset', { email }),
+      clearFailures('login', { email }),
+    ]);
 
-    const token = signAuthToken(user);
+    // 🔒 a PIN reset ends every existing session before signing this one in
+    await revokeAllSessions(user._id, 'pin-reset');
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
 
     return res.json({
       message: "PIN updated",
@@ -251,6 +468,8 @@ router.post('/reset-pin', async (req, res) => {
         email: user.email,
         role: user.role,
         token,
+        refreshToken,
+        expiresIn,
       },
     });
 
@@ -265,59 +484,82 @@ router.post('/reset-pin', async (req, res) => {
 /* =============================
    📧 verify-code
 ============================= */
-router.post('/verify-code', async (req, res) => {
+router.post('/verify-code', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').trim().toLowerCase();
     const code = String(req.body.code || '').trim();
+    const factor = ['totp', 'recovery'].includes(req.body.factor) ? req.body.factor : 'email';
 
-    if (!email || !/^\d{6}$/.test(code))
+    const codeOk = factor === 'recovery'
+      ? /^[a-z2-7]{4}-?[a-z2-7]{4}$/i.test(code)
+      : /^\d{6}$/.test(code);
+
+    if (!email || !codeOk)
       return res.status(400).json({ error: 'Valid email + code required' });
 
+    const attempt = { email, step: 'verify-code', method: factor };
+
+    const lock = await checkLock('otp', { email, ip: req.ip });
+    if (lock.locked) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'locked' });
+      return sendLocked(res, lock);
+    }
+
     const user = await User.findOne({ email }).select(
-      'email verified verificationCode loginOtp loginOtpExpires firstName lastName role college'
+      'email verified firstName lastName role college status accountExpiresAt'
     );
 
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'unknown-account' });
+      return res.status(404).json({ error: 'User not found' });
+    }
+    attempt.user = user;
 
-    // First-time verification
-    if (!user.verified) {
-      if (user.verificationCode !== code)
-        return res.status(400).json({ error: 'Invalid verification code' });
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      recordLoginAttempt(req, { ...attempt, success: false, reason: 'account-blocked' });
+      return res.status(403).json({ error: blocked });
+    }
+
+    if (factor === 'email') {
+      // First-time verification uses the 'verify' code, later logins the 'login' code
+      const purpose = user.verified ? 'login' : 'verify';
+      const check = await verifyCode({ user, purpose, code, target: email });
+      if (!check.ok) {
+        recordLoginAttempt(req, { ...attempt, success: false, reason: check.reason });
+        const failed = await failAttempt('otp', req, email);
+        if (failed.locked) return sendLocked(res, failed);
+        return res.status(400).json({ error: OTP_ERRORS[check.reason] });
+      }
+    } else {
+      if (!mfaTicketMatches(req.body.mfaToken, user)) {
+        recordLoginAttempt(req, { ...attempt, success: false, reason: 'missing-pin-step' });
+        return res.status(401).json({ error: 'Sign in with your PIN first' });
+      }
+
+      const check = await verifySecondFactor(user, factor, code);
+      if (!check.ok) {
+        recordLoginAttempt(req, { ...attempt, success: false, reason: 'invalid' });
+        const failed = await failAttempt('otp', req, email);
+        if (failed.locked) return sendLocked(res, failed);
+        return res.status(400).json({ error: check.error });
+      }
+    }
 
+    if (!user.verified) {
       user.verified = true;
-      user.verificationCode = null;
       user.lastVerifiedAt = new Date();
-
       await user.save();
     }
 
-    // Login OTP
-    else {
-      if (user.loginOtp !== code)
-        return res.status(400).json({ error: 'Invalid login code' });
-
-      if (user.loginOtpExpires.getTime() < Date.now())
-        return res.status(400).json({ error: 'Code expired' });
-
-      user.loginOtp = null;
-      user.loginOtpExpires = null;
+    await clearFailures('otp', { email });
 
-      await user.save();
-    }
-
-    const token = signAuthToken(user);
+    const tokens = await startSession(user, req);
+    recordSignIn(req, user, { step: 'verify-code', method: factor, session: tokens.session });
 
     return res.json({
       message: "Verification successful",
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        college: user.college,
-        token,
-      },
+      user: sessionUserPayload(user, tokens),
     });
 
   } catch (err) {
@@ -332,7 +574,7 @@ router.post('/verify-code', async (req, res) => {
 /* =============================
    🔁 Resend Verification Code
 ============================= */
-router.post('/resend-code', async (req, res) => {
+router.post('/resend-code', authLimiter, async (req, res) => {
   try {
     const email = String(req.body.email || '').trim().toLowerCase();
 
@@ -346,18 +588,8 @@ router.post('/resend-code', async (req, res) => {
     if (user.verified)
       return res.status(409).json({ error: 'Already verified' });
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-
-    await User.updateOne(
-      { email },
-      { $set: { verificationCode: code } }
-    );
-
-    await sendSystemEmail({
-      to: email,
-      subject: "Verify Your Research Repository Account",
-      text: `Your verification code is: ${code}`,
-    });
+    const issued = await sendCode(user, 'verify');
+    if (!issued.ok) return sendCooldown(res, issued);
 
     return res.json({ message: 'Verification code resent' });
 
@@ -373,7 +605,7 @@ router.post('/resend-code', async (req, res) => {
 router.get('/me', authorize(), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select(
-      '-pinHash -verificationCode'
+      '-pinHash'
     );
 
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -387,8 +619,20 @@ router.get('/me', authorize(), async (req, res) => {
       role: user.role,
       verified: user.verified,
       phone: user.phone || "",
+      phoneVerified: !!user.phoneVerified,
+      otpChannel: user.otpChannel || 'email',
+      smsAvailable: smsEnabled(),
       affiliation: getAffiliation(user.email),
+      institution: user.institution || '',
       college: user.college || '',
+      department: user.department || '',
+      permissions: req.user.permissions || [],
+      // set while an admin is viewing as this user
+      impersonatedBy: req.user.impersonator
+        ? { id: req.user.impersonator.id, email: req.user.impersonator.email }
+        : null,
+      // non-empty → show the consent screen before anything else
+      consentRequired: req.user.consentsDue || [],
       createdAt: user.createdAt,
     });
 
@@ -404,7 +648,7 @@ router.get('/me', authorize(), async (req, res) => {
 ============================= */
 router.get('/me', authorize(), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-pinHash -verificationCode');
+    const user = await User.findById(req.user.id).select('-pinHash');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     res.json({
@@ -430,25 +674,44 @@ router.get('/me', authorize(), async (req, res) => {
 
 router.put("/update", authorize(), async (req, res) => {
   try {
-    const { firstName, lastName, phone, affiliation, college } = req.body;
+    const { firstName, lastName, phone, affiliation, college, department } = req.body;
 
     if (!firstName || !lastName) {
       return res.status(400).json({ error: "First and last name required" });
     }
 
+    const aff = await resolveAffiliation({ college, department }, { institution: req.user.institution });
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
+    // 🏫 a scoped manager's own college is their scope — only admins move it
+    if (
+      can(req.user, "research.manage") &&
+      !can(req.user, "scope.global") &&
+      aff.fields.college.toLowerCase() !== String(req.user.college || "").toLowerCase()
+    ) {
+      return res.status(403).json({ error: "Ask an administrator to change your college" });
+    }
+
     const updates = {
       firstName,
       lastName,
       phone: phone || "",
       affiliation: affiliation || "",
-      college: college || "",
+      ...aff.fields,
     };
 
+    // 📱 a different number has to be verified again before it receives codes
+    const current = await User.findById(req.user.id).select("phone").lean();
+    const samePhone =
+      (normalizePhone(phone) || String(phone || "")) === (normalizePhone(current?.phone) || String(current?.phone || ""));
+    if (samePhone) updates.phone = current?.phone || "";
+    else Object.assign(updates, { phoneVerified: false, phoneVerifiedAt: null, otpChannel: "email" });
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
       { new: true }
-    ).select("-pinHash -verificationCode");
+    ).select("-pinHash");
 
     res.json({ message: "Profile updated", user });
 
@@ -457,10 +720,218 @@ router.put("/update", authorize(), async (req, res) => {
     res.status(500).json({ error: "Failed to update profile" });
   }
 });
+/* =============================
+   📱 Phone verification + code channel
+   1) POST /phone/verify/start   { phone? }        → SMS code (defaults to the saved number)
+   2) POST /phone/verify/confirm { phone, code }
+   PUT /otp-channel { channel: 'email' | 'sms' }
+============================= */
+router.post('/phone/verify/start', authLimiter, authorize(), async (req, res) => {
+  try {
+    if (!smsEnabled()) return res.status(503).json({ error: 'Text messages are not available' });
+
+    const user = await User.findById(req.user.id).select('email phone');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const phone = normalizePhone(req.body?.phone || user.phone);
+    if (!phone) return res.status(400).json({ error: 'Enter a valid mobile number, e.g. 09171234567' });
+
+    const issued = await issueCode({ user, purpose: 'phone-verify', target: phone });
+    if (!issued.ok) return sendCooldown(res, issued);
+
+    await sendOtpSms(phone, issued.code, 'phone-verify', { expiresInMinutes: ttlMinutes('phone-verify') });
+    return res.json({ message: `Code sent to ${maskPhone(phone)}`, phone });
+  } catch (err) {
+    console.error('❌ phone verify start error:', err);
+    return res.status(500).json({ error: 'Failed to send code' });
+  }
+});
+
+router.post('/phone/verify/confirm', authLimiter, authorize(), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+    if (!phone || !/^\d{6}$/.test(code))
+      return res.status(400).json({ error: 'Phone number and 6-digit code required' });
+
+    const user = await User.findById(req.user.id).select('email');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const lock = await checkLock('otp', { email: user.email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
+
+    const check = await verifyCode({ user, purpose: 'phone-verify', code, target: phone });
+    if (!check.ok) {
+      const failed = await failAttempt('otp', req, user.email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(400).json({ error: OTP_ERRORS[check.reason] });
+    }
+
+    await clearFailures('otp', { email: user.email });
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { phone, phoneVerified: true, phoneVerifiedAt: new Date() } }
+    );
+    return res.json({ message: 'Phone number verified', phone, phoneVerified: true });
+  } catch (err) {
+    console.error('❌ phone verify confirm error:', err);
+    return res.status(500).json({ error: 'Failed to verify phone' });
+  }
+});
+
+router.put('/otp-channel', authorize(), async (req, res) => {
+  try {
+    const channel = String(req.body?.channel || '');
+    if (!['email', 'sms'].includes(channel))
+      return res.status(400).json({ error: "channel must be 'email' or 'sms'" });
+
+    const user = await User.findById(req.user.id).select('phone phoneVerified');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (channel === 'sms') {
+      if (!smsEnabled()) return res.status(503).json({ error: 'Text messages are not available' });
+      if (!user.phoneVerified || !user.phone)
+        return res.status(400).json({ error: 'Verify your phone number first' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { otpChannel: channel } });
+    return res.json({ message: `Codes will be sent by ${channel === 'sms' ? 'text message' : 'email'}`, otpChannel: channel });
+  } catch (err) {
+    console.error('❌ otp channel error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* =============================
+   ✉️ Change email (verified on both addresses)
+   1) POST /email-change/start   { newEmail, pin }  → code to current + new address
+   2) POST /email-change/confirm { newEmail, currentCode, newCode }
+============================= */
+router.post('/email-change/start', authLimiter, authorize(), async (req, res) => {
+  try {
+    const newEmail = String(req.body?.newEmail || '').toLowerCase().trim();
+    const pin = String(req.body?.pin || '').trim();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail))
+      return res.status(400).json({ error: 'A valid new email is required' });
+    if (!/^\d{6}$/.test(pin))
+      return res.status(400).json({ error: 'Confirm with your 6-digit PIN' });
+
+    const user = await User.findById(req.user.id).select('+pinHash email role institution');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (newEmail === user.email)
+      return res.status(400).json({ error: 'That is already your email' });
+    // same rule as the User schema: institution addresses, except invited guests;
+    // and a member stays within their own institution
+    if (user.role !== 'guest') {
+      const inst = await institutionForEmail(newEmail);
+      if (!inst || (user.institution && inst.code !== user.institution))
+        return res.status(400).json({ error: 'Use an email address of your own institution' });
+    }
+
+    const lock = await checkLock('login', { email: user.email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
+
+    if (!(await bcrypt.compare(pin, user.pinHash))) {
+      const failed = await failAttempt('login', req, user.email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(401).json({ error: 'Incorrect PIN' });
+    }
+
+    if (await User.exists({ email: newEmail }))
+      return res.status(409).json({ error: 'Email already registered' });
+
+    const toCurrent = await sendCode(user, 'email-change', {
+      to: user.email,
+      title: 'Confirm Your Email Change',
+    });
+    if (!toCurrent.ok) return sendCooldown(res, toCurrent);
+
+    await sendCode(user, 'email-change', {
+      to: newEmail,
+      cooldownMs: 0,
+      title: 'Verify Your New Email Address',
+    });
+
+    res.json({
+      message: 'We sent a code to your current and your new email address.',
+      expiresInMinutes: ttlMinutes('email-change'),
+    });
+  } catch (err) {
+    console.error('❌ Email change start error:', err);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+});
+
+router.post('/email-change/confirm', authLimiter, authorize(), async (req, res) => {
+  try {
+    const newEmail = String(req.body?.newEmail || '').toLowerCase().trim();
+    const currentCode = String(req.body?.currentCode || '').trim();
+    const newCode = String(req.body?.newCode || '').trim();
+
+    if (!newEmail || !/^\d{6}$/.test(currentCode) || !/^\d{6}$/.test(newCode))
+      return res.status(400).json({ error: 'New email and both 6-digit codes are required' });
+
+    const user = await User.findById(req.user.id).select('email role firstName lastName college');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const lock = await checkLock('otp', { email: user.email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
+
+    // check both before burning either, so one typo doesn't void the other code
+    for (const [code, target] of [[currentCode, user.email], [newCode, newEmail]]) {
+      const check = await verifyCode({ user, purpose: 'email-change', code, target, consume: false });
+      if (!check.ok) {
+        const failed = await failAttempt('otp', req, user.email);
+        if (failed.locked) return sendLocked(res, failed);
+        return res.status(400).json({
+          error: `${target === user.email ? 'Current' : 'New'} address: ${OTP_ERRORS[check.reason]}`,
+        });
+      }
+    }
+    for (const [code, target] of [[currentCode, user.email], [newCode, newEmail]]) {
+      const used = await verifyCode({ user, purpose: 'email-change', code, target });
+      if (!used.ok) return res.status(400).json({ error: OTP_ERRORS[used.reason] });
+    }
+
+    let changed;
+    try {
+      changed = await changeUserEmail(req, user._id, newEmail);
+    } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'Email already registered' });
+      throw err;
+    }
+
+    await clearFailures('otp', { email: changed.oldEmail });
+
+    // 🔒 tokens carry the old address — sign everything else out, re-issue this one
+    await revokeAllSessions(user._id, 'email-change');
+    user.email = newEmail;
+    const tokens = await startSession(user, req);
+
+    sendSystemEmail({
+      to: changed.oldEmail,
+      subject: 'Research Repository – Email address changed',
+      text: `The email on your Research Repository account was changed to ${newEmail}. ` +
+        'If you did not do this, contact the repository administrator immediately.',
+    }).catch(err => console.error('❌ Email change notice failed:', err?.message || err));
+
+    res.json({
+      message: 'Email updated',
+      research: changed.research,
+      user: sessionUserPayload(user, tokens),
+    });
+  } catch (err) {
+    console.error('❌ Email change confirm error:', err);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
 // =============================
 // 🔐 Change Password (Change PIN)
 // =============================
-router.put("/change-password", authorize(), async (req, res) => {
+router.put("/change-password", authLimiter, authorize(), async (req, res) => {
   try {
     const { oldPin, newPin } = req.body;
 
@@ -483,6 +954,9 @@ router.put("/change-password", authorize(), async (req, res) => {
     user.pinHash = await bcrypt.hash(newPin, 10);
     await user.save();
 
+    // 🔒 sign out every other device; the caller keeps this session
+    await revokeAllSessions(user._id, 'pin-change', { except: req.user.sid });
+
     return res.json({ message: "PIN updated successfully" });
 
   } catch (err) {
@@ -492,6 +966,366 @@ router.put("/change-password", authorize(), async (req, res) => {
 });
 
 
+/* =============================
+   📱 Authenticator app (TOTP) enrollment
+============================= */
+router.get('/totp', authorize(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('totp.enabled totp.enrolledAt +totp.recoveryCodes');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      enabled: !!user.totp?.enabled,
+      enrolledAt: user.totp?.enrolledAt || null,
+      recoveryCodesLeft: (user.totp?.recoveryCodes || []).filter(c => !c.usedAt).length,
+    });
+  } catch (err) {
+    console.error('❌ TOTP status error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Step 1: create a secret to scan (not active until confirmed)
+router.post('/totp/setup', authorize(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email totp.enabled');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp?.enabled)
+      return res.status(409).json({ error: 'Authenticator already enabled. Disable it first.' });
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'totp.pendingSecretEnc': encryptSecret(secret) } }
+    );
+
+    res.json({ secret, otpauthUrl: otpauthUrl(secret, user.email) });
+  } catch (err) {
+    console.error('❌ TOTP setup error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Step 2: confirm with a code from the app → enabled + recovery codes (shown once)
+router.post('/totp/enable', authLimiter, authorize(), async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim();
+    const user = await User.findById(req.user.id).select('totp.enabled +totp.pendingSecretEnc');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp?.enabled) return res.status(409).json({ error: 'Authenticator already enabled' });
+    if (!user.totp?.pendingSecretEnc) return res.status(400).json({ error: 'Start setup first' });
+
+    const step = verifyTotp(decryptSecret(user.totp.pendingSecretEnc), code);
+    if (step === null) return res.status(400).json({ error: 'Invalid authenticator code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'totp.enabled': true,
+          'totp.enrolledAt': new Date(),
+          'totp.secretEnc': user.totp.pendingSecretEnc,
+          'totp.pendingSecretEnc': null,
+          'totp.lastUsedStep': step,
+          'totp.recoveryCodes': hashes.map(hash => ({ hash, usedAt: null })),
+        },
+      }
+    );
+
+    res.json({ message: 'Authenticator enabled', recoveryCodes: codes });
+  } catch (err) {
+    console.error('❌ TOTP enable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace recovery codes (requires a current authenticator code)
+router.post('/totp/recovery-codes', authLimiter, authorize(), async (req, res) => {
+  try {
+    const check = await verifySecondFactor({ _id: req.user.id }, 'totp', String(req.body.code || '').trim());
+    if (!check.ok) return res.status(400).json({ error: check.error });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user.id },
+      { $set: { 'totp.recoveryCodes': hashes.map(hash => ({ hash, usedAt: null })) } }
+    );
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (err) {
+    console.error('❌ TOTP recovery-codes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn off (requires PIN)
+router.delete('/totp', authLimiter, authorize(), async (req, res) => {
+  try {
+    const pin = String(req.body?.pin || '').trim();
+    if (!/^\d{6}$/.test(pin)) return res.status(400).json({ error: 'PIN must be 6 digits' });
+
+    const user = await User.findById(req.user.id).select('+pinHash');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!(await bcrypt.compare(pin, user.pinHash)))
+      return res.status(401).json({ error: 'Incorrect PIN' });
+
+    await User.updateOne({ _id: user._id }, { $set: { totp: { enabled: false } } });
+    res.json({ message: 'Authenticator disabled' });
+  } catch (err) {
+    console.error('❌ TOTP disable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+
+/* =============================
+   🔄 Refresh access token (rotates the refresh token)
+============================= */
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const refreshToken = String(req.body.refreshToken || '').trim();
+    if (!refreshToken)
+      return res.status(400).json({ error: 'Refresh token required' });
+
+    const rotated = await rotateSession(refreshToken, req, async (id) => {
+      const user = await User.findById(id).select('email role college firstName lastName status accountExpiresAt');
+      return user && !accountBlockReason(user) ? user : null;
+    });
+
+    if (!rotated)
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+    return res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+    });
+
+  } catch (err) {
+    console.error('❌ refresh error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* =============================
+   🚪 Logout (this device)
+============================= */
+router.post('/logout', authorize(), async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('❌ logout error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* =============================
+   🚪 Logout everywhere (all devices)
+============================= */
+router.post('/logout-all', authorize(), async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout-all');
+    return res.json({ message: 'Logged out from all devices', revoked });
+  } catch (err) {
+    console.error('❌ logout-all error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* =============================
+   💻 My devices (live sessions)
+============================= */
+router.get('/sessions', authorize(), async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return res.json(sessions.map(s => ({
+      id: s._id,
+      device: describeUserAgent(s.userAgent),
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: String(s._id) === String(req.user.sid),
+      supportSession: !!s.impersonatedBy,
+    })));
+  } catch (err) {
+    console.error('❌ sessions list error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authorize(), async (req, res) => {
+  try {
+    if (!/^[a-f0-9]{24}$/i.test(req.params.id))
+      return res.status(400).json({ error: 'Invalid session id' });
+
+    const r = await Session.updateOne(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'signed-out-remotely' } }
+    );
+    if (!r.modifiedCount) return res.status(404).json({ error: 'Session not found' });
+
+    return res.json({
+      message: 'Device signed out',
+      current: String(req.params.id) === String(req.user.sid),
+    });
+  } catch (err) {
+    console.error('❌ session revoke error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+
+/* =============================
+   📦 My data (export + erasure request)
+============================= */
+// building the archive reads every upload — a few per hour is plenty
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: 3,
+  keyGenerator: (req) => `export:${req.user.id}`,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many exports. Please try again later.' },
+});
+
+function ownerOnly(req, res) {
+  if (!req.user.impersonator) return true;
+  res.status(403).json({ error: 'Only the account owner can do this' });
+  return false;
+}
+
+// ZIP: one JSON file per kind of data + the user's own uploaded files
+router.get('/me/export', authorize(), exportLimiter, async (req, res) => {
+  try {
+    if (!ownerOnly(req, res)) return;
+
+    const data = await collectPersonalData(req.user.id);
+    if (!data) return res.status(404).json({ error: 'User not found' });
 
+    await recordAudit(req, {
+      action: 'user.data-export',
+      targetType: 'User',
+      targetId: req.user.id,
+      details: { files: data.files.length },
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="my-data-${stamp}.zip"`);
+
+    const zip = createZip(res);
+    await zip.addFile(
+      'README.txt',
+      'Research Repository – copy of your personal data\r\n' +
+        `Generated ${new Date().toISOString()} for ${req.user.email}\r\n\r\n` +
+        'Each .json file holds one kind of record (profile, research, reviews you gave, ' +
+        'login history, sessions, passkeys, consents, invitations, erasure requests).\r\n' +
+        'files/ contains the documents you uploaded.\r\n'
+    );
+    for (const [name, value] of Object.entries(data.json)) {
+      await zip.addFile(name, JSON.stringify(value, null, 2));
+    }
+    for (const f of data.files) {
+      try {
+        await zip.addPath(f.name, f.abs);
+      } catch (fileErr) {
+        console.error('❌ Export skipped file:', f.abs, fileErr.message);
+      }
+    }
+    await zip.finish();
+  } catch (err) {
+    console.error('❌ data export error:', err);
+    // headers may already be out once the archive started streaming
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to export data' });
+    res.destroy(err);
+  }
+});
+
+// Latest erasure request (if any)
+router.get('/me/erasure', authorize(), async (req, res) => {
+  try {
+    const request = await ErasureRequest.findOne({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    return res.json({ request: request || null });
+  } catch (err) {
+    console.error('❌ erasure status error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// { pin, reason? } — an administrator reviews it before anything is erased
+router.post('/me/erasure', authLimiter, authorize(), async (req, res) => {
+  try {
+    if (!ownerOnly(req, res)) return;
+
+    const pin = String(req.body?.pin || '').trim();
+    if (!/^\d{6}$/.test(pin))
+      return res.status(400).json({ error: 'Confirm with your 6-digit PIN' });
+
+    const user = await User.findById(req.user.id).select('+pinHash email');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const lock = await checkLock('login', { email: user.email, ip: req.ip });
+    if (lock.locked) return sendLocked(res, lock);
+
+    if (!(await bcrypt.compare(pin, user.pinHash))) {
+      const failed = await failAttempt('login', req, user.email);
+      if (failed.locked) return sendLocked(res, failed);
+      return res.status(401).json({ error: 'Incorrect PIN' });
+    }
+
+    const request = await ErasureRequest.create({
+      user: user._id,
+      email: user.email,
+      reason: String(req.body?.reason || '').slice(0, 1000),
+    });
+
+    await recordAudit(req, {
+      action: 'user.erasure-request',
+      targetType: 'User',
+      targetId: user._id,
+      details: { request: String(request._id) },
+    });
+
+    return res.status(201).json({
+      message: 'Erasure request received. An administrator will review it and email you the outcome.',
+      request,
+    });
+  } catch (err) {
+    if (err?.code === 11000)
+      return res.status(409).json({ error: 'You already have a pending erasure request' });
+    console.error('❌ erasure request error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Withdraw a pending request
+router.delete('/me/erasure', authorize(), async (req, res) => {
+  try {
+    if (!ownerOnly(req, res)) return;
+
+    const request = await ErasureRequest.findOneAndUpdate(
+      { user: req.user.id, status: 'pending' },
+      { $set: { status: 'cancelled', decidedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) return res.status(404).json({ error: 'No pending erasure request' });
+    return res.json({ message: 'Erasure request withdrawn', request });
+  } catch (err) {
+    console.error('❌ erasure cancel error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,256 @@
+// routes/colleges.js  (mounted at /api/colleges)
+const express = require('express');
+const router = express.Router();
+
+const College = require('../models/College');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Research = require('../models/Research');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { can } = require('../utils/permissions');
+const { institutionScope, inInstitutionScope } = require('../utils/scope');
+const { findInstitution } = require('../utils/institutions');
+const { lookupKey, findCollege, listDirectory, invalidateColleges } = require('../utils/colleges');
+
+/* =============================
+   Helpers
+============================= */
+const pick = (body, keys) =>
+  Object.fromEntries(keys.filter(k => body?.[k] !== undefined).map(k => [k, body[k]]));
+
+const asList = (v) => (Array.isArray(v) ? v : String(v || '').split(/[;,]/));
+
+// A code, name or alias may only point at one college
+async function findKeyClash({ code, name, aliases }, selfId) {
+  for (const k of [code, name, ...(aliases || [])]) {
+    if (!lookupKey(k)) continue;
+    const other = await findCollege(k, { includeInactive: true });
+    if (other && String(other._id) !== String(selfId || '')) return { key: k, other };
+  }
+  return null;
+}
+
+// college by id, only within the caller's institution
+async function scopedCollege(req, res) {
+  const doc = await College.findById(req.params.id);
+  if (!doc || !inInstitutionScope(req.user, doc)) {
+    res.status(404).json({ error: 'College not found' });
+    return null;
+  }
+  return doc;
+}
+
+// Institution a college is filed under: the caller's own, or any (institutions.manage)
+async function resolveInstitution(req, requested) {
+  if (!can(req.user, 'institutions.manage')) return { code: institutionScope(req.user) };
+  if (!String(requested || '').trim()) return { code: '' };
+  const inst = await findInstitution(requested);
+  return inst ? { code: inst.code } : { error: `Unknown institution: ${String(requested).trim()}` };
+}
+
+function sendSaveError(res, err, what) {
+  if (err?.code === 11000)
+    return res.status(409).json({ error: `A ${what} with this code already exists` });
+  if (err?.name === 'ValidationError' || err?.name === 'CastError')
+    return res.status(400).json({ error: err.message });
+  console.error(`❌ Save ${what} failed:`, err);
+  return res.status(500).json({ error: `Failed to save ${what}` });
+}
+
+/* =========================================================
+   📋 Directory (any visitor — used by register / upload pickers)
+   ?institution=CODE → only that institution's colleges
+========================================================= */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listDirectory({ institution: String(req.query.institution || '').trim() || null }));
+  } catch (err) {
+    console.error('❌ Fetch colleges failed:', err);
+    res.status(500).json({ error: 'Failed to fetch colleges' });
+  }
+});
+
+// Includes inactive entries and usage counts
+router.get('/manage', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    const [list, users, research] = await Promise.all([
+      listDirectory({ includeInactive: true, institution: institutionScope(req.user) }),
+      User.aggregate([{ $group: { _id: '$collegeId', n: { $sum: 1 } } }]),
+      Research.aggregate([{ $group: { _id: '$collegeId', n: { $sum: 1 } } }]),
+    ]);
+    const u = Object.fromEntries(users.map(x => [String(x._id), x.n]));
+    const r = Object.fromEntries(research.map(x => [String(x._id), x.n]));
+
+    res.json(list.map(c => ({ ...c, users: u[c._id] || 0, research: r[c._id] || 0 })));
+  } catch (err) {
+    console.error('❌ Fetch colleges failed:', err);
+    res.status(500).json({ error: 'Failed to fetch colleges' });
+  }
+});
+
+/* =========================================================
+   🏫 Colleges
+========================================================= */
+router.post('/', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    const body = pick(req.body, ['code', 'name', 'aliases', 'active']);
+    if (!body.code || !body.name)
+      return res.status(400).json({ error: 'Code and name are required' });
+    body.aliases = asList(body.aliases);
+
+    const inst = await resolveInstitution(req, req.body?.institution);
+    if (inst.error) return res.status(400).json({ error: inst.error });
+    body.institution = inst.code;
+
+    const clash = await findKeyClash(body);
+    if (clash)
+      return res.status(409).json({ error: `"${clash.key}" already refers to ${clash.other.code}` });
+
+    const doc = await College.create(body);
+    invalidateColleges();
+    res.status(201).json({ message: 'College created', college: doc });
+  } catch (err) {
+    sendSaveError(res, err, 'college');
+  }
+});
+
+router.patch('/:id', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    const doc = await scopedCollege(req, res);
+    if (!doc) return;
+
+    const body = pick(req.body, ['code', 'name', 'aliases', 'active']);
+    if (body.aliases !== undefined) body.aliases = asList(body.aliases);
+    if (req.body?.institution !== undefined && can(req.user, 'institutions.manage')) {
+      const inst = await resolveInstitution(req, req.body.institution);
+      if (inst.error) return res.status(400).json({ error: inst.error });
+      body.institution = inst.code;
+    }
+
+    const clash = await findKeyClash(
+      { code: body.code, name: body.name, aliases: body.aliases },
+      doc._id
+    );
+    if (clash)
+      return res.status(409).json({ error: `"${clash.key}" already refers to ${clash.other.code}` });
+
+    const oldCode = doc.code;
+    Object.assign(doc, body);
+    await doc.save();
+
+    // 🔁 records store the code — keep them in step with a rename
+    if (doc.code !== oldCode) {
+      await Promise.all([
+        User.updateMany({ collegeId: doc._id }, { $set: { college: doc.code } }),
+        Research.updateMany({ collegeId: doc._id }, { $set: { college: doc.code } }),
+        User.updateMany({ scopeColleges: oldCode }, { $set: { 'scopeColleges.$': doc.code } }),
+      ]);
+    }
+
+    invalidateColleges();
+    res.json({ message: 'College updated', college: doc });
+  } catch (err) {
+    sendSaveError(res, err, 'college');
+  }
+});
+
+// Only unused colleges can be deleted; otherwise deactivate them
+router.delete('/:id', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    const doc = await scopedCollege(req, res);
+    if (!doc) return;
+
+    const [users, research] = await Promise.all([
+      User.countDocuments({ collegeId: doc._id }),
+      Research.countDocuments({ collegeId: doc._id }),
+    ]);
+    if (users || research) {
+      return res.status(409).json({
+        error: `College is referenced by ${users} user(s) and ${research} research record(s). Deactivate it instead.`,
+      });
+    }
+
+    await Department.deleteMany({ college: doc._id });
+    await doc.deleteOne();
+    invalidateColleges();
+    res.json({ message: 'College deleted' });
+  } catch (err) {
+    console.error('❌ Delete college failed:', err);
+    res.status(500).json({ error: 'Failed to delete college' });
+  }
+});
+
+/* =========================================================
+   🏛️ Departments
+========================================================= */
+router.post('/:id/departments', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    const college = await scopedCollege(req, res);
+    if (!college) return;
+
+    const body = pick(req.body, ['code', 'name', 'aliases', 'active']);
+    if (!body.code || !body.name)
+      return res.status(400).json({ error: 'Code and name are required' });
+    body.aliases = asList(body.aliases);
+
+    const doc = await Department.create({ ...body, college: college._id });
+    invalidateColleges();
+    res.status(201).json({ message: 'Department created', department: doc });
+  } catch (err) {
+    sendSaveError(res, err, 'department');
+  }
+});
+
+router.patch('/:id/departments/:deptId', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    if (!(await scopedCollege(req, res))) return;
+    const doc = await Department.findOne({ _id: req.params.deptId, college: req.params.id });
+    if (!doc) return res.status(404).json({ error: 'Department not found' });
+
+    const body = pick(req.body, ['code', 'name', 'aliases', 'active']);
+    if (body.aliases !== undefined) body.aliases = asList(body.aliases);
+
+    const oldCode = doc.code;
+    Object.assign(doc, body);
+    await doc.save();
+
+    if (doc.code !== oldCode) {
+      await Promise.all([
+        User.updateMany({ departmentId: doc._id }, { $set: { department: doc.code } }),
+        Research.updateMany({ departmentId: doc._id }, { $set: { department: doc.code } }),
+      ]);
+    }
+
+    invalidateColleges();
+    res.json({ message: 'Department updated', department: doc });
+  } catch (err) {
+    sendSaveError(res, err, 'department');
+  }
+});
+
+router.delete('/:id/departments/:deptId', requirePermission('colleges.manage'), async (req, res) => {
+  try {
+    if (!(await scopedCollege(req, res))) return;
+    const doc = await Department.findOne({ _id: req.params.deptId, college: req.params.id });
+    if (!doc) return res.status(404).json({ error: 'Department not found' });
+
+    const [users, research] = await Promise.all([
+      User.countDocuments({ departmentId: doc._id }),
+      Research.countDocuments({ departmentId: doc._id }),
+    ]);
+    if (users || research) {
+      return res.status(409).json({
+        error: `Department is referenced by ${users} user(s) and ${research} research record(s). Deactivate it instead.`,
+      });
+    }
+
+    await doc.deleteOne();
+    invalidateColleges();
+    res.json({ message: 'Department deleted' });
+  } catch (err) {
+    console.error('❌ Delete department failed:', err);
+    res.status(500).json({ error: 'Failed to delete department' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,275 @@
+// routes/consent.js  (mounted at /api/consent)
+// Privacy notice + repository deposit terms: versions, acceptance, export.
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/User');
+const ConsentDocument = require('../models/ConsentDocument');
+const ConsentRecord = require('../models/ConsentRecord');
+const { authorize, requirePermission } = require('../middleware/authMiddleware');
+const { recordAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+const {
+  CONSENT_KINDS,
+  currentDocuments,
+  invalidateConsent,
+  consentsDue,
+  matchAcceptance,
+  recordConsent,
+} = require('../utils/consent');
+
+const MAX_EXPORT_ROWS = 50000;
+const RECORD_COLUMNS = ['acceptedAt', 'email', 'user', 'kind', 'version', 'context', 'ip', 'userAgent'];
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+/* =========================================================
+   PUBLIC — current documents (registration page)
+========================================================= */
+router.get('/current', async (req, res) => {
+  try {
+    const current = await currentDocuments();
+    res.json({
+      kinds: CONSENT_KINDS,
+      documents: Object.values(current)
+        .filter(Boolean)
+        .map(d => ({
+          kind: d.kind,
+          version: d.version,
+          title: d.title,
+          body: d.body,
+          summary: d.summary,
+          publishedAt: d.publishedAt,
+        })),
+    });
+  } catch (err) {
+    console.error('❌ Fetch consent documents failed:', err);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+/* =========================================================
+   USER — own status + acceptance
+========================================================= */
+router.get('/me', authorize(), async (req, res) => {
+  try {
+    const [user, records] = await Promise.all([
+      User.findById(req.user.id).select('consents').lean(),
+      ConsentRecord.find({ user: req.user.id }).sort({ acceptedAt: -1 }).limit(100).lean(),
+    ]);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      accepted: user.consents || {},
+      consentRequired: await consentsDue(user),
+      history: records.map(r => ({ kind: r.kind, version: r.version, context: r.context, acceptedAt: r.acceptedAt })),
+    });
+  } catch (err) {
+    console.error('❌ Fetch my consents failed:', err);
+    res.status(500).json({ error: 'Failed to fetch consent status' });
+  }
+});
+
+// { consents: { privacy: 3, terms: 2 } }  or  { consents: [{ kind, version }] }
+router.post('/accept', authorize(), async (req, res) => {
+  try {
+    if (req.user.impersonator)
+      return res.status(403).json({ error: 'Only the account owner can accept' });
+
+    const match = await matchAcceptance(req.body?.consents);
+    if (match.error)
+      return res.status(400).json({ error: match.error, consentRequired: match.required });
+    if (!match.docs.length) return res.status(400).json({ error: 'Nothing accepted' });
+
+    const user = await User.findById(req.user.id).select('email consents');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // re-accepting an already accepted version is a no-op
+    const fresh = match.docs.filter(d => Number(user.consents?.[d.kind]?.version || 0) < d.version);
+    await recordConsent(user, fresh, req, { context: 'prompt' });
+
+    const updated = await User.findById(req.user.id).select('consents').lean();
+    res.json({
+      message: 'Thank you — your acceptance has been recorded',
+      consentRequired: await consentsDue(updated),
+    });
+  } catch (err) {
+    console.error('❌ Record consent failed:', err);
+    res.status(500).json({ error: 'Failed to record acceptance' });
+  }
+});
+
+/* =========================================================
+   ADMIN — document versions
+========================================================= */
+
+// ?kind=privacy|terms
+router.get('/documents', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const filter = CONSENT_KINDS[req.query.kind] ? { kind: req.query.kind } : {};
+    const docs = await ConsentDocument.find(filter).sort({ kind: 1, version: -1 }).lean();
+
+    // acceptance coverage of each published version
+    const counts = await ConsentRecord.aggregate([
+      { $group: { _id: { kind: '$kind', version: '$version' }, accepted: { $sum: 1 } } },
+    ]);
+    const countOf = (d) =>
+      counts.find(c => c._id.kind === d.kind && c._id.version === d.version)?.accepted || 0;
+
+    res.json({
+      kinds: CONSENT_KINDS,
+      data: docs.map(d => ({ ...d, draft: !d.publishedAt, accepted: d.publishedAt ? countOf(d) : 0 })),
+    });
+  } catch (err) {
+    console.error('❌ Fetch consent versions failed:', err);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+// New draft: { kind, title, body, summary? } — version is the next number for the kind
+router.post('/documents', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const { kind, title, body, summary = '' } = req.body || {};
+    if (!CONSENT_KINDS[kind])
+      return res.status(400).json({ error: `kind must be one of: ${Object.keys(CONSENT_KINDS).join(', ')}` });
+    if (!String(title || '').trim() || !String(body || '').trim())
+      return res.status(400).json({ error: 'title and body are required' });
+
+    const last = await ConsentDocument.findOne({ kind }).sort({ version: -1 }).select('version').lean();
+    const doc = await ConsentDocument.create({
+      kind,
+      version: (last?.version || 0) + 1,
+      title,
+      body,
+      summary,
+      createdBy: req.user.id,
+    });
+    res.status(201).json({ message: 'Draft created', document: doc });
+  } catch (err) {
+    if (err?.code === 11000) return res.status(409).json({ error: 'Another draft was created at the same time — retry' });
+    console.error('❌ Create consent draft failed:', err);
+    res.status(500).json({ error: 'Failed to create draft' });
+  }
+});
+
+// Edit a draft (published versions are frozen — publish a new one instead)
+router.patch('/documents/:id', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const doc = await ConsentDocument.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.publishedAt) return res.status(409).json({ error: 'Published versions cannot be edited' });
+
+    for (const k of ['title', 'body', 'summary']) {
+      if (req.body?.[k] !== undefined) doc[k] = String(req.body[k]);
+    }
+    await doc.save();
+    res.json({ message: 'Draft updated', document: doc });
+  } catch (err) {
+    if (err?.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('❌ Update consent draft failed:', err);
+    res.status(500).json({ error: 'Failed to update draft' });
+  }
+});
+
+router.delete('/documents/:id', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const doc = await ConsentDocument.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.publishedAt) return res.status(409).json({ error: 'Published versions are kept as evidence' });
+
+    await doc.deleteOne();
+    res.json({ message: 'Draft deleted' });
+  } catch (err) {
+    console.error('❌ Delete consent draft failed:', err);
+    res.status(500).json({ error: 'Failed to delete draft' });
+  }
+});
+
+// Publishing makes every user re-accept on their next request
+router.post('/documents/:id/publish', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const doc = await ConsentDocument.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.publishedAt) return res.status(409).json({ error: 'Already published' });
+
+    const newer = await ConsentDocument.exists({
+      kind: doc.kind,
+      version: { $gt: doc.version },
+      publishedAt: { $ne: null },
+    });
+    if (newer) return res.status(409).json({ error: 'A newer version is already published' });
+
+    doc.publishedAt = new Date();
+    doc.publishedBy = req.user.id;
+    await doc.save();
+    invalidateConsent();
+
+    await recordAudit(req, {
+      action: 'consent.publish',
+      targetType: 'ConsentDocument',
+      targetId: doc._id,
+      details: { kind: doc.kind, version: doc.version, title: doc.title },
+    });
+
+    res.json({ message: `${CONSENT_KINDS[doc.kind]} v${doc.version} published`, document: doc });
+  } catch (err) {
+    console.error('❌ Publish consent document failed:', err);
+    res.status(500).json({ error: 'Failed to publish' });
+  }
+});
+
+/* =========================================================
+   ADMIN — acceptance records / export
+   ?kind= &version= &user=<id|email> &from= &to= &page= &limit= &format=csv
+========================================================= */
+router.get('/records', requirePermission('consent.manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (CONSENT_KINDS[req.query.kind]) filter.kind = req.query.kind;
+    if (req.query.version) filter.version = Number(req.query.version);
+    if (req.query.user) {
+      const u = String(req.query.user).trim();
+      if (isObjectId(u)) filter.user = u;
+      else filter.email = u.toLowerCase();
+    }
+    if (req.query.from || req.query.to) {
+      filter.acceptedAt = {};
+      if (req.query.from) filter.acceptedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.acceptedAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.acceptedAt).some(d => Number.isNaN(d.getTime())))
+        return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    if (req.query.format === 'csv') {
+      const rows = await ConsentRecord.find(filter).sort({ acceptedAt: -1 }).limit(MAX_EXPORT_ROWS).lean();
+      await recordAudit(req, {
+        action: 'consent.export',
+        targetType: 'ConsentRecord',
+        details: { filter: req.query, rows: rows.length },
+      });
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="consent-records-${stamp}.csv"`);
+      return res.send(
+        toCsv(
+          rows.map(r => ({ ...r, acceptedAt: new Date(r.acceptedAt).toISOString(), user: String(r.user) })),
+          RECORD_COLUMNS
+        )
+      );
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [items, total] = await Promise.all([
+      ConsentRecord.find(filter).sort({ acceptedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ConsentRecord.countDocuments(filter),
+    ]);
+    res.json({ data: items, meta: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    console.error('❌ Fetch consent records failed:', err);
+    res.status(500).json({ error: 'Failed to fetch consent records' });
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,38 @@ const fs = require('fs');
 const multer = require('multer');
 const nodemailer = require('nodemailer');
 
-const { authorize } = require('../middleware/authMiddleware');
+const { authorize, requirePermission } = require('../middleware/authMiddleware');
+const { can, capabilitiesFor } = require('../utils/permissions');
+const { collegeFilter, inCollegeScope, inInstitutionScope } = require('../utils/scope');
+const { resolveAffiliation } = require('../utils/colleges');
 const Research = require('../models/Research');
+const ResearchVersion = require('../models/ResearchVersion');
+const { reviewContext, ensureBaseline, recordVersion, purgeVersions } = require('../utils/versions');
+const { versionText, diffTexts, flagUnits } = require('../utils/revisionDiff');
+const RevisionRequest = require('../models/RevisionRequest');
+const {
+  parseItems,
+  parseDueAt,
+  closeActiveRequest,
+  openRequest,
+  itemsHtml,
+  toPublicRequest,
+} = require('../utils/revisions');
+const { workflowFor, runConflict, startWorkflow, logDecision, notifyApprovers, isApprover } = require('../utils/workflow');
+const {
+  RECOMMENDATIONS,
+  ROLE_LABELS,
+  parseMembers,
+  parseRule,
+  hasPanel,
+  panelistOf,
+  consensus,
+  aggregate,
+  toPublicPanel,
+} = require('../utils/panels');
+const User = require('../models/User');
+const { recordAudit } = require('../utils/audit');
+const { escapeHtml } = require('../utils/mailer');
 
 /* -------------------------------------------
    Robust path resolver (absolute + /uploads/…)
@@ -109,7 +139,8 @@ const toKeywords = (v) => {
 /* =========================================================
    GET /api/faculty/preview/:id
 ========================================================= */
-router.get('/preview/:id', authorize(['faculty', 'admin']), async (req, res) => {
+// any signed-in user; access comes from the relationship to the record (guest examiners on a panel included)
+router.get('/preview/:id', authorize(), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id).lean();
     if (!r) return res.status(404).json({ error: 'Research not found' });
@@ -117,9 +148,9 @@ router.get('/preview/:id', authorize(['faculty', 'admin']), async (req, res) =>
 
     const email = String(req.user.email || '').toLowerCase();
     const isOwner  = !!email && email === String(r.author || '').toLowerCase();
-    const isAdviser = !!email && email === String(r.adviser || '').toLowerCase();
-    const isAdmin = req.user.role === 'admin';
-    if (!isOwner && !isAdviser && !isAdmin) {
+    const isAdviser = !!email && email === String(r.adviser || '').toLowerCase() && can(req.user, 'research.review');
+    const canReadAll = can(req.user, 'research.read.all');
+    if (!isOwner && !isAdviser && !canReadAll && !isApprover(r, email) && !panelistOf(r, email)) {
       return res.status(403).json({ error: 'Not authorized to preview this file' });
     }
 
@@ -142,8 +173,9 @@ router.get('/preview/:id', authorize(['faculty', 'admin']), async (req, res) =>
    POST /api/faculty/my-research
    - draft → pending (faculty-upload)
    - final → approved (faculty-approved) + email staff
+           → in-workflow when the college has an approval workflow
 ========================================================= */
-router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file'), async (req, res) => {
+router.post('/my-research', requirePermission('research.author'), upload.single('file'), async (req, res) => {
   try {
     const {
       title,
@@ -154,12 +186,16 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
       keywords,
       category,
       college,
+      department,
       submissionType, // 'draft' | 'final'
        coAuthors,     
     } = req.body;
 
     if (!title) return res.status(400).json({ error: 'Title is required' });
 
+    const aff = await resolveAffiliation({ college, department }, { institution: req.user.institution });
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
     const vis = ['public', 'campus', 'private', 'embargo'].includes((visibility || '').toLowerCase())
       ? (visibility || '').toLowerCase()
       : 'private';
@@ -191,7 +227,7 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
       year: year || '',
       keywords: toKeywords(keywords),          // ✅ robust
       category: category || '',
-      college: college || '',
+      ...aff.fields,
       uploaderRole: req.user.role,
       uploadedBy: req.user.id,
       source: subType === 'final' ? 'faculty-approved' : 'faculty-upload',
@@ -226,9 +262,19 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
       });
     }
 
+    // ✍️ a college workflow signs faculty finals off too before staff see them
+    const definition = subType === 'final' ? await workflowFor(doc) : null;
+    const conflict = definition && runConflict(doc, definition);
+    if (conflict) return res.status(409).json({ error: conflict });
+    const firstStage = definition ? startWorkflow(req, doc, definition) : null;
+    if (firstStage) doc.source = 'faculty-upload';
+
     await doc.save();
+    await recordVersion(doc, req);
 
-    if (subType === 'final') {
+    if (firstStage) {
+      notifyApprovers(doc, firstStage);
+    } else if (subType === 'final') {
       const staffList = (process.env.STAFF_PUBLISH_EMAILS || '')
         .split(',')
         .map(s => s.trim())
@@ -250,7 +296,9 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
     }
 
     return res.status(201).json({
-      message: subType === 'final'
+      message: firstStage
+        ? `Faculty final saved and sent for sign-off (${firstStage.name})`
+        : subType === 'final'
         ? 'Faculty final saved and forwarded to staff'
         : 'Faculty draft saved for safekeeping',
       research: doc,
@@ -266,22 +314,29 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
    - Block edits if already forwarded to staff (source = faculty-approved)
    - If switching to FINAL, require non-empty abstract
 ========================================================= */
-router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('file'), async (req, res) => {
+router.put('/my-research/:id', requirePermission('research.author'), upload.single('file'), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id);
     if (!r) return res.status(404).json({ error: 'Not found' });
 
     const isOwner = String(r.author || '').toLowerCase() === String(req.user.email || '').toLowerCase();
-    if (!isOwner && req.user.role !== 'admin') {
+    if (!isOwner && !can(req.user, 'research.manage')) {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
     if (r.source === 'faculty-approved') {
       return res.status(409).json({ error: 'This item has been forwarded to staff. Please request staff to update.' });
     }
+    if (r.status === 'in-workflow') {
+      return res.status(409).json({ error: 'This item is awaiting college sign-off and cannot be edited.' });
+    }
 
     const { title, abstract, submissionType, coAuthors } = req.body;
 
+    // 🗂️ keep what is being replaced, and which review comment this answers
+    await ensureBaseline(r);
+    const answers = reviewContext(r);
+
     if (typeof title === 'string' && title.trim()) r.title = title.trim();
     if (typeof abstract !== 'undefined') r.abstract = String(abstract || '').trim();
 
@@ -311,10 +366,8 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
       r.submissionType = nextType;
     }
 
-    // ✅ File replacement
+    // ✅ File replacement (the previous file stays: it belongs to an earlier version)
     if (req.file) {
-      safeUnlink(resolveAbsPathFromDB(r.filePath));
-
       const ext = (path.extname(req.file.originalname) || '').toLowerCase();
       const safeMime =
         req.file.mimetype && req.file.mimetype !== 'application/octet-stream'
@@ -331,7 +384,8 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
     }
 
     await r.save();
-    res.json({ message: 'Updated', research: r });
+    const version = await recordVersion(r, req, { answers });
+    res.json({ message: 'Updated', research: r, version: version?.number ?? null });
   } catch (err) {
     console.error('❌ Faculty update failed:', err);
     res.status(500).json({ error: 'Failed to update research' });
@@ -342,13 +396,13 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
 /* =========================================================
    DELETE /api/faculty/my-research/:id
 ========================================================= */
-router.delete('/my-research/:id', authorize(['faculty', 'admin']), async (req, res) => {
+router.delete('/my-research/:id', requirePermission('research.author'), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id);
     if (!r) return res.status(404).json({ error: 'Not found' });
 
     const isOwner = String(r.author || '').toLowerCase() === String(req.user.email || '').toLowerCase();
-    if (!isOwner && req.user.role !== 'admin') {
+    if (!isOwner && !can(req.user, 'research.manage')) {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
@@ -356,7 +410,8 @@ router.delete('/my-research/:id', authorize(['faculty', 'admin']), async (req, r
       return res.status(409).json({ error: 'This item has been forwarded to staff. Please request staff to remove it.' });
     }
 
-    safeUnlink(resolveAbsPathFromDB(r.filePath));
+    const older = await purgeVersions(r._id, { keep: r.filePath });
+    for (const stored of [r.filePath, ...older]) safeUnlink(resolveAbsPathFromDB(stored));
     await r.deleteOne();
     res.json({ message: 'Deleted' });
   } catch (err) {
@@ -368,7 +423,7 @@ router.delete('/my-research/:id', authorize(['faculty', 'admin']), async (req, r
 /* =========================================================
    GET /api/faculty/my-research
 ========================================================= */
-router.get('/my-research', authorize(['faculty', 'admin']), async (req, res) => {
+router.get('/my-research', requirePermission('research.author'), async (req, res) => {
   try {
     const research = await Research.find({
       author: req.user.email,
@@ -388,18 +443,51 @@ router.get('/my-research', authorize(['faculty', 'admin']), async (req, res) =>
 /* =========================================================
    GET /api/faculty/student-submissions
    → Show all submissions where the logged-in faculty is the adviser
+     or sits on the review panel (`reviewAs: 'adviser' | 'panel'`)
    → Include coAuthors for transparency in multi-member works
+   Open to any signed-in user: panelists need not hold research.review
+   (guest external examiners), advisees are listed only for reviewers.
 ========================================================= */
-router.get('/student-submissions', authorize(['faculty', 'admin']), async (req, res) => {
+router.get('/student-submissions', authorize(), async (req, res) => {
   try {
-    const subs = await Research.find({ adviser: req.user.email })
+    const email = String(req.user.email || '').toLowerCase();
+    const [advised, panels] = await Promise.all([
+      can(req.user, 'research.review')
+        ? Research.find({ adviser: req.user.email, ...collegeFilter(req.user, { includeUnassigned: true }) })
+          .select('_id')
+          .lean()
+        : [],
+      // panel assignments are explicit, so they are not limited to the reviewer's colleges
+      Research.find({ 'panel.members.email': email }).select('_id').lean(),
+    ]);
+    const subs = await Research.find({ _id: { $in: [...advised, ...panels].map(r => r._id) } })
       .sort({ createdAt: -1 })
       .select(
-        'title abstract author coAuthors student status year keywords category fileName fileType createdAt updatedAt visibility embargoUntil submissionType'
+        'title abstract author adviser coAuthors student status facultyComment year keywords category fileName fileType createdAt updatedAt visibility embargoUntil submissionType panel'
       )
       .lean();
 
-    res.json(subs);
+    // 🗂️ how many revisions each has (> 1 → a diff is available)
+    const counts = await ResearchVersion.aggregate([
+      { $match: { research: { $in: subs.map(s => s._id) } } },
+      { $group: { _id: '$research', n: { $sum: 1 } } },
+    ]);
+    const versions = Object.fromEntries(counts.map(c => [String(c._id), c.n]));
+
+    // 🔁 the open revision request of each, if any
+    const active = await RevisionRequest.find({ research: { $in: subs.map(s => s._id) }, active: true }).lean();
+    const requests = Object.fromEntries(active.map(r => [String(r.research), toPublicRequest(r)]));
+
+    res.json(subs.map(({ panel, ...s }) => {
+      const panelist = panelistOf({ panel }, email);
+      return {
+        ...s,
+        reviewAs: String(s.adviser || '').toLowerCase() === email ? 'adviser' : 'panel',
+        versions: versions[String(s._id)] || 0,
+        revisionRequest: requests[String(s._id)] || null,
+        panel: toPublicPanel(panel, { viewer: email, full: !panelist }),
+      };
+    }));
   } catch (err) {
     console.error('❌ Fetch student submissions failed:', err);
     res.status(500).json({ error: 'Failed to fetch submissions' });
@@ -408,74 +496,612 @@ router.get('/student-submissions', authorize(['faculty', 'admin']), async (req,
 
 
 /* =========================================================
-   PUT /api/faculty/review/:id
+   GET /api/faculty/student-submissions/:id/revision-requests
+   → every revision request on a submission, newest first
 ========================================================= */
-router.put('/review/:id', authorize(['faculty', 'admin']), async (req, res) => {
+router.get('/student-submissions/:id/revision-requests', authorize(), async (req, res) => {
   try {
-    const { decision, comment } = req.body; // 'approved' | 'rejected'
-    if (!['approved', 'rejected'].includes(decision)) {
-      return res.status(400).json({ error: 'Invalid decision' });
+    const research = await Research.findById(req.params.id).select('adviser college panel').lean();
+    if (!research) return res.status(404).json({ error: 'Submission not found' });
+
+    const isAdviser =
+      can(req.user, 'research.review') &&
+      String(research.adviser || '').toLowerCase() === String(req.user.email || '').toLowerCase();
+    if (!isAdviser && !panelistOf(research, req.user.email) && !can(req.user, 'research.read.all')) {
+      return res.status(403).json({ error: 'Only the assigned adviser can view revision requests' });
     }
 
-    const research = await Research.findById(req.params.id);
+    const chain = await RevisionRequest.find({ research: research._id }).sort({ round: -1 }).lean();
+    res.json(chain.map(toPublicRequest));
+  } catch (err) {
+    console.error('❌ Fetch revision requests failed:', err);
+    res.status(500).json({ error: 'Failed to fetch revision requests' });
+  }
+});
+
+/* =========================================================
+   GET /api/faculty/student-submissions/:id/diff
+   ?from=<version> &to=<version> &by=section|page
+   Defaults: latest version against the one the last review comment was
+   left on (else the one before it). Always reports what changed since
+   that comment and flags the units that changed most.
+========================================================= */
+const versionParam = (v) => {
+  if (v === undefined || v === '') return undefined;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// the version a reviewer last commented on: the one before the first revision answering it
+function reviewedVersion(versions) {
+  const answering = [...versions].reverse().find(v => v.answers?.comment);
+  if (!answering) return null;
+  const first = versions.find(v => v.answers?.comment === answering.answers.comment);
+  const reviewed = versions.filter(v => v.number < first.number && v.file?.path).pop();
+  return reviewed ? { version: reviewed, comment: answering.answers.comment, decision: answering.answers.decision } : null;
+}
+
+const metadataChanges = (from, to) =>
+  ['title', 'abstract', 'keywords', 'coAuthors', 'submissionType']
+    .filter(f => JSON.stringify(from.snapshot?.[f] ?? '') !== JSON.stringify(to.snapshot?.[f] ?? ''))
+    .map(f => ({ field: f, before: from.snapshot?.[f], after: to.snapshot?.[f] }));
+
+router.get('/student-submissions/:id/diff', authorize(), async (req, res) => {
+  try {
+    const research = await Research.findById(req.params.id).lean();
     if (!research) return res.status(404).json({ error: 'Submission not found' });
 
-    research.status = decision;
-    research.facultyComment = comment || '';
-    await research.save();
+    const isAdviser =
+      can(req.user, 'research.review') &&
+      String(research.adviser || '').toLowerCase() === String(req.user.email || '').toLowerCase();
+    if (!isAdviser && !panelistOf(research, req.user.email) && !can(req.user, 'research.read.all')) {
+      return res.status(403).json({ error: 'Only the adviser or review panel can compare revisions' });
+    }
 
-    if (decision === 'approved') {
-      if (research.submissionType === 'draft') {
-        await notify({
-          to: research.student || research.author,
-          subject: `Draft Approved: ${research.title}`,
-          html: `
-            <p>Your draft has been approved by faculty.</p>
-            <p><b>Title:</b> ${research.title}</p>
-            <p><b>Status:</b> APPROVED</p>
-            <p><i>Note: Draft approvals are not forwarded for publishing.</i></p>
-          `,
-        });
-      } else {
-        const staffList = (process.env.STAFF_PUBLISH_EMAILS || '')
-          .split(',')
-          .map(s => s.trim())
-          .filter(Boolean);
-
-        const recipients = [...new Set([
-          research.student || research.author,
-          research.adviser,
-          ...staffList,
-        ].filter(Boolean))];
-
-        await notify({
-          to: recipients,
-          subject: `Final Approved for Publishing: ${research.title}`,
-          html: `
-            <p>A final submission has been approved and is ready for publishing.</p>
-            <p><b>Title:</b> ${research.title}</p>
-            <p><b>Author:</b> ${research.author}</p>
-            <p><b>Adviser:</b> ${research.adviser || 'N/A'}</p>
-            <p><b>Abstract:</b><br/>${(research.abstract || '').replace(/\n/g, '<br/>')}</p>
-          `,
-        });
-
-        research.source = 'faculty-approved';
-        await research.save();
-      }
-    } else {
+    const by = req.query.by === 'page' ? 'page' : 'section';
+    const fromParam = versionParam(req.query.from);
+    const toParam = versionParam(req.query.to);
+    if (fromParam === null || toParam === null) return res.status(400).json({ error: 'Invalid version number' });
+
+    const versions = await ResearchVersion.find({ research: research._id }).sort({ number: 1 }).select('+file.path').lean();
+    const withFile = versions.filter(v => v.file?.path);
+    if (withFile.length < 2) return res.status(409).json({ error: 'There is no earlier revision to compare with' });
+
+    const byNumber = new Map(versions.map(v => [v.number, v]));
+    const reviewed = reviewedVersion(versions);
+    const to = toParam ? byNumber.get(toParam) : withFile[withFile.length - 1];
+    const from = fromParam
+      ? byNumber.get(fromParam)
+      : reviewed && reviewed.version.number < to?.number
+        ? reviewed.version
+        : withFile.filter(v => v.number < to?.number).pop();
+    if (!to || !from) return res.status(404).json({ error: 'Version not found' });
+    if (from.number === to.number) return res.status(400).json({ error: 'Pick two different versions' });
+
+    const [a, b] = [await versionText(from), await versionText(to)];
+    if (a.error || b.error) {
+      return res.status(422).json({ error: a.error || b.error, version: a.error ? from.number : to.number });
+    }
+
+    const diff = diffTexts(a.pages, b.pages, { by });
+
+    // what the student changed in answer to the last comment (same diff when the range is the default)
+    let sinceReview = null;
+    if (reviewed && reviewed.version.number < to.number) {
+      const sameRange = reviewed.version.number === from.number;
+      const r = sameRange ? a : await versionText(reviewed.version);
+      const reviewedDiff = sameRange ? diff : r.error ? null : diffTexts(r.pages, b.pages, { by });
+      sinceReview = {
+        version: reviewed.version.number,
+        comment: reviewed.comment,
+        decision: reviewed.decision,
+        summary: reviewedDiff?.summary || null,
+        flagged: reviewedDiff ? flagUnits(reviewedDiff) : [],
+        ...(r.error ? { error: r.error } : {}),
+      };
+    }
+
+    res.json({
+      research: { id: research._id, title: research.title, status: research.status },
+      from: { number: from.number, createdAt: from.createdAt, fileName: from.file.name },
+      to: { number: to.number, createdAt: to.createdAt, fileName: to.file.name },
+      metadata: metadataChanges(from, to),
+      ...diff,
+      flagged: flagUnits(diff),
+      sinceReview,
+    });
+  } catch (err) {
+    console.error('❌ Revision diff failed:', err);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+
+/* =========================================================
+   Review decisions (the adviser's, or a review panel's consensus)
+========================================================= */
+
+/**
+ * Applies `decision` to `research` and notifies the student: closes the open
+ * revision request, opens the next one (revision-requested) or starts the
+ * college workflow (approved finals). `by` names the reviewer in emails and
+ * `stage` in the stage history. Returns `{ error }` or what was opened / closed.
+ */
+async function applyDecision(
+  req,
+  research,
+  { decision, comment, items, dueAt, itemStatus, by = 'Your adviser', byTitle = 'Adviser', stage }
+) {
+  // ✍️ finals of a college with a workflow go through its stages before staff see them
+  const definition = decision === 'approved' ? await workflowFor(research) : null;
+  const conflict = definition && runConflict(research, definition);
+  if (conflict) return { error: conflict };
+
+  // 🔁 this decision closes the open revision request, if any
+  const closed = await closeActiveRequest(req, research._id, decision, { itemUpdates: itemStatus });
+  if (closed.error) return closed;
+
+  let revisionRequest = null;
+  if (decision === 'revision-requested') {
+    await ensureBaseline(research);
+    const latest = await ResearchVersion.findOne({ research: research._id }).sort({ number: -1 }).select('number').lean();
+    revisionRequest = await openRequest(req, research, {
+      items,
+      dueAt,
+      comment,
+      reviewedVersion: latest?.number ?? null,
+    });
+  }
+
+  research.status = decision;
+  // the requested changes double as the comment a resubmission answers
+  research.facultyComment = comment || (items ? items.map((t, i) => `${i + 1}. ${t}`).join('\n') : '');
+  logDecision(req, research, { ...stage, action: decision, comment: research.facultyComment });
+
+  // 👥 the panel's round ends with any decision (its own consensus or a manager's)
+  if (hasPanel(research)) {
+    const { counts } = consensus(research.panel);
+    research.panel.decisions.push({ round: research.panel.round, outcome: decision, counts, at: new Date() });
+    research.panel.round += 1;
+  }
+
+  const firstStage = definition ? startWorkflow(req, research, definition) : null;
+  await research.save();
+
+  if (closed.request) {
+    const r = closed.request;
+    await notify({
+      to: research.student || research.author,
+      subject: `Revision Request #${r.round} Closed: ${research.title}`,
+      html: `
+        <p>${escapeHtml(by)} reviewed your resubmission and closed revision request #${r.round} (${decision.toUpperCase()}).</p>
+        <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+        ${itemsHtml(r.items, { withStatus: true })}
+      `,
+    });
+  }
+
+  if (decision === 'revision-requested') {
+    await notify({
+      to: research.student || research.author,
+      subject: `Revision Requested: ${research.title}`,
+      html: `
+        <p>${escapeHtml(by)} requested changes to your submission.</p>
+        <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+        ${comment ? `<p><b>Feedback:</b><br/>${escapeHtml(comment).replace(/\n/g, '<br/>')}</p>` : ''}
+        <p><b>Requested changes:</b></p>
+        ${itemsHtml(revisionRequest.items)}
+        <p><b>Due:</b> ${revisionRequest.dueAt.toDateString()}</p>
+        <p>Resubmit from your dashboard and mark each change as addressed.</p>
+      `,
+    });
+  } else if (firstStage) {
+    await notify({
+      to: research.student || research.author,
+      subject: `Approved by ${byTitle}: ${research.title}`,
+      html: `
+        <p>${escapeHtml(by)} approved your final submission. It now goes through the ${escapeHtml(research.workflow.name)}.</p>
+        <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+        <p><b>Next:</b> ${escapeHtml(firstStage.name)}</p>
+      `,
+    });
+    notifyApprovers(research, firstStage);
+  } else if (decision === 'approved') {
+    if (research.submissionType === 'draft') {
       await notify({
         to: research.student || research.author,
-        subject: `Submission Rejected: ${research.title}`,
+        subject: `Draft Approved: ${research.title}`,
+        html: `
+          <p>Your draft has been approved by faculty.</p>
+          <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+          <p><b>Status:</b> APPROVED</p>
+          <p><i>Note: Draft approvals are not forwarded for publishing.</i></p>
+        `,
+      });
+    } else {
+      const staffList = (process.env.STAFF_PUBLISH_EMAILS || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+      const recipients = [...new Set([
+        research.student || research.author,
+        research.adviser,
+        ...staffList,
+      ].filter(Boolean))];
+
+      await notify({
+        to: recipients,
+        subject: `Final Approved for Publishing: ${research.title}`,
         html: `
-          <p>Your submission has been rejected.</p>
-          <p><b>Title:</b> ${research.title}</p>
-          <p><b>Feedback:</b><br/>${(research.facultyComment || 'No comment').replace(/\n/g, '<br/>')}</p>
+          <p>A final submission has been approved and is ready for publishing.</p>
+          <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+          <p><b>Author:</b> ${escapeHtml(research.author)}</p>
+          <p><b>Adviser:</b> ${escapeHtml(research.adviser || 'N/A')}</p>
+          <p><b>Abstract:</b><br/>${escapeHtml(research.abstract).replace(/\n/g, '<br/>')}</p>
         `,
       });
+
+      research.source = 'faculty-approved';
+      await research.save();
     }
+  } else {
+    await notify({
+      to: research.student || research.author,
+      subject: `Submission Rejected: ${research.title}`,
+      html: `
+        <p>Your submission has been rejected.</p>
+        <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+        <p><b>Feedback:</b><br/>${escapeHtml(research.facultyComment || 'No comment').replace(/\n/g, '<br/>')}</p>
+      `,
+    });
+  }
+
+  return { closed: closed.request, revisionRequest, firstStage };
+}
+
+/* =========================================================
+   👥 Review panels
+   GET    /api/faculty/student-submissions/:id/panel
+   PUT    /api/faculty/student-submissions/:id/panel
+          { members: [{ email, role: 'chair'|'member'|'external' }],
+            rule: { type: 'majority'|'unanimous'|'chair'|'threshold', threshold } }
+   DELETE /api/faculty/student-submissions/:id/panel
+   POST   /api/faculty/student-submissions/:id/panel/recommendation
+          { recommendation, comment, items }
+   Panelists recommend independently (others' recommendations stay hidden
+   until they have sent theirs); once the rule is met the consensus is
+   applied like an adviser's decision.
+========================================================= */
+const PANEL_STAGE = { stage: 'panel', name: 'Review panel' };
+
+// Applies the consensus once the rule is met; otherwise just saves
+async function settlePanel(req, research) {
+  const result = consensus(research.panel);
+  if (!result.decided || research.status !== 'pending') {
+    await research.save();
+    return null;
+  }
 
-    res.json({ message: `✅ Research ${decision} successfully`, research });
+  const { comment, items } = aggregate(research.panel);
+  const decision = result.outcome;
+  const decided = await applyDecision(req, research, {
+    decision,
+    comment,
+    items: decision === 'revision-requested' ? items : null,
+    dueAt: parseDueAt().date,
+    by: 'The review panel',
+    byTitle: 'Review Panel',
+    stage: PANEL_STAGE,
+  });
+  if (decided.error) return decided;
+
+  await notify({
+    to: research.panel.members.map(m => m.email),
+    subject: `Panel Decision (${decision.toUpperCase()}): ${research.title}`,
+    html: `
+      <p>The review panel reached its decision under the ${research.panel.rule.type} rule.</p>
+      <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+      <p><b>Outcome:</b> ${decision}</p>
+      <p><b>Recommendations:</b> ${result.counts.approved} approve, ${result.counts['revision-requested']} revise, ${result.counts.rejected} reject</p>
+    `,
+  });
+  return { decision, counts: result.counts, ...decided };
+}
+
+async function loadPanelSubmission(req, res) {
+  const research = await Research.findById(req.params.id);
+  if (!research) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  return research;
+}
+
+/**
+ * Why `members` can't sit on this panel, or null. Panelists review as
+ * faculty (a role with research.review); guests only as external examiners.
+ * Nobody assesses their own work or their advisee's.
+ */
+async function panelMemberError(research, members, users) {
+  const involved = [research.author, research.student, research.adviser, ...(research.coAuthors || [])]
+    .map(e => String(e || '').trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const m of members) {
+    const u = users.find(x => String(x.email).toLowerCase() === m.email);
+    if (!u) return `No account for ${m.email}. Invite external examiners as guests first.`;
+    if (involved.includes(m.email) || String(u._id) === String(research.uploadedBy || '')) {
+      return `${m.email} is an author or the adviser of this submission`;
+    }
+    if (u.status && u.status !== 'active') return `${m.email} is ${u.status}`;
+    if (u.role === 'guest') {
+      if (m.role !== 'external') return `${m.email} is a guest account and can only sit on a panel as an external examiner`;
+      continue;
+    }
+    if (!(await capabilitiesFor(u.role)).includes('research.review')) {
+      return `${m.email} (${u.role}) cannot review submissions`;
+    }
+  }
+  return null;
+}
+
+router.get('/student-submissions/:id/panel', requirePermission('repository.read'), async (req, res) => {
+  try {
+    const research = await loadPanelSubmission(req, res);
+    if (!research) return;
+
+    const panelist = panelistOf(research, req.user.email);
+    const isAdviser = String(research.adviser || '').toLowerCase() === String(req.user.email || '').toLowerCase();
+    if (!panelist && !isAdviser && !can(req.user, 'panels.manage') && !can(req.user, 'research.read.all')) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+
+    res.json({
+      research: { id: research._id, title: research.title, status: research.status },
+      panel: toPublicPanel(research.panel, { viewer: req.user.email, full: !panelist }),
+    });
+  } catch (err) {
+    console.error('❌ Fetch review panel failed:', err);
+    res.status(500).json({ error: 'Failed to fetch review panel' });
+  }
+});
+
+router.put('/student-submissions/:id/panel', requirePermission('panels.manage'), async (req, res) => {
+  try {
+    const parsed = parseMembers(req.body?.members);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const rule = parseRule(req.body?.rule, parsed.members);
+    if (rule.error) return res.status(400).json({ error: rule.error });
+
+    const research = await loadPanelSubmission(req, res);
+    if (!research) return;
+    if (!inInstitutionScope(req.user, research) || !inCollegeScope(req.user, research.college, { includeUnassigned: true })) {
+      return res.status(403).json({ error: 'Submission is outside your assigned colleges' });
+    }
+    if (['approved', 'in-workflow'].includes(research.status)) {
+      return res.status(409).json({ error: 'This submission has already passed review' });
+    }
+
+    // panelists need an account to sign in (invite external examiners first)
+    const users = await User.find({ email: { $in: parsed.members.map(m => m.email) } })
+      .select('_id email role status')
+      .lean();
+    const invalid = await panelMemberError(research, parsed.members, users);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const byEmail = new Map(users.map(u => [String(u.email).toLowerCase(), u._id]));
+
+    const before = new Map((research.panel?.members || []).map(m => [m.email, m]));
+    const added = parsed.members.filter(m => !before.has(m.email));
+
+    research.panel.members = parsed.members.map(m => ({
+      email: m.email,
+      role: m.role,
+      user: byEmail.get(m.email),
+      assignedAt: before.get(m.email)?.assignedAt || new Date(),
+    }));
+    research.panel.rule = rule.rule;
+    // recommendations of panelists taken off this round no longer count
+    research.panel.recommendations = research.panel.recommendations.filter(
+      r => r.round !== research.panel.round || byEmail.has(r.email)
+    );
+    research.panel.assignedBy = { user: req.user.id, email: req.user.email };
+    research.panel.assignedAt = new Date();
+
+    const decided = await settlePanel(req, research);
+    if (decided?.error) return res.status(409).json({ error: decided.error });
+
+    await recordAudit(req, {
+      action: 'panel.assign',
+      targetType: 'Research',
+      targetId: research._id,
+      details: { members: parsed.members, rule: rule.rule },
+    });
+
+    for (const m of added) {
+      await notify({
+        to: m.email,
+        subject: `Review Panel Assignment: ${research.title}`,
+        html: `
+          <p>You were assigned to the review panel of a submission as <b>${ROLE_LABELS[m.role]}</b>.</p>
+          <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+          <p><b>Author:</b> ${escapeHtml(research.author)}</p>
+          <p><b>Consensus rule:</b> ${rule.rule.type}${rule.rule.threshold ? ` (${rule.rule.threshold} approvals)` : ''}</p>
+          <p>Send your recommendation from your review dashboard.</p>
+        `,
+      });
+    }
+
+    res.json({
+      message: decided ? `Panel updated; consensus reached (${decided.decision})` : 'Panel assigned',
+      panel: toPublicPanel(research.panel, { viewer: req.user.email, full: true }),
+      status: research.status,
+    });
+  } catch (err) {
+    if (err?.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('❌ Assign review panel failed:', err);
+    res.status(500).json({ error: 'Failed to assign review panel' });
+  }
+});
+
+// Back to the adviser's single decision; past rounds stay on record
+router.delete('/student-submissions/:id/panel', requirePermission('panels.manage'), async (req, res) => {
+  try {
+    const research = await loadPanelSubmission(req, res);
+    if (!research) return;
+    if (!inInstitutionScope(req.user, research) || !inCollegeScope(req.user, research.college, { includeUnassigned: true })) {
+      return res.status(403).json({ error: 'Submission is outside your assigned colleges' });
+    }
+    if (!hasPanel(research)) return res.status(404).json({ error: 'This submission has no review panel' });
+
+    const members = research.panel.members.map(m => m.email);
+    research.panel.members = [];
+    research.panel.recommendations = research.panel.recommendations.filter(r => r.round < research.panel.round);
+    await research.save();
+
+    await recordAudit(req, {
+      action: 'panel.remove',
+      targetType: 'Research',
+      targetId: research._id,
+      details: { members },
+    });
+
+    res.json({ message: 'Review panel removed' });
+  } catch (err) {
+    console.error('❌ Remove review panel failed:', err);
+    res.status(500).json({ error: 'Failed to remove review panel' });
+  }
+});
+
+// Panelists may change their recommendation until the round is decided
+router.post('/student-submissions/:id/panel/recommendation', requirePermission('repository.read'), async (req, res) => {
+  try {
+    const { recommendation, comment } = req.body || {};
+    if (!RECOMMENDATIONS.includes(recommendation)) {
+      return res.status(400).json({ error: 'Invalid recommendation' });
+    }
+    let items = [];
+    if (recommendation === 'revision-requested' && req.body.items) {
+      const parsed = parseItems(req.body.items);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      ({ items } = parsed);
+    }
+
+    const research = await loadPanelSubmission(req, res);
+    if (!research) return;
+
+    const panelist = panelistOf(research, req.user.email);
+    if (!panelist) return res.status(403).json({ error: 'You are not on the review panel of this submission' });
+    if (research.status === 'revision-requested') {
+      return res.status(409).json({ error: 'Waiting for the student to resubmit' });
+    }
+    if (research.status !== 'pending') {
+      return res.status(409).json({ error: 'This submission has already been decided' });
+    }
+
+    const { panel } = research;
+    panel.recommendations = panel.recommendations.filter(
+      r => !(r.round === panel.round && r.email === panelist.email)
+    );
+    panel.recommendations.push({
+      email: panelist.email,
+      user: req.user.id || null,
+      role: panelist.role,
+      round: panel.round,
+      recommendation,
+      comment: String(comment || '').trim().slice(0, 5000),
+      items,
+      at: new Date(),
+    });
+
+    const round = panel.round;
+    const decided = await settlePanel(req, research);
+    if (decided?.error) return res.status(409).json({ error: decided.error });
+
+    await recordAudit(req, {
+      action: 'panel.recommend',
+      targetType: 'Research',
+      targetId: research._id,
+      details: { round, role: panelist.role, recommendation, decided: decided?.decision || null },
+    });
+
+    res.json({
+      message: decided ? `Recommendation saved; the panel decided: ${decided.decision}` : 'Recommendation saved',
+      decision: decided?.decision || null,
+      status: research.status,
+      panel: toPublicPanel(research.panel, { viewer: req.user.email }),
+      revisionRequest: decided?.revisionRequest ? toPublicRequest(decided.revisionRequest) : null,
+    });
+  } catch (err) {
+    console.error('❌ Panel recommendation failed:', err);
+    res.status(500).json({ error: 'Failed to save recommendation' });
+  }
+});
+
+/* =========================================================
+   PUT /api/faculty/review/:id
+   decision: 'approved' | 'rejected' | 'revision-requested'
+   → revision-requested also takes `items` (list or one per line) and an
+     optional `dueAt`; the student answers them via /api/student/resubmit/:id
+   → `itemStatus: [{ id, status, note }]` settles the items of the request
+     being closed (anything left open counts as unaddressed)
+   → submissions with a review panel are decided by its consensus; research
+     managers may still decide directly
+========================================================= */
+router.put('/review/:id', requirePermission('research.review'), async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+    if (!['approved', 'rejected', 'revision-requested'].includes(decision)) {
+      return res.status(400).json({ error: 'Invalid decision' });
+    }
+
+    let items = null;
+    let dueAt = null;
+    if (decision === 'revision-requested') {
+      const parsed = parseItems(req.body.items);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const due = parseDueAt(req.body.dueAt);
+      if (due.error) return res.status(400).json({ error: due.error });
+      ({ items } = parsed);
+      dueAt = due.date;
+    }
+
+    const research = await Research.findById(req.params.id);
+    if (!research) return res.status(404).json({ error: 'Submission not found' });
+    if (research.status === 'in-workflow') {
+      return res.status(409).json({ error: 'This submission is awaiting college sign-off' });
+    }
+
+    // 🏫 only the named adviser (or a research manager) within college scope may decide
+    const isAdviser = String(research.adviser || '').toLowerCase() === String(req.user.email || '').toLowerCase();
+    const isManager = can(req.user, 'research.manage');
+    if (!isAdviser && !isManager) {
+      return res.status(403).json({ error: 'Only the assigned adviser can review this submission' });
+    }
+    if (hasPanel(research) && !isManager) {
+      return res.status(409).json({ error: 'This submission is decided by its review panel' });
+    }
+    if (!inInstitutionScope(req.user, research) || !inCollegeScope(req.user, research.college, { includeUnassigned: true })) {
+      return res.status(403).json({ error: 'Submission is outside your assigned colleges' });
+    }
+
+    const result = await applyDecision(req, research, {
+      decision,
+      comment,
+      items,
+      dueAt,
+      itemStatus: req.body.itemStatus,
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json({
+      message: result.firstStage
+        ? `✅ Research approved; forwarded to ${result.firstStage.name}`
+        : `✅ Research ${decision} successfully`,
+      research,
+      revisionRequest: result.revisionRequest ? toPublicRequest(result.revisionRequest) : null,
+      closedRequest: result.closed ? toPublicRequest(result.closed) : null,
+    });
   } catch (err) {
     console.error('❌ Review failed:', err);
     res.status(500).json({ error: 'Failed to review submission' });
@@ -485,12 +1111,13 @@ router.put('/review/:id', authorize(['faculty', 'admin']), async (req, res) => {
 /* =========================================================
    GET /api/faculty/approved-list
 ========================================================= */
-router.get('/approved-list', authorize(['staff', 'admin']), async (req, res) => {
+router.get('/approved-list', requirePermission('research.publish'), async (req, res) => {
   try {
     const approved = await Research.find({
       status: 'approved',
       submissionType: 'final',
       source: 'faculty-approved',
+      ...collegeFilter(req.user),
     })
       .sort({ updatedAt: -1 })
       .select([
@@ -540,13 +1167,14 @@ router.use((err, req, res, next) => {
 /* =========================================================
    GET /api/faculty/approved/:id  (detail for staff/admin)
 ========================================================= */
-router.get('/approved/:id', authorize(['staff','admin']), async (req, res) => {
+router.get('/approved/:id', requirePermission('research.publish'), async (req, res) => {
   try {
     const r = await Research.findOne({
       _id: req.params.id,
       status: 'approved',
       submissionType: 'final',
       source: 'faculty-approved',
+      ...collegeFilter(req.user),
     })
       .select(
         'title author adviser updatedAt fileName fileType visibility embargoUntil submissionType abstract year keywords categories genreTags category filePath'
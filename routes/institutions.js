@@ -0,0 +1,199 @@
+// routes/institutions.js  (mounted at /api/institutions)
+// Campuses sharing this deployment: member email domains, campus sharing, branding.
+const express = require('express');
+const router = express.Router();
+
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const Research = require('../models/Research');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { recordAudit } = require('../utils/audit');
+const {
+  DEFAULT_INSTITUTION_CODE,
+  listInstitutions,
+  institutionMatch,
+  invalidateInstitutions,
+} = require('../utils/institutions');
+
+/* =============================
+   Helpers
+============================= */
+const pick = (body, keys) =>
+  Object.fromEntries(keys.filter(k => body?.[k] !== undefined).map(k => [k, body[k]]));
+
+const asList = (v) => (Array.isArray(v) ? v : String(v || '').split(/[;,]/));
+
+const EDITABLE = ['name', 'shortName', 'emailDomains', 'branding', 'mail', 'shareCampusWith', 'active'];
+
+// A domain may only belong to one institution
+async function findDomainClash(domains, selfId) {
+  const other = await Institution.findOne({
+    emailDomains: { $in: domains.map(d => String(d).trim().toLowerCase().replace(/^@/, '')) },
+    ...(selfId ? { _id: { $ne: selfId } } : {}),
+  }).select('code emailDomains').lean();
+  return other;
+}
+
+// records before tenancy have no institution: they count for the default one
+const ownedBy = (code) => ({ institution: institutionMatch([code]) });
+
+function sendSaveError(res, err) {
+  if (err?.code === 11000)
+    return res.status(409).json({ error: 'An institution with this code or email domain already exists' });
+  if (err?.name === 'ValidationError' || err?.name === 'CastError')
+    return res.status(400).json({ error: err.message });
+  console.error('❌ Save institution failed:', err);
+  return res.status(500).json({ error: 'Failed to save institution' });
+}
+
+/* =========================================================
+   📋 Directory (any visitor — register page, login branding)
+========================================================= */
+router.get('/', async (req, res) => {
+  try {
+    const list = await listInstitutions();
+    res.json(
+      list
+        .filter(i => i.active !== false)
+        .map(i => ({
+          code: i.code,
+          name: i.name,
+          shortName: i.shortName,
+          emailDomains: i.emailDomains,
+          branding: { logoUrl: i.branding?.logoUrl || '', primaryColor: i.branding?.primaryColor || '' },
+        }))
+    );
+  } catch (err) {
+    console.error('❌ Fetch institutions failed:', err);
+    res.status(500).json({ error: 'Failed to fetch institutions' });
+  }
+});
+
+// Includes inactive entries, mail settings and usage counts
+router.get('/manage', requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const rows = await Institution.find().sort({ code: 1 }).lean();
+    const list = rows.length ? rows : await listInstitutions(); // built-in default until one is saved
+
+    const withCounts = await Promise.all(
+      list.map(async (i) => {
+        const [users, research] = await Promise.all([
+          User.countDocuments(ownedBy(i.code)),
+          Research.countDocuments(ownedBy(i.code)),
+        ]);
+        return { ...i, users, research };
+      })
+    );
+    res.json(withCounts);
+  } catch (err) {
+    console.error('❌ Fetch institutions failed:', err);
+    res.status(500).json({ error: 'Failed to fetch institutions' });
+  }
+});
+
+/* =========================================================
+   🏛️ Create / update / delete
+========================================================= */
+router.post('/', requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const body = pick(req.body, ['code', ...EDITABLE]);
+    if (!body.code || !body.name)
+      return res.status(400).json({ error: 'Code and name are required' });
+    body.emailDomains = asList(body.emailDomains);
+    if (body.shareCampusWith !== undefined) body.shareCampusWith = asList(body.shareCampusWith);
+
+    const clash = await findDomainClash(body.emailDomains);
+    if (clash) return res.status(409).json({ error: `An email domain already belongs to ${clash.code}` });
+
+    const doc = await Institution.create(body);
+    invalidateInstitutions();
+
+    await recordAudit(req, {
+      action: 'institution.create',
+      targetType: 'Institution',
+      targetId: doc._id,
+      details: { code: doc.code, emailDomains: doc.emailDomains },
+    });
+
+    res.status(201).json({ message: 'Institution created', institution: doc });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// The code is fixed once created: users and research store it
+router.patch('/:id', requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const doc = await Institution.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Institution not found' });
+    if (req.body?.code !== undefined && String(req.body.code).trim().toUpperCase() !== doc.code)
+      return res.status(400).json({ error: 'The institution code cannot be changed' });
+
+    const body = pick(req.body, EDITABLE);
+    if (body.emailDomains !== undefined) {
+      body.emailDomains = asList(body.emailDomains);
+      const clash = await findDomainClash(body.emailDomains, doc._id);
+      if (clash) return res.status(409).json({ error: `An email domain already belongs to ${clash.code}` });
+    }
+    if (body.shareCampusWith !== undefined) body.shareCampusWith = asList(body.shareCampusWith);
+    if (body.branding) body.branding = { ...doc.branding?.toObject?.(), ...body.branding };
+    if (body.mail) body.mail = { ...doc.mail?.toObject?.(), ...body.mail };
+
+    const before = { emailDomains: doc.emailDomains, shareCampusWith: doc.shareCampusWith, active: doc.active };
+    Object.assign(doc, body);
+    await doc.save();
+    invalidateInstitutions();
+
+    await recordAudit(req, {
+      action: 'institution.update',
+      targetType: 'Institution',
+      targetId: doc._id,
+      details: {
+        code: doc.code,
+        before,
+        after: { emailDomains: doc.emailDomains, shareCampusWith: doc.shareCampusWith, active: doc.active },
+      },
+    });
+
+    res.json({ message: 'Institution updated', institution: doc });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Only unused institutions can be deleted; otherwise deactivate them
+router.delete('/:id', requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const doc = await Institution.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Institution not found' });
+
+    const [users, research] = await Promise.all([
+      User.countDocuments(ownedBy(doc.code)),
+      Research.countDocuments(ownedBy(doc.code)),
+    ]);
+    if (users || research) {
+      return res.status(409).json({
+        error: `Institution is referenced by ${users} user(s) and ${research} research record(s). Deactivate it instead.`,
+      });
+    }
+    if (doc.code === DEFAULT_INSTITUTION_CODE)
+      return res.status(409).json({ error: 'The default institution cannot be deleted' });
+
+    await doc.deleteOne();
+    invalidateInstitutions();
+
+    await recordAudit(req, {
+      action: 'institution.delete',
+      targetType: 'Institution',
+      targetId: doc._id,
+      details: { code: doc.code },
+    });
+
+    res.json({ message: 'Institution deleted' });
+  } catch (err) {
+    console.error('❌ Delete institution failed:', err);
+    res.status(500).json({ error: 'Failed to delete institution' });
+  }
+});
+
+module.exports = router;
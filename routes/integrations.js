@@ -0,0 +1,168 @@
+// routes/integrations.js  (mounted at /api/integrations)
+// Machine-to-machine access for library systems and campus portals.
+// Authenticated with admin-issued API keys (see routes/admin.js → /api-keys).
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Research = require('../models/Research');
+const { authorizeApiKey } = require('../middleware/authMiddleware');
+const { resolveAffiliation } = require('../utils/colleges');
+const { recordAudit } = require('../utils/audit');
+const { campusClause } = require('../utils/institutions');
+
+const METADATA_FIELDS =
+  'title author coAuthors adviser year abstract keywords category categories genreTags ' +
+  'landingPageUrl institution college department visibility embargoUntil createdAt updatedAt';
+
+const INGEST_VISIBILITY = ['public', 'campus', 'embargo'];
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/* =============================
+   Helpers
+============================= */
+
+// Approved records an integration may read; private records are never exposed
+function visibleFilter(principal) {
+  const ors = [
+    { visibility: 'public' },
+    { visibility: 'embargo', embargoUntil: { $ne: null, $lte: new Date() } },
+  ];
+  // read-campus: the key's institution (and those sharing with it)
+  const campus = campusClause(principal);
+  if (campus) ors.push(campus);
+  return { status: 'approved', $or: ors };
+}
+
+const toList = (v) =>
+  (Array.isArray(v) ? v : String(v || '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+/* =============================
+   GET /api/integrations/research
+   ?since=<ISO date> &q= &college= &year= &page= &limit=
+============================= */
+router.get('/research', authorizeApiKey(['read-public', 'read-campus']), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const and = [visibleFilter(req.user)];
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) return res.status(400).json({ error: 'Invalid since date' });
+      and.push({ updatedAt: { $gte: since } });
+    }
+    if (String(req.query.q || '').trim()) {
+      const rx = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+      and.push({ $or: [{ title: rx }, { author: rx }, { coAuthors: rx }, { keywords: rx }] });
+    }
+    if (req.query.college) and.push({ college: String(req.query.college).trim().toUpperCase() });
+    if (req.query.year) and.push({ year: String(req.query.year).trim() });
+
+    const filter = { $and: and };
+    const [items, total] = await Promise.all([
+      Research.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(METADATA_FIELDS)
+        .lean(),
+      Research.countDocuments(filter),
+    ]);
+
+    res.json({ data: items, meta: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    console.error('❌ Integration list failed:', err);
+    res.status(500).json({ error: 'Failed to fetch research' });
+  }
+});
+
+/* =============================
+   GET /api/integrations/research/:id
+============================= */
+router.get('/research/:id', authorizeApiKey(['read-public', 'read-campus']), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ error: 'Invalid id' });
+
+    const item = await Research.findOne({ _id: req.params.id, ...visibleFilter(req.user) })
+      .select(METADATA_FIELDS)
+      .lean();
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    res.json(item);
+  } catch (err) {
+    console.error('❌ Integration fetch failed:', err);
+    res.status(500).json({ error: 'Failed to fetch research' });
+  }
+});
+
+/* =============================
+   POST /api/integrations/research
+   Deposits a metadata-only record. It lands as "pending" so staff can
+   attach the file and publish it through the usual review. No adviser is
+   recorded: a named adviser would find the record in their review queue.
+============================= */
+router.post('/research', authorizeApiKey('ingest'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const title = String(body.title || '').trim();
+    const author = String(body.author || '').trim();
+    if (!title || !author) return res.status(400).json({ error: 'title and author are required' });
+
+    const visibility = String(body.visibility || 'public');
+    if (!INGEST_VISIBILITY.includes(visibility))
+      return res.status(400).json({ error: `visibility must be one of: ${INGEST_VISIBILITY.join(', ')}` });
+
+    let embargoUntil = null;
+    if (visibility === 'embargo') {
+      embargoUntil = new Date(body.embargoUntil);
+      if (Number.isNaN(embargoUntil.getTime()))
+        return res.status(400).json({ error: 'embargoUntil is required for embargoed records' });
+    }
+
+    const aff = await resolveAffiliation(
+      { college: body.college, department: body.department },
+      { institution: req.apiKey.institution }
+    );
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
+    const doc = await Research.create({
+      title,
+      author,
+      coAuthors: toList(body.coAuthors),
+      abstract: String(body.abstract || ''),
+      year: body.year,
+      keywords: toList(body.keywords),
+      categories: toList(body.categories),
+      genreTags: toList(body.genreTags),
+      landingPageUrl: String(body.landingPageUrl || '').trim(),
+      ...aff.fields,
+      institution: req.apiKey.institution,
+      visibility,
+      embargoUntil,
+      status: 'pending',
+      submissionType: 'final',
+      uploaderRole: 'integration',
+      source: 'integration',
+      fileName: '',
+    });
+
+    await recordAudit(req, {
+      action: 'research.ingest',
+      targetType: 'Research',
+      targetId: doc._id,
+      details: { apiKey: req.apiKey.id, keyName: req.apiKey.name, title },
+    });
+
+    res.status(201).json({ message: 'Record received', id: doc._id, status: doc.status });
+  } catch (err) {
+    if (err?.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('❌ Integration ingest failed:', err);
+    res.status(500).json({ error: 'Failed to ingest record' });
+  }
+});
+
+module.exports = router;
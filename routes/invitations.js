@@ -0,0 +1,359 @@
+// routes/invitations.js  (mounted at /api/invitations)
+// Invite-only guest accounts for outside examiners and collaborators.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+
+const User = require('../models/User');
+const Research = require('../models/Research');
+const Invitation = require('../models/Invitation');
+const { requirePermission, isInstitutionEmail } = require('../middleware/authMiddleware');
+const { can } = require('../utils/permissions');
+const { collegeFilter } = require('../utils/scope');
+const { startSession, sessionUserPayload, revokeAllSessions } = require('../utils/sessions');
+const { sendInvitationEmail } = require('../utils/mailer');
+
+/* =============================
+   Config
+============================= */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LINK_TTL_MS = 7 * DAY_MS;
+const DEFAULT_ACCESS_DAYS = Number(process.env.GUEST_DEFAULT_DAYS || 30);
+const MAX_ACCESS_DAYS = Number(process.env.GUEST_MAX_DAYS || 180);
+
+const INVITE_URL_BASE = (
+  process.env.INVITE_URL_BASE ||
+  `${(process.env.APP_ORIGIN || 'http://localhost:3000').split(',')[0].trim()}/accept-invite`
+).replace(/\/+$/, '');
+
+const acceptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please slow down.' },
+});
+
+/* =============================
+   Helpers
+============================= */
+const hashToken = (t) => crypto.createHash('sha256').update(String(t || '')).digest('hex');
+const isEmail = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+
+function statusOf(inv) {
+  if (inv.revokedAt) return 'revoked';
+  if (inv.acceptedAt) return 'accepted';
+  if (new Date(inv.expiresAt).getTime() < Date.now()) return 'expired';
+  return 'pending';
+}
+
+const toPublic = (inv) => ({
+  id: inv._id,
+  email: inv.email,
+  firstName: inv.firstName,
+  lastName: inv.lastName,
+  note: inv.note,
+  invitedBy: inv.invitedBy,
+  research: inv.research,
+  expiresAt: inv.expiresAt,
+  accountExpiresAt: inv.accountExpiresAt,
+  acceptedAt: inv.acceptedAt,
+  revokedAt: inv.revokedAt,
+  status: statusOf(inv),
+  createdAt: inv.createdAt,
+});
+
+/**
+ * Guest access end from `{ accountExpiresAt }` or `{ accessDays }`.
+ * Returns `{ date }` or `{ error }`.
+ */
+function accessEnd({ accountExpiresAt, accessDays } = {}) {
+  const max = Date.now() + MAX_ACCESS_DAYS * DAY_MS;
+  let when;
+
+  if (accountExpiresAt) {
+    when = new Date(accountExpiresAt);
+    if (Number.isNaN(when.getTime())) return { error: 'Invalid accountExpiresAt' };
+  } else {
+    const days = accessDays == null ? DEFAULT_ACCESS_DAYS : Number(accessDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: 'accessDays must be a positive number' };
+    when = new Date(Date.now() + days * DAY_MS);
+  }
+
+  if (when.getTime() <= Date.now()) return { error: 'Guest access must end in the future' };
+  if (when.getTime() > max) return { error: `Guest access is limited to ${MAX_ACCESS_DAYS} days` };
+  return { date: when };
+}
+
+// Inviter must own/advise each record (or manage research within their colleges)
+async function shareableResearch(user, ids) {
+  const list = [...new Set((Array.isArray(ids) ? ids : []).map(String).filter(Boolean))];
+  if (!list.length) return { ids: [] };
+  if (list.some(id => !/^[a-f0-9]{24}$/i.test(id))) return { error: 'Invalid research id' };
+
+  const email = String(user.email || '').toLowerCase();
+  const filter = can(user, 'research.manage')
+    ? { _id: { $in: list }, ...collegeFilter(user) }
+    : {
+        _id: { $in: list },
+        $or: [{ author: email }, { adviser: email }, { student: email }, { uploadedBy: user.id }],
+      };
+
+  const found = await Research.find(filter).select('_id').lean();
+  if (found.length !== list.length)
+    return { error: 'You can only share research you author, advise or manage' };
+  return { ids: found.map(r => r._id) };
+}
+
+// Own invitations, or any with users.manage
+function ownerFilter(req) {
+  return can(req.user, 'users.manage')
+    ? { _id: req.params.id }
+    : { _id: req.params.id, invitedBy: req.user.id };
+}
+
+/* =========================================================
+   ✉️ Invite (faculty / admins)
+========================================================= */
+router.post('/', requirePermission('users.invite'), async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').toLowerCase().trim();
+    if (!isEmail(email)) return res.status(400).json({ error: 'A valid email is required' });
+    if (isInstitutionEmail(email))
+      return res.status(400).json({ error: 'Campus accounts can register directly' });
+
+    const existing = await User.findOne({ email }).select('role').lean();
+    if (existing && existing.role !== 'guest')
+      return res.status(409).json({ error: 'This email already has an account' });
+
+    const end = accessEnd(req.body);
+    if (end.error) return res.status(400).json({ error: end.error });
+
+    const shared = await shareableResearch(req.user, req.body?.research);
+    if (shared.error) return res.status(403).json({ error: shared.error });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const inv = await Invitation.create({
+      email,
+      firstName: String(req.body?.firstName || '').trim(),
+      lastName: String(req.body?.lastName || '').trim(),
+      note: String(req.body?.note || '').trim().slice(0, 500),
+      invitedBy: req.user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + LINK_TTL_MS),
+      accountExpiresAt: end.date,
+      research: shared.ids,
+    });
+
+    const inviter = await User.findById(req.user.id).select('firstName lastName email institution').lean();
+    const link = `${INVITE_URL_BASE}?token=${encodeURIComponent(token)}`;
+
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(email, {
+        inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}`.trim() : req.user.email,
+        link,
+        linkExpiresAt: inv.expiresAt,
+        accountExpiresAt: inv.accountExpiresAt,
+        note: inv.note,
+        institution: inviter?.institution,
+      });
+    } catch (mailErr) {
+      emailSent = false;
+      console.error('❌ Invitation email failed:', mailErr?.message || mailErr);
+    }
+
+    res.status(201).json({
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      invitation: toPublic(inv),
+      emailSent,
+      // share it another way when mail is down
+      ...(emailSent ? {} : { link }),
+    });
+  } catch (err) {
+    console.error('❌ Create invitation error:', err);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+router.get('/', requirePermission('users.invite'), async (req, res) => {
+  try {
+    const filter = can(req.user, 'users.manage') ? {} : { invitedBy: req.user.id };
+    const list = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'firstName lastName email')
+      .lean();
+    res.json(list.map(toPublic));
+  } catch (err) {
+    console.error('❌ List invitations error:', err);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Change how long guest access lasts (also applies to an accepted guest)
+router.patch('/:id', requirePermission('users.invite'), async (req, res) => {
+  try {
+    const inv = await Invitation.findOne(ownerFilter(req));
+    if (!inv || inv.revokedAt) return res.status(404).json({ error: 'Invitation not found' });
+
+    const end = accessEnd(req.body);
+    if (end.error) return res.status(400).json({ error: end.error });
+
+    inv.accountExpiresAt = end.date;
+    await inv.save();
+
+    if (inv.acceptedUser) {
+      await User.updateOne(
+        { _id: inv.acceptedUser, role: 'guest' },
+        { $set: { accountExpiresAt: end.date } }
+      );
+    }
+
+    res.json({ message: 'Guest access updated', invitation: toPublic(inv) });
+  } catch (err) {
+    console.error('❌ Update invitation error:', err);
+    res.status(500).json({ error: 'Failed to update invitation' });
+  }
+});
+
+// Revoke: a pending link stops working; an accepted guest loses access now
+router.delete('/:id', requirePermission('users.invite'), async (req, res) => {
+  try {
+    const inv = await Invitation.findOne(ownerFilter(req));
+    if (!inv || inv.revokedAt) return res.status(404).json({ error: 'Invitation not found' });
+
+    inv.revokedAt = new Date();
+    await inv.save();
+
+    if (inv.acceptedUser) {
+      await User.updateOne(
+        { _id: inv.acceptedUser, role: 'guest' },
+        { $set: { accountExpiresAt: new Date() } }
+      );
+      await revokeAllSessions(inv.acceptedUser, 'guest-revoked');
+    }
+
+    res.json({ message: 'Invitation revoked', invitation: toPublic(inv) });
+  } catch (err) {
+    console.error('❌ Revoke invitation error:', err);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+/* =========================================================
+   🔓 Accept (public — the link token is the credential)
+========================================================= */
+async function findOpenInvitation(token) {
+  if (!token) return null;
+  const inv = await Invitation.findOne({ tokenHash: hashToken(token) })
+    .populate('invitedBy', 'firstName lastName')
+    .lean();
+  return inv && statusOf(inv) === 'pending' ? inv : null;
+}
+
+router.get('/accept/:token', acceptLimiter, async (req, res) => {
+  try {
+    const inv = await findOpenInvitation(req.params.token);
+    if (!inv) return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+
+    const existing = await User.exists({ email: inv.email });
+    res.json({
+      email: inv.email,
+      firstName: inv.firstName,
+      lastName: inv.lastName,
+      invitedBy: inv.invitedBy ? `${inv.invitedBy.firstName} ${inv.invitedBy.lastName}`.trim() : '',
+      note: inv.note,
+      expiresAt: inv.expiresAt,
+      accountExpiresAt: inv.accountExpiresAt,
+      hasAccount: !!existing,
+    });
+  } catch (err) {
+    console.error('❌ Preview invitation error:', err);
+    res.status(500).json({ error: 'Failed to load invitation' });
+  }
+});
+
+router.post('/accept', acceptLimiter, async (req, res) => {
+  let claimed = null;
+  try {
+    const { token } = req.body || {};
+    const inv = await findOpenInvitation(token);
+    if (!inv) return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+
+    const existing = await User.findOne({ email: inv.email }).select('role accountExpiresAt');
+    if (existing && existing.role !== 'guest')
+      return res.status(409).json({ error: 'This email already has an account. Please sign in.' });
+
+    const rawPin = String(req.body?.pin ?? '').trim();
+    const firstName = String(req.body?.firstName || inv.firstName || '').trim();
+    const lastName = String(req.body?.lastName || inv.lastName || '').trim();
+    if (!existing) {
+      if (!firstName || !lastName) return res.status(400).json({ error: 'First and last name required' });
+      if (!/^\d{6}$/.test(rawPin)) return res.status(400).json({ error: 'PIN must be 6 digits' });
+    }
+
+    // single use: only one request can claim the link
+    claimed = await Invitation.findOneAndUpdate(
+      { _id: inv._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+
+    let user;
+    if (existing) {
+      // returning guest: extend access (never shorten it)
+      const current = existing.accountExpiresAt ? existing.accountExpiresAt.getTime() : 0;
+      if (claimed.accountExpiresAt.getTime() > current) existing.accountExpiresAt = claimed.accountExpiresAt;
+      await existing.save();
+      user = existing;
+    } else {
+      // a guest belongs to the inviting institution
+      const inviter = await User.findById(claimed.invitedBy).select('institution').lean();
+      user = await User.create({
+        firstName,
+        lastName,
+        email: inv.email,
+        pinHash: await bcrypt.hash(rawPin, 10),
+        role: 'guest',
+        verified: true, // the emailed link proves the address
+        lastVerifiedAt: new Date(),
+        accountExpiresAt: claimed.accountExpiresAt,
+        invitedBy: claimed.invitedBy,
+        institution: inviter?.institution || '',
+      });
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    if (claimed.research?.length) {
+      await Research.updateMany(
+        { _id: { $in: claimed.research } },
+        { $addToSet: { allowedViewers: inv.email } }
+      );
+    }
+
+    if (existing) {
+      return res.json({ message: 'Guest access extended. Please sign in.', accountExpiresAt: user.accountExpiresAt });
+    }
+
+    const full = await User.findById(user._id).select('email role firstName lastName college');
+    const tokens = await startSession(full, req);
+    res.status(201).json({
+      message: 'Invitation accepted',
+      user: { ...sessionUserPayload(full, tokens), accountExpiresAt: user.accountExpiresAt },
+    });
+  } catch (err) {
+    // give the link back if the account could not be created
+    if (claimed && !claimed.acceptedUser) {
+      await Invitation.updateOne({ _id: claimed._id }, { $set: { acceptedAt: null } }).catch(() => {});
+    }
+    console.error('❌ Accept invitation error:', err);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+module.exports = router;
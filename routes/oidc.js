@@ -0,0 +1,274 @@
+// routes/oidc.js  (mounted at /api/auth/oidc)
+// Institutional single sign-on. PIN + email code and passkeys stay available;
+// SSO only adds another way to start the same kind of session.
+//
+//   GET  /config    → { enabled, label } for the login page
+//   GET  /login     → redirects to the IdP (?mode=json returns { url })
+//   GET  /callback  → IdP redirect target; hands off to the app with a one-time code
+//   POST /exchange  → { code } → normal session payload (token + refreshToken),
+//                     or { needsVerification, factor: 'totp', mfaToken } for
+//                     accounts with an authenticator app; they finish at
+//                     POST /api/auth/verify-code (unless OIDC_TRUST_IDP_MFA=true)
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+
+const User = require('../models/User');
+const AuthChallenge = require('../models/AuthChallenge');
+const { startSession, sessionUserPayload, accountBlockReason, signMfaTicket } = require('../utils/sessions');
+const { recordLoginAttempt, recordSignIn } = require('../utils/loginEvents');
+const {
+  oidcConfig,
+  oidcEnabled,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  mapClaims,
+} = require('../utils/oidc');
+
+/* =============================
+   Config
+============================= */
+const LOGIN_TTL_MS = 10 * 60 * 1000;  // time allowed at the IdP
+const HANDOFF_TTL_MS = 2 * 60 * 1000; // callback → /exchange
+
+const APP_CALLBACK = (
+  process.env.OIDC_APP_CALLBACK ||
+  `${(process.env.APP_ORIGIN || 'http://localhost:3000').split(',')[0].trim()}/sso/callback`
+);
+
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please slow down.' },
+});
+
+/* =============================
+   Helpers
+============================= */
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// only same-app paths, never "//evil.example" or absolute URLs
+const safeReturnTo = (v) => {
+  const s = String(v || '');
+  return /^\/(?![/\\])/.test(s) ? s.slice(0, 500) : '/';
+};
+
+function redirectToApp(res, params) {
+  const url = new URL(APP_CALLBACK);
+  for (const [k, v] of Object.entries(params)) if (v) url.searchParams.set(k, v);
+  return res.redirect(303, url.toString());
+}
+
+function ensureEnabled(req, res, next) {
+  if (!oidcEnabled()) return res.status(404).json({ error: 'Single sign-on is not configured' });
+  return next();
+}
+
+/**
+ * Finds the account for an IdP identity: by linked subject first, then by
+ * email (linking it), else provisions a new one. Returns `{ user, created }`
+ * or `{ error }`.
+ */
+async function findOrProvisionUser(profile) {
+  const select = 'email role firstName lastName college verified status accountExpiresAt sso';
+
+  let user = await User.findOne({ 'sso.issuer': profile.issuer, 'sso.subject': profile.subject }).select(select);
+  if (!user) {
+    user = await User.findOne({ email: profile.email }).select(select);
+    if (user?.sso?.subject && user.sso.subject !== profile.subject) {
+      return { error: 'This account is linked to a different single sign-on identity' };
+    }
+  }
+
+  if (user) {
+    const set = {
+      'sso.issuer': profile.issuer,
+      'sso.subject': profile.subject,
+      'sso.lastLoginAt': new Date(),
+    };
+    if (!user.sso?.subject) set['sso.linkedAt'] = new Date();
+    // the IdP proves control of the address, same as an email code
+    if (!user.verified) Object.assign(set, { verified: true, lastVerifiedAt: new Date() });
+    // fill gaps only; admin-made changes win unless OIDC_SYNC_ROLE is on
+    if (!user.college && profile.affiliation?.college) Object.assign(set, profile.affiliation);
+    if (oidcConfig.syncRole && profile.role && user.role !== 'admin') set.role = profile.role;
+
+    await User.updateOne({ _id: user._id }, { $set: set });
+    user.set(set);
+    return { user, created: false };
+  }
+
+  if (!oidcConfig.autoProvision) {
+    return { error: 'No account exists for this email. Ask an administrator to create one.' };
+  }
+
+  // SSO users get an unusable random PIN; "forgot PIN" sets a real one for the fallback
+  const pinHash = await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10);
+  try {
+    user = await User.create({
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      email: profile.email,
+      role: profile.role || oidcConfig.defaultRole,
+      pinHash,
+      ...(profile.affiliation || {}),
+      verified: true,
+      lastVerifiedAt: new Date(),
+      sso: {
+        issuer: profile.issuer,
+        subject: profile.subject,
+        linkedAt: new Date(),
+        lastLoginAt: new Date(),
+      },
+    });
+  } catch (err) {
+    // two first sign-ins racing each other: the other one created it
+    if (err?.code === 11000) return findOrProvisionUser(profile);
+    throw err;
+  }
+  return { user, created: true };
+}
+
+/* =============================
+   Login page config
+============================= */
+router.get('/config', (req, res) => {
+  res.json({ enabled: oidcEnabled(), label: oidcConfig.label });
+});
+
+/* =============================
+   Start: browser → IdP
+============================= */
+router.get('/login', oidcLimiter, ensureEnabled, async (req, res) => {
+  try {
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest();
+    await AuthChallenge.create({
+      purpose: 'oidc-login',
+      challenge: sha256(state),
+      data: { nonce, codeVerifier, returnTo: safeReturnTo(req.query.returnTo) },
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+    });
+
+    if (req.query.mode === 'json') return res.json({ url });
+    return res.redirect(302, url);
+  } catch (err) {
+    console.error('❌ OIDC login start error:', err?.message || err);
+    res.status(502).json({ error: 'Single sign-on is unavailable right now' });
+  }
+});
+
+/* =============================
+   IdP → callback
+============================= */
+router.get('/callback', oidcLimiter, ensureEnabled, async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  // redeem the state once, whatever happens next
+  const ch = state
+    ? await AuthChallenge.findOneAndDelete({ purpose: 'oidc-login', challenge: sha256(state) }).lean()
+    : null;
+
+  if (error) {
+    recordLoginAttempt(req, { step: 'sso', method: 'oidc', success: false, reason: `idp:${String(error).slice(0, 50)}` });
+    return redirectToApp(res, { error: String(errorDescription || 'Sign-in was cancelled') });
+  }
+  if (!ch || new Date(ch.expiresAt).getTime() < Date.now() || !code) {
+    return redirectToApp(res, { error: 'Sign-in expired. Please try again.' });
+  }
+
+  try {
+    let claims;
+    try {
+      const tokens = await exchangeCode(code, ch.data.codeVerifier);
+      claims = await verifyIdToken(tokens.id_token, ch.data.nonce);
+    } catch (err) {
+      console.error('❌ OIDC token validation failed:', err?.response?.data || err?.message || err);
+      recordLoginAttempt(req, { step: 'sso', method: 'oidc', success: false, reason: 'invalid-token' });
+      return redirectToApp(res, { error: 'Single sign-on failed. Please try again.' });
+    }
+
+    const mapped = await mapClaims(claims);
+    if (mapped.error) {
+      recordLoginAttempt(req, { email: claims.email, step: 'sso', method: 'oidc', success: false, reason: 'claims-rejected' });
+      return redirectToApp(res, { error: mapped.error });
+    }
+
+    const found = await findOrProvisionUser(mapped.profile);
+    if (found.error) {
+      recordLoginAttempt(req, { email: mapped.profile.email, step: 'sso', method: 'oidc', success: false, reason: 'not-linkable' });
+      return redirectToApp(res, { error: found.error });
+    }
+
+    const blocked = accountBlockReason(found.user);
+    if (blocked) {
+      recordLoginAttempt(req, { user: found.user, step: 'sso', method: 'oidc', success: false, reason: 'account-blocked' });
+      return redirectToApp(res, { error: blocked });
+    }
+
+    // tokens never travel in the URL — the app trades this code for them
+    const handoff = crypto.randomBytes(32).toString('base64url');
+    await AuthChallenge.create({
+      purpose: 'oidc-handoff',
+      challenge: sha256(handoff),
+      user: found.user._id,
+      data: { created: found.created },
+      expiresAt: new Date(Date.now() + HANDOFF_TTL_MS),
+    });
+
+    return redirectToApp(res, { code: handoff, returnTo: ch.data.returnTo });
+  } catch (err) {
+    console.error('❌ OIDC callback error:', err);
+    return redirectToApp(res, { error: 'Single sign-on failed. Please try again.' });
+  }
+});
+
+/* =============================
+   App: one-time code → session
+============================= */
+router.post('/exchange', oidcLimiter, ensureEnabled, async (req, res) => {
+  try {
+    const code = String(req.body?.code || '');
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    const ch = await AuthChallenge.findOneAndDelete({ purpose: 'oidc-handoff', challenge: sha256(code) }).lean();
+    if (!ch || new Date(ch.expiresAt).getTime() < Date.now()) {
+      return res.status(400).json({ error: 'Sign-in expired. Please try again.' });
+    }
+
+    const user = await User.findById(ch.user).select('email role firstName lastName college verified status accountExpiresAt totp.enabled');
+    if (!user) return res.status(401).json({ error: 'Account not found' });
+
+    const blocked = accountBlockReason(user);
+    if (blocked) return res.status(403).json({ error: blocked });
+
+    // 🔐 the IdP stands in for the PIN, not for the authenticator app
+    if (user.totp?.enabled && !oidcConfig.trustIdpMfa) {
+      return res.json({
+        needsVerification: true,
+        email: user.email,
+        factor: 'totp',
+        factors: ['totp', 'recovery'],
+        mfaToken: signMfaTicket(user),
+        newAccount: !!ch.data?.created,
+      });
+    }
+
+    const tokens = await startSession(user, req);
+    recordSignIn(req, user, { step: 'sso', method: 'oidc', session: tokens.session });
+    res.json({
+      message: 'Single sign-on successful',
+      newAccount: !!ch.data?.created,
+      user: sessionUserPayload(user, tokens),
+    });
+  } catch (err) {
+    console.error('❌ OIDC exchange error:', err);
+    res.status(500).json({ error: 'Failed to complete sign-in' });
+  }
+});
+
+module.exports = router;
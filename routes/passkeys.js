@@ -0,0 +1,305 @@
+// routes/passkeys.js  (mounted at /api/auth/passkeys)
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+
+const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const AuthChallenge = require('../models/AuthChallenge');
+const { authorize } = require('../middleware/authMiddleware');
+const { startSession, sessionUserPayload, accountBlockReason } = require('../utils/sessions');
+const { checkLock, recordFailure, clearFailures } = require('../utils/throttle');
+const { recordLoginAttempt, recordSignIn } = require('../utils/loginEvents');
+
+/* =============================
+   Relying-party config
+============================= */
+const APP_ORIGINS = (process.env.APP_ORIGIN || 'http://localhost:3000')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const RP_ID = process.env.WEBAUTHN_RP_ID || new URL(APP_ORIGINS[0]).hostname;
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Research Repository';
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGINS || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const expectedOrigin = () => (EXPECTED_ORIGINS.length ? EXPECTED_ORIGINS : APP_ORIGINS);
+
+const passkeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 100,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please slow down.' },
+});
+
+/* =============================
+   Helpers
+============================= */
+async function saveChallenge(purpose, challenge, user = null) {
+  const doc = await AuthChallenge.create({
+    purpose,
+    challenge,
+    user,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+  return String(doc._id);
+}
+
+// Redeem once: the row is deleted whether or not verification succeeds
+async function takeChallenge(id, purpose) {
+  if (!/^[a-f0-9]{24}$/i.test(String(id || ''))) return null;
+  const doc = await AuthChallenge.findOneAndDelete({ _id: id, purpose }).lean();
+  if (!doc || new Date(doc.expiresAt).getTime() < Date.now()) return null;
+  return doc;
+}
+
+const toPublic = (p) => ({
+  id: p._id,
+  name: p.name,
+  deviceType: p.deviceType,
+  backedUp: p.backedUp,
+  transports: p.transports,
+  createdAt: p.createdAt,
+  lastUsedAt: p.lastUsedAt,
+});
+
+/* =========================================================
+   🔑 Registration (signed-in user adds a passkey)
+========================================================= */
+router.post('/register/options', authorize(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email firstName lastName');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const existing = await Passkey.find({ user: user._id }).select('credentialId transports').lean();
+
+    const options = await generateRegistrationOptions({
+      rpName: RP_NAME,
+      rpID: RP_ID,
+      userName: user.email,
+      userDisplayName: `${user.firstName} ${user.lastName}`.trim(),
+      userID: Buffer.from(String(user._id)),
+      attestationType: 'none',
+      excludeCredentials: existing.map(p => ({ id: p.credentialId, transports: p.transports })),
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+    });
+
+    const challengeId = await saveChallenge('webauthn-register', options.challenge, user._id);
+    res.json({ challengeId, options });
+  } catch (err) {
+    console.error('❌ Passkey register options error:', err);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+});
+
+router.post('/register/verify', authorize(), async (req, res) => {
+  try {
+    const { challengeId, response, name } = req.body || {};
+    const ch = await takeChallenge(challengeId, 'webauthn-register');
+    if (!ch || String(ch.user) !== String(req.user.id))
+      return res.status(400).json({ error: 'Registration expired. Please try again.' });
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: ch.challenge,
+        expectedOrigin: expectedOrigin(),
+        expectedRPID: RP_ID,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message || 'Passkey verification failed' });
+    }
+
+    if (!verification.verified)
+      return res.status(400).json({ error: 'Passkey verification failed' });
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    const doc = await Passkey.create({
+      user: req.user.id,
+      name: String(name || '').trim() || 'Passkey',
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response?.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+    });
+
+    res.status(201).json({ message: 'Passkey added', passkey: toPublic(doc) });
+  } catch (err) {
+    if (err?.code === 11000)
+      return res.status(409).json({ error: 'This passkey is already registered' });
+    console.error('❌ Passkey register verify error:', err);
+    res.status(500).json({ error: 'Failed to register passkey' });
+  }
+});
+
+/* =========================================================
+   📋 Manage my passkeys
+========================================================= */
+router.get('/', authorize(), async (req, res) => {
+  try {
+    const list = await Passkey.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json(list.map(toPublic));
+  } catch (err) {
+    console.error('❌ Passkey list error:', err);
+    res.status(500).json({ error: 'Failed to fetch passkeys' });
+  }
+});
+
+router.patch('/:id', authorize(), async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Name required' });
+
+    const doc = await Passkey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { name } },
+      { new: true, runValidators: true }
+    );
+    if (!doc) return res.status(404).json({ error: 'Passkey not found' });
+    res.json({ message: 'Passkey renamed', passkey: toPublic(doc) });
+  } catch (err) {
+    console.error('❌ Passkey rename error:', err);
+    res.status(500).json({ error: 'Failed to rename passkey' });
+  }
+});
+
+router.delete('/:id', authorize(), async (req, res) => {
+  try {
+    const doc = await Passkey.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!doc) return res.status(404).json({ error: 'Passkey not found' });
+    res.json({ message: 'Passkey removed' });
+  } catch (err) {
+    console.error('❌ Passkey delete error:', err);
+    res.status(500).json({ error: 'Failed to remove passkey' });
+  }
+});
+
+/* =========================================================
+   🔓 Sign in with a passkey
+   - email given  → only that user's credentials are offered
+   - no email     → discoverable credential (browser picks the account)
+========================================================= */
+router.post('/login/options', passkeyLimiter, async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').toLowerCase().trim();
+
+    let allowCredentials;
+    if (email) {
+      const user = await User.findOne({ email }).select('_id');
+      const keys = user
+        ? await Passkey.find({ user: user._id }).select('credentialId transports').lean()
+        : [];
+      // same response shape whether or not the account exists
+      allowCredentials = keys.map(p => ({ id: p.credentialId, transports: p.transports }));
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: RP_ID,
+      allowCredentials,
+      userVerification: 'preferred',
+    });
+
+    const challengeId = await saveChallenge('webauthn-login', options.challenge);
+    res.json({ challengeId, options });
+  } catch (err) {
+    console.error('❌ Passkey login options error:', err);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+router.post('/login/verify', passkeyLimiter, async (req, res) => {
+  try {
+    const { challengeId, response } = req.body || {};
+
+    const ipLock = await checkLock('login', { ip: req.ip });
+    if (ipLock.locked) {
+      res.set('Retry-After', String(ipLock.retryAfter));
+      return res.status(429).json({ error: 'Too many failed attempts. Try again later.', retryAfter: ipLock.retryAfter });
+    }
+
+    const ch = await takeChallenge(challengeId, 'webauthn-login');
+    if (!ch) return res.status(400).json({ error: 'Sign-in expired. Please try again.' });
+
+    const passkey = response?.id
+      ? await Passkey.findOne({ credentialId: String(response.id) }).select('+publicKey')
+      : null;
+    if (!passkey) {
+      recordLoginAttempt(req, { step: 'passkey', method: 'passkey', success: false, reason: 'unknown-passkey' });
+      await recordFailure('login', { ip: req.ip });
+      return res.status(401).json({ error: 'Unknown passkey' });
+    }
+
+    const user = await User.findById(passkey.user).select('email role firstName lastName college verified status accountExpiresAt');
+    if (!user) return res.status(401).json({ error: 'Unknown passkey' });
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: ch.challenge,
+        expectedOrigin: expectedOrigin(),
+        expectedRPID: RP_ID,
+        credential: {
+          id: passkey.credentialId,
+          publicKey: Buffer.from(passkey.publicKey, 'base64url'),
+          counter: passkey.counter,
+          transports: passkey.transports,
+        },
+      });
+    } catch (e) {
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      recordLoginAttempt(req, { user, step: 'passkey', method: 'passkey', success: false, reason: 'invalid' });
+      await recordFailure('login', { email: user.email, ip: req.ip });
+      return res.status(401).json({ error: 'Passkey verification failed' });
+    }
+
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
+
+    // a passkey proves control of the account, same as a verified email code
+    if (!user.verified) {
+      user.verified = true;
+      user.lastVerifiedAt = new Date();
+      await user.save();
+    }
+
+    await clearFailures('login', { email: user.email });
+
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      recordLoginAttempt(req, { user, step: 'passkey', method: 'passkey', success: false, reason: 'account-blocked' });
+      return res.status(403).json({ error: blocked });
+    }
+
+    const tokens = await startSession(user, req);
+    recordSignIn(req, user, { step: 'passkey', method: 'passkey', session: tokens.session });
+    res.json({
+      message: 'Passkey sign-in successful',
+      user: sessionUserPayload(user, tokens),
+    });
+  } catch (err) {
+    console.error('❌ Passkey login verify error:', err);
+    res.status(500).json({ error: 'Failed to sign in with passkey' });
+  }
+});
+
+module.exports = router;
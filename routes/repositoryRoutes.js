@@ -1,8 +1,9 @@
 // routes/repositoryRoutes.js
 const express = require("express");
 const Research = require("../models/Research");
-const { authorize } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authMiddleware");
 const jwt = require("jsonwebtoken");
+const { campusClause, campusVisibleTo } = require("../utils/institutions");
 
 const router = express.Router();
 
@@ -23,9 +24,9 @@ function buildAllowedFilter(user, extra = {}) {
     { visibility: "private", allowedViewers: String(user.email).toLowerCase() },
   ];
 
-  if (user?.isCampus) {
-    ors.push({ visibility: "campus" });
-  }
+  // "campus" = the viewer's institution (and institutions sharing with it)
+  const campus = campusClause(user);
+  if (campus) ors.push(campus);
 
   return { ...base, $or: ors, ...extra };
 }
@@ -45,6 +46,7 @@ function sanitize(r) {
     landingPageUrl: r.landingPageUrl || null,
     fileName: r.fileName,
     uploaderRole: r.uploaderRole,
+    institution: r.institution || null,
     createdAt: r.createdAt,
     updatedAt: r.updatedAt,
     visibility: r.visibility,
@@ -62,7 +64,7 @@ const toList = (v) =>
    🔒 CAMPUS-ONLY CENTRAL REPOSITORY – VIEW & SEARCH
    GET /api/repository
 ========================================================= */
-router.get("/", authorize(), async (req, res) => {
+router.get("/", requirePermission("repository.read"), async (req, res) => {
   try {
     const {
       q = "",
@@ -135,7 +137,7 @@ router.get("/", authorize(), async (req, res) => {
         .limit(lim)
         .select(
           "title author  coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-            "fileName uploaderRole createdAt updatedAt visibility embargoUntil"
+            "fileName uploaderRole institution createdAt updatedAt visibility embargoUntil"
         )
         .lean(),
       Research.countDocuments(filter),
@@ -166,7 +168,7 @@ router.get("/", authorize(), async (req, res) => {
    📊 Facets for filters
    GET /api/repository/facets
 ========================================================= */
-router.get("/facets", authorize(), async (req, res) => {
+router.get("/facets", requirePermission("repository.read"), async (req, res) => {
   try {
     const baseAllowed = buildAllowedFilter(req.user);
 
@@ -208,12 +210,12 @@ router.get("/facets", authorize(), async (req, res) => {
    🔒 GET SINGLE RESEARCH by ID (campus visibility applied)
    GET /api/repository/:id
 ========================================================= */
-router.get("/:id", authorize(), async (req, res) => {
+router.get("/:id", requirePermission("repository.read"), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id)
       .select(
         "title author coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-          "fileName uploaderRole createdAt updatedAt visibility embargoUntil allowedViewers"
+          "fileName uploaderRole institution createdAt updatedAt visibility embargoUntil allowedViewers"
       )
       .lean();
 
@@ -225,7 +227,7 @@ router.get("/:id", authorize(), async (req, res) => {
     const allowed =
       r.visibility === "public" ||
       (r.visibility === "embargo" && r.embargoUntil && new Date(r.embargoUntil) <= now) ||
-      (r.visibility === "campus" && req.user?.isCampus) ||
+      (r.visibility === "campus" && campusVisibleTo(req.user, r)) ||
       (r.visibility === "private" &&
         Array.isArray(r.allowedViewers) &&
         r.allowedViewers
@@ -247,10 +249,10 @@ router.get("/:id", authorize(), async (req, res) => {
    - If the current user is allowed by visibility, mint a short-lived token
    - Token is accepted by /api/research/file/:id streamer
 ========================================================= */
-router.get("/file/:id/signed", authorize(), async (req, res) => {
+router.get("/file/:id/signed", requirePermission("repository.read"), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id)
-      .select("status visibility embargoUntil allowedViewers")
+      .select("status visibility embargoUntil allowedViewers institution")
       .lean();
 
     if (!r || r.status !== "approved") {
@@ -261,7 +263,7 @@ router.get("/file/:id/signed", authorize(), async (req, res) => {
     const allowed =
       r.visibility === "public" ||
       (r.visibility === "embargo" && r.embargoUntil && new Date(r.embargoUntil) <= now) ||
-      (r.visibility === "campus" && req.user?.isCampus) ||
+      (r.visibility === "campus" && campusVisibleTo(req.user, r)) ||
       (r.visibility === "private" &&
         Array.isArray(r.allowedViewers) &&
         r.allowedViewers
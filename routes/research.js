@@ -1,7 +1,16 @@
 // routes/research.js
 const express = require("express");
-const { authorize, authorizeOrSig } = require("../middleware/authMiddleware");
+const { authorize, authorizeOrSig, requirePermission } = require("../middleware/authMiddleware");
+const { can } = require("../utils/permissions");
+const { collegeFilter } = require("../utils/scope");
+const { resolveAffiliation } = require("../utils/colleges");
+const { campusVisibleTo } = require("../utils/institutions");
+const { panelistOf, hasPanel } = require("../utils/panels");
+const { currentStage } = require("../utils/workflow");
 const Research = require("../models/Research");
+const ResearchVersion = require("../models/ResearchVersion");
+const { recordAudit } = require("../utils/audit");
+const { ensureBaseline, recordVersion, applyVersion, toPublicVersion } = require("../utils/versions");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
@@ -10,7 +19,6 @@ const jwt = require("jsonwebtoken");
 const router = express.Router();
 
 const SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || "change-me";
-const MSUIIT_DOMAIN = "@g.msuiit.edu.ph";
 
 /* -------------------------------------------
    Robust path resolver for anything in filePath
@@ -64,24 +72,19 @@ function sameEmail(a, b) {
   return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
 }
 
-function userDomain(email) {
-  const e = String(email || "").toLowerCase();
-  const at = e.lastIndexOf("@");
-  return at >= 0 ? e.slice(at) : "";
-}
-
 function isOwnerStaffOrAdviser(r, user) {
   const email = String(user?.email || "").toLowerCase();
   const userId = String(user?.id || "");
-  const role = String(user?.role || "").toLowerCase();
 
   const isOwnerEmail =
     [String(r.student || "").toLowerCase(), String(r.author || "").toLowerCase()].includes(email);
   const isUploader = String(r.uploadedBy || "") === userId;
-  const isStaff = role === "staff" || role === "admin";
+  const isStaff = can(user, "research.read.all");
   const isAdviser = !!email && sameEmail(email, r.adviser);
+  // review panelists (external examiners included) read what they assess
+  const isPanelist = !!email && !!panelistOf(r, email);
 
-  return isOwnerEmail || isUploader || isStaff || isAdviser;
+  return isOwnerEmail || isUploader || isStaff || isAdviser || isPanelist;
 }
 
 /** Centralized gate for viewing a research file or generating a signed link. */
@@ -89,7 +92,8 @@ function canView(r, user) {
   if (isOwnerStaffOrAdviser(r, user)) return true;
 
   const viewerEmail = String(user?.email || "").toLowerCase();
-  const viewerDomain = userDomain(viewerEmail);
+  // member of the record's institution (or one it shares with), not a guest
+  const isCampus = campusVisibleTo(user, r);
 
   const vis = (r.visibility || "campus").toLowerCase();
   const embargoUntil = r.embargoUntil ? new Date(r.embargoUntil) : null;
@@ -97,7 +101,7 @@ function canView(r, user) {
 
   if (vis === "embargo") {
     if (embargoUntil && now < embargoUntil) return false;
-    return viewerDomain === MSUIIT_DOMAIN;
+    return isCampus;
   }
 
   if (vis === "public") {
@@ -105,7 +109,7 @@ function canView(r, user) {
   }
 
   if (vis === "campus") {
-    return viewerDomain === MSUIIT_DOMAIN;
+    return isCampus;
   }
 
   if (vis === "private") {
@@ -114,7 +118,7 @@ function canView(r, user) {
   }
 
   // default fallback (treat like campus)
-  return viewerDomain === MSUIIT_DOMAIN;
+  return isCampus;
 }
 
 /* =========================================================
@@ -124,19 +128,13 @@ router.get("/", authorize(), async (req, res) => {
   try {
     const email = String(req.user.email || "").toLowerCase();
     const userId = String(req.user.id || "");
-    const role = String(req.user.role || "").toLowerCase();
 
     let filter;
-    if (role === "student") {
+    if (can(req.user, "research.submit") && !can(req.user, "research.publish")) {
       filter = {
         status: "approved",
         $or: [{ student: email }, { author: email }, { uploadedBy: userId }],
       };
-    } else if (role === "staff" || role === "admin") {
-      filter = {
-        status: "approved",
-        $or: [{ uploaderRole: { $in: ["staff", "admin"] } }, { uploadedBy: userId }],
-      };
     } else {
       filter = {
         status: "approved",
@@ -218,7 +216,7 @@ const upload = multer({
 ========================================================= */
 router.post(
   "/upload",
-  authorize(["staff", "admin"]),
+  requirePermission("research.publish"),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -233,7 +231,9 @@ router.post(
         categories,    // new: array or csv
         genreTags,     // new: array or csv
         visibility,
-        embargoUntil
+        embargoUntil,
+        college,
+        department
       } = req.body;
 
       if (!req.file) {
@@ -243,6 +243,12 @@ router.post(
         return res.status(400).json({ error: "Title and author are required" });
       }
 
+      // 🏫 must be a known college, and inside the uploader's scope
+      const aff = await resolveAffiliation({ college, department }, { user: req.user });
+      if (!aff.ok) {
+        return res.status(aff.status).json({ error: aff.error });
+      }
+
       // Normalize filename/type
       const origName = req.file.originalname || "document.pdf";
       const hasExt = path.extname(origName);
@@ -272,6 +278,7 @@ router.post(
         fileType: normalizedType,
         uploadedBy: req.user.id,
         uploaderRole: req.user.role,
+        ...aff.fields,
         visibility: ["public", "campus", "private", "embargo"].includes((visibility || "").toLowerCase())
           ? (visibility || "").toLowerCase()
           : "campus",
@@ -443,16 +450,17 @@ router.get("/file/:id", authorizeOrSig(), async (req, res) => {
 /* =========================================================
    Faculty approved list (ONLY unused items)
 ========================================================= */
-router.get("/faculty/approved-list", authorize(["staff", "admin"]), async (req, res) => {
+router.get("/faculty/approved-list", requirePermission("research.publish"), async (req, res) => {
   try {
     const approved = await Research.find({
       status: "approved",
       submissionType: "final",
       source: "faculty-approved",
+      ...collegeFilter(req.user),
     })
       .sort({ updatedAt: -1 })
       .select(
-        'title author coAuthors adviser updatedAt fileName visibility embargoUntil abstract year keywords categories genreTags submissionType'
+        'title author coAuthors adviser updatedAt fileName visibility embargoUntil abstract year keywords categories genreTags submissionType college'
       )
       .lean();
 
@@ -466,7 +474,7 @@ router.get("/faculty/approved-list", authorize(["staff", "admin"]), async (req,
 /* =========================================================
    STAFF attach from an already-approved faculty file (consume source)
 ========================================================= */
-router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, res) => {
+router.post("/upload-from-approved", requirePermission("research.publish"), async (req, res) => {
   try {
     const {
       sourceId,
@@ -490,8 +498,9 @@ router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, r
       _id: sourceId,
       status: "approved",
       source: "faculty-approved",
+      ...collegeFilter(req.user),
     })
-      .select("+abstract +year +keywords +categories +genreTags +category +filePath +fileName +fileType +coAuthors" )
+      .select("+abstract +year +keywords +categories +genreTags +category +filePath +fileName +fileType +coAuthors +college +collegeId +department +departmentId" )
       .lean();
 
     if (!src) return res.status(404).json({ error: "Approved source not found" });
@@ -550,6 +559,10 @@ router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, r
       fileType: "application/pdf",
       uploadedBy: req.user.id,
       uploaderRole: req.user.role,
+      college: src.college || "",
+      collegeId: src.collegeId || null,
+      department: src.department || "",
+      departmentId: src.departmentId || null,
       visibility: "campus",
       allowedViewers: [],
       embargoUntil: null,
@@ -587,4 +600,145 @@ router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, r
   }
 });
 
+/* =========================================================
+   🗂️ Version history
+   GET  /api/research/:id/versions                    → list (newest first)
+   GET  /api/research/:id/versions/:number/file       → stream that version's file
+   POST /api/research/:id/versions/:number/restore    { note? } → new version from an old one
+   Authors, advisers and staff who can read every file see the history.
+========================================================= */
+const REVISION_WINDOW_MS = 5 * 60 * 1000; // same window as PUT /api/student/revise
+
+async function loadHistoryTarget(req, res) {
+  if (!/^[a-f0-9]{24}$/i.test(String(req.params.id))) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
+  }
+  const r = await Research.findById(req.params.id);
+  if (!r) {
+    res.status(404).json({ error: "Research not found" });
+    return null;
+  }
+  if (!isOwnerStaffOrAdviser(r, req.user)) {
+    res.status(403).json({ error: "Not authorized to view this history" });
+    return null;
+  }
+  return r;
+}
+
+const versionNumber = (req) => {
+  const n = Number(req.params.number);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+router.get("/:id/versions", authorize(), async (req, res) => {
+  try {
+    const r = await loadHistoryTarget(req, res);
+    if (!r) return;
+
+    const versions = await ResearchVersion.find({ research: r._id }).sort({ number: -1 }).lean();
+    const latest = versions[0]?.number;
+    res.json({
+      research: { id: r._id, title: r.title, status: r.status },
+      versions: versions.map(v => toPublicVersion(v, { latest })),
+    });
+  } catch (err) {
+    console.error("❌ Fetch versions failed:", err);
+    res.status(500).json({ error: "Failed to fetch versions" });
+  }
+});
+
+router.get("/:id/versions/:number/file", authorize(), async (req, res) => {
+  try {
+    const r = await loadHistoryTarget(req, res);
+    if (!r) return;
+    const number = versionNumber(req);
+    if (!number) return res.status(400).json({ error: "Invalid version number" });
+
+    const v = await ResearchVersion.findOne({ research: r._id, number }).select("+file.path").lean();
+    if (!v) return res.status(404).json({ error: "Version not found" });
+    if (!v.file?.path) return res.status(404).json({ error: "This version has no file" });
+
+    const abs = resolveAbsPathFromDB(v.file.path);
+    if (!abs || !fs.existsSync(abs)) {
+      console.error("❌ Version file missing on disk:", { id: r._id, number, stored: v.file.path });
+      return res.status(404).json({ error: "File not found on disk" });
+    }
+
+    res.setHeader("Content-Type", v.file.type || "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${encodeURIComponent(v.file.name || "document.pdf")}"`);
+    res.setHeader("Cache-Control", "private, max-age=3600"); // a version never changes
+
+    const stream = fs.createReadStream(abs);
+    stream.on("error", (err) => {
+      console.error("❌ Version stream error:", err.message);
+      if (!res.headersSent) res.status(500).json({ error: "Failed to stream file" });
+    });
+    req.on("close", () => stream.destroy());
+    stream.pipe(res);
+  } catch (err) {
+    console.error("❌ Version file error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to fetch file" });
+  }
+});
+
+router.post("/:id/versions/:number/restore", authorize(), async (req, res) => {
+  try {
+    const r = await loadHistoryTarget(req, res);
+    if (!r) return;
+    const number = versionNumber(req);
+    if (!number) return res.status(400).json({ error: "Invalid version number" });
+
+    // 🔐 staff may restore anything; authors only what they could still revise themselves
+    const email = String(req.user.email || "").toLowerCase();
+    const isManager = can(req.user, "research.manage");
+    const isStudentOwner = !!email && sameEmail(email, r.student);
+    const isAuthorOwner = !r.student && (sameEmail(email, r.author) || String(r.uploadedBy || "") === String(req.user.id));
+    if (!isManager) {
+      if (!isStudentOwner && !isAuthorOwner)
+        return res.status(403).json({ error: "Only the author can restore a version" });
+      if (r.status === "approved" || r.source === "faculty-approved")
+        return res.status(409).json({ error: "This item has been forwarded or published. Please ask staff to restore it." });
+      if (isStudentOwner && Date.now() - new Date(r.createdAt).getTime() > REVISION_WINDOW_MS)
+        return res.status(403).json({ error: "You can only revise within 5 minutes after upload." });
+    }
+
+    // approvers sign off what they were shown: no restores under a running workflow
+    if (currentStage(r)) {
+      return res.status(409).json({ error: "This submission is awaiting college sign-off. Restore it once the run ends." });
+    }
+
+    const v = await ResearchVersion.findOne({ research: r._id, number }).select("+file.path").lean();
+    if (!v) return res.status(404).json({ error: "Version not found" });
+
+    await ensureBaseline(r);
+    applyVersion(r, v);
+    if (!isManager) {
+      r.status = "pending"; // a restored submission goes back to review
+      // 👥 the panel assesses the restored content afresh
+      if (hasPanel(r)) r.panel.recommendations = r.panel.recommendations.filter(x => x.round !== r.panel.round);
+    }
+    await r.save();
+
+    const version = await recordVersion(r, req, {
+      kind: "restore",
+      restoredFrom: number,
+      note: req.body?.note,
+    });
+
+    await recordAudit(req, {
+      action: "research.version.restore",
+      targetType: "Research",
+      targetId: r._id,
+      details: { restoredFrom: number, version: version?.number },
+    });
+
+    res.json({ message: `Version ${number} restored`, research: r, version: version?.number ?? null });
+  } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ error: err.message });
+    console.error("❌ Restore version failed:", err);
+    res.status(500).json({ error: "Failed to restore version" });
+  }
+});
+
 module.exports = router;
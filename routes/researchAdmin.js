@@ -1,15 +1,25 @@
 // routes/researchAdmin.js
 const express = require("express");
+const path = require("path");
+const fs = require("fs");
 const router = express.Router();
 
 const Research = require("../models/Research");
-const { authorize } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authMiddleware");
 const upload = require("../middleware/upload"); // must export upload.single("file")
+const {
+  collegeFilter,
+  withCollegeScope,
+} = require("../utils/scope");
+const { findCollege, resolveAffiliation } = require("../utils/colleges");
+const { ensureBaseline, recordVersion, purgeVersions } = require("../utils/versions");
+const { cancelUpdate } = require("../utils/workflow");
 
 /* -------------------- Constants & Helpers -------------------- */
 
 const ALLOWED_VIS = ["public", "campus", "private", "embargo"];
-const ALLOWED_STATUS = ["pending", "approved", "rejected"];
+const ALLOWED_STATUS = ["pending", "approved", "rejected", "revision-requested"];
+const LISTED_STATUS = [...ALLOWED_STATUS, "in-workflow"]; // set only by utils/workflow.js
 const ALLOWED_ROLES = ["student", "faculty", "staff", "admin"];
 
 function toArrayLower(input) {
@@ -47,7 +57,7 @@ function relFilePathFromMulter(file) {
    POST /api/research-admin/upload
    Form-Data:
      - file (PDF)  ✅ via multer
-     - title*      - author* - year - abstract - category - college
+     - title*      - author* - year - abstract - category - college - department
      - keywords     (comma-separated or array)
      - visibility   ('public' | 'campus' | 'private' | 'embargo')
      - embargoUntil (ISO date, required if visibility='embargo')
@@ -60,7 +70,7 @@ function relFilePathFromMulter(file) {
 ========================================================= */
 router.post(
   "/upload",
-  authorize(["staff", "admin"]),
+  requirePermission("research.publish"),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -72,6 +82,7 @@ router.post(
         keywords,
         category,
         college,
+        department,
         visibility,
         embargoUntil,
         allowedViewers,
@@ -87,6 +98,10 @@ router.post(
         return res.status(400).json({ error: "Title and author are required" });
       }
 
+      // 🏫 must be a known college, and inside the uploader's scope
+      const aff = await resolveAffiliation({ college, department }, { user: req.user });
+      if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
       const vis = ALLOWED_VIS.includes(visibility) ? visibility : "public";
       const embargoDate =
         vis === "embargo" && embargoUntil ? new Date(embargoUntil) : null;
@@ -105,7 +120,7 @@ router.post(
         year: year ? String(year).trim() : "",
         abstract: abstract || "",
         category: category || "",
-        college: college || "",
+        ...aff.fields,
         keywords: Array.isArray(keywords)
           ? keywords.map(k => String(k || "").trim()).filter(Boolean)
           : String(keywords || "")
@@ -156,7 +171,7 @@ router.post(
 ========================================================= */
 router.put(
   "/:id/visibility",
-  authorize(["admin", "staff"]),
+  requirePermission("research.manage"),
   async (req, res) => {
     try {
       const { visibility, embargoUntil, allowedViewers } = req.body;
@@ -203,8 +218,8 @@ router.put(
         update.allowedViewers = [];
       }
 
-      const research = await Research.findByIdAndUpdate(
-        req.params.id,
+      const research = await Research.findOneAndUpdate(
+        { _id: req.params.id, ...collegeFilter(req.user) },
         update,
         { new: true, runValidators: true }
       ).lean();
@@ -226,18 +241,18 @@ router.put(
    📝 Unified update (metadata + publishing + taxonomy)
    PUT /api/research-admin/:id
    Body (any subset):
-     - metadata: title, author, year, abstract, keywords, category, college, status
+     - metadata: title, author, year, abstract, keywords, category, college, department, status
      - publishing: visibility, embargoUntil, allowedViewers, landingPageUrl
      - taxonomy: categories, genreTags
 ========================================================= */
 router.put(
   "/:id",
-  authorize(["admin", "staff"]),
+  requirePermission("research.manage"),
   async (req, res) => {
     try {
       const {
         // metadata
-        title, author, year, abstract, keywords, category, college, status,
+        title, author, year, abstract, keywords, category, college, department, status,
 
         // publishing/taxonomy
         visibility, embargoUntil, allowedViewers,
@@ -252,7 +267,13 @@ router.put(
       if (year != null)     update.year = String(year).trim();
       if (abstract != null) update.abstract = String(abstract);
       if (category != null) update.category = String(category);
-      if (college != null)  update.college = String(college);
+      if (college != null) {
+        const aff = await resolveAffiliation({ college, department }, { user: req.user });
+        if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+        Object.assign(update, aff.fields);
+      } else if (department != null) {
+        return res.status(400).json({ error: "Send college together with department" });
+      }
       if (keywords != null) {
         update.keywords = Array.isArray(keywords)
           ? keywords.map((k) => String(k || "").trim()).filter(Boolean)
@@ -316,11 +337,22 @@ router.put(
         }
       }
 
-      const doc = await Research.findByIdAndUpdate(req.params.id, update, {
-        new: true, runValidators: true,
-      }).lean();
+      // 🗂️ metadata edits are versioned like the authors' own revisions
+      const current = await Research.findOne({ _id: req.params.id, ...collegeFilter(req.user) }).lean();
+      if (!current) return res.status(404).json({ error: "Research not found" });
+      await ensureBaseline(current);
+
+      // ✍️ a status set by hand ends any sign-off run under way
+      const cancel = update.status ? cancelUpdate(req, current, `Status set to ${update.status}`) : null;
+
+      const doc = await Research.findOneAndUpdate(
+        { _id: req.params.id, ...collegeFilter(req.user) },
+        cancel ? { $set: { ...update, ...cancel.$set }, $push: cancel.$push } : update,
+        { new: true, runValidators: true }
+      ).lean();
 
       if (!doc) return res.status(404).json({ error: "Research not found" });
+      await recordVersion(doc, req);
       return res.json({ message: "Updated", research: sanitize(doc) });
     } catch (err) {
       console.error("❌ Update failed:", err);
@@ -335,12 +367,13 @@ router.put(
 ========================================================= */
 router.delete(
   "/:id",
-  authorize(["admin", "staff"]),
+  requirePermission("research.manage"),
   async (req, res) => {
     try {
-      const doc = await Research.findById(req.params.id);
+      const doc = await Research.findOne({ _id: req.params.id, ...collegeFilter(req.user) });
       if (!doc) return res.status(404).json({ error: "Research not found" });
 
+      await purgeVersions(doc._id);
       await doc.deleteOne();
       // (Optional) unlink physical file here with fs.unlinkSync if desired
       return res.json({ message: "Research deleted successfully" });
@@ -356,7 +389,7 @@ router.delete(
    GET /api/research-admin
    Query (all optional):
      - search   : text search in title/author/keywords/year/category
-     - status   : pending | approved | rejected
+     - status   : pending | approved | rejected | revision-requested
      - visibility: public | campus | private | embargo
      - year     : exact year
      - role     : uploaderRole filter (student/faculty/staff/admin)
@@ -367,7 +400,7 @@ router.delete(
 ========================================================= */
 router.get(
   "/",
-  authorize(["admin", "staff"]),
+  requirePermission("research.manage"),
   async (req, res) => {
     try {
       const {
@@ -385,7 +418,7 @@ router.get(
       const pageNum = Math.max(parseInt(page, 10) || 1, 1);
       const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
 
-      const filter = {};
+      let filter = {};
 
       // Search
       if (search && String(search).trim()) {
@@ -401,11 +434,16 @@ router.get(
         ];
       }
 
-      if (status && ALLOWED_STATUS.includes(status)) filter.status = status;
+      if (status && LISTED_STATUS.includes(status)) filter.status = status;
       if (visibility && ALLOWED_VIS.includes(visibility)) filter.visibility = visibility;
       if (year && String(year).trim()) filter.year = String(year).trim();
       if (role && ALLOWED_ROLES.includes(role)) filter.uploaderRole = role;
-      if (college && String(college).trim()) filter.college = String(college).trim();
+      if (college && String(college).trim()) {
+        // accept a code, name or alias in the filter
+        const c = await findCollege(college, { includeInactive: true });
+        filter.college = c ? c.code : String(college).trim();
+      }
+      filter = withCollegeScope(filter, req.user);
 
       const sortStage =
         sort === "year" ? { year: -1, updatedAt: -1 } : { updatedAt: -1 };
@@ -451,9 +489,9 @@ router.get(
    🔍 Get single (for Publishing screen initial hydrate)
    GET /api/research-admin/:id
 ========================================================= */
-router.get("/:id", authorize(["admin", "staff"]), async (req, res) => {
+router.get("/:id", requirePermission("research.manage"), async (req, res) => {
   try {
-    const doc = await Research.findById(req.params.id)
+    const doc = await Research.findOne({ _id: req.params.id, ...collegeFilter(req.user) })
       .select(
         "title author year abstract keywords category categories genreTags landingPageUrl " +
         "fileName fileType uploaderRole status visibility embargoUntil allowedViewers college createdAt updatedAt"
@@ -470,9 +508,9 @@ router.get("/:id", authorize(["admin", "staff"]), async (req, res) => {
 });
 
 
-router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
+router.post("/import/:id", requirePermission("research.publish"), async (req, res) => {
   try {
-    const src = await Research.findById(req.params.id).lean();
+    const src = await Research.findOne({ _id: req.params.id, ...collegeFilter(req.user) }).lean();
     if (!src || src.status !== "approved" || src.source !== "faculty-approved") {
       return res.status(404).json({ error: "Source not importable" });
     }
@@ -529,6 +567,9 @@ router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
         ? req.body.allowedViewers.map(e => String(e).toLowerCase())
         : [],
       college: src.college || "",
+      collegeId: src.collegeId || null,
+      department: src.department || "",
+      departmentId: src.departmentId || null,
     });
 
     res.status(201).json({ message: "Imported", research: sanitize(doc.toObject()) });
@@ -1,15 +1,21 @@
 const express = require('express');
-const { authorize } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
 const Research = require('../models/Research');
+const { collegeFilter } = require('../utils/scope');
+const { resolveAffiliation } = require('../utils/colleges');
 
 const router = express.Router();
 
 /* =========================================================
    📋 Fetch all faculty-approved research (for staff)
 ========================================================= */
-router.get('/approved', authorize(['staff', 'admin']), async (req, res) => {
+router.get('/approved', requirePermission('research.publish'), async (req, res) => {
   try {
-    const approved = await Research.find({ status: 'approved', source: 'faculty-approved' })
+    const approved = await Research.find({
+      status: 'approved',
+      source: 'faculty-approved',
+      ...collegeFilter(req.user),
+    })
       .sort({ updatedAt: -1 })
       .select('title author adviser updatedAt fileName visibility embargoUntil');
     res.json(approved);
@@ -23,12 +29,15 @@ router.get('/approved', authorize(['staff', 'admin']), async (req, res) => {
    📤 Staff upload new research (metadata-only here)
    (Use your file upload route in /api/research for PDFs)
 ========================================================= */
-router.post('/upload', authorize(['staff', 'admin']), async (req, res) => {
+router.post('/upload', requirePermission('research.publish'), async (req, res) => {
   try {
-    const { title, author, year, abstract, keywords, category, visibility, embargoUntil, college } = req.body;
+    const { title, author, year, abstract, keywords, category, visibility, embargoUntil, college, department } = req.body;
     if (!title || !author)
       return res.status(400).json({ error: 'Title and author are required' });
 
+    const aff = await resolveAffiliation({ college, department }, { user: req.user });
+    if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
     const vis = ['public','campus','private','embargo'].includes(visibility) ? visibility : 'public';
 
     const newResearch = new Research({
@@ -44,7 +53,7 @@ router.post('/upload', authorize(['staff', 'admin']), async (req, res) => {
       uploadedBy: req.user.id,
       visibility: vis,
       embargoUntil: vis === 'embargo' && embargoUntil ? new Date(embargoUntil) : null,
-      college: college || '',
+      ...aff.fields,
     });
 
     await newResearch.save();
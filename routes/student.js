@@ -6,8 +6,15 @@ const multer = require('multer');
 const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 
-const { authorize } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { can } = require('../utils/permissions');
 const Research = require('../models/Research');
+const { resolveAffiliation } = require('../utils/colleges');
+const { campusVisibleTo } = require('../utils/institutions');
+const { reviewContext, ensureBaseline, recordVersion, purgeVersions } = require('../utils/versions');
+const RevisionRequest = require('../models/RevisionRequest');
+const { activeRequest, applyItemUpdates, itemsHtml, toPublicRequest } = require('../utils/revisions');
+const { escapeHtml } = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -77,10 +84,10 @@ const canReadItem = (user, item) => {
     return false;
   }
   if (item.visibility === 'campus') {
-    return user?.affiliation === 'MSU-IIT';
+    return campusVisibleTo(user, item);
   }
   return (
-    user?.role === 'admin' ||
+    can(user, 'research.read.all') ||
     String(user?.id) === String(item.uploadedBy) ||
     (item.college && user?.college && item.college === user.college) ||
     (Array.isArray(item.allowedViewers) &&
@@ -219,7 +226,7 @@ const cancelFinalEmail = async (submissionId) => {
 ========================================================= */
 router.get(
   '/file/:id',
-  authorize(['faculty', 'student', 'admin', 'staff']),
+  requirePermission(['repository.read', 'research.submit']),
   async (req, res) => {
     try {
       const research = await Research.findById(req.params.id).lean();
@@ -232,25 +239,23 @@ router.get(
 
       /* ---------- Permission checks ---------- */
       const email = String(req.user.email || '').toLowerCase();
-      const role = req.user.role;
       const isStudent = email === String(research.student || '').toLowerCase();
       const isAuthor = email === String(research.author || '').toLowerCase();
       const isAdviser = email === String(research.adviser || '').toLowerCase();
-      const isAdmin = role === 'admin';
-      const isFaculty = role === 'faculty';
+      const canReadAll = can(req.user, 'research.read.all');
+      const isReviewer = can(req.user, 'research.review');
       const isApproved = research.status === 'approved';
-      const isMSUIIT =
-        email.endsWith('@g.msuiit.edu.ph') || email.endsWith('@msuiit.edu.ph');
+      const isCampus = campusVisibleTo(req.user, research);
 
       const canAccess =
         isStudent ||
         isAuthor ||
         isAdviser ||
-        isAdmin ||
-        (isFaculty && isApproved) ||
+        canReadAll ||
+        (isReviewer && isApproved) ||
         (isApproved &&
           (research.visibility === 'public' ||
-            (research.visibility === 'campus' && isMSUIIT)));
+            (research.visibility === 'campus' && isCampus)));
 
       if (!canAccess) {
         console.warn('❌ Access denied:', { user: email, researchId: research._id });
@@ -309,10 +314,45 @@ router.get(
 
 
 
+// Applies the editable fields (and a new file) of a revision / resubmission.
+// The previous file stays on disk: it belongs to an earlier version.
+function applyRevision(research, body, file, studentEmail) {
+  const { title, abstract, adviser, submissionType, keywords, authors } = body || {};
+
+  if (typeof title === 'string' && title.trim()) research.title = title;
+  if (typeof abstract !== 'undefined') research.abstract = abstract;
+  if (typeof adviser !== 'undefined') research.adviser = adviser;
+
+  if (submissionType === 'draft' || submissionType === 'final') {
+    research.submissionType = submissionType;
+  }
+
+  if (typeof keywords !== 'undefined') {
+    research.keywords = normalizeKeywords(keywords);
+  }
+
+  if (typeof authors !== 'undefined') {
+    research.coAuthors = Array.from(
+      new Set(
+        String(authors || '')
+          .split(',')
+          .map(a => a.trim())
+          .filter(a => a && a !== studentEmail)
+      )
+    );
+  }
+
+  if (file && file.path) {
+    research.filePath = file.path;
+    research.fileName = file.originalname;
+    research.fileType = file.mimetype;
+  }
+}
+
 /* =========================================================
    PUT /api/student/revise/:id
 ========================================================= */
-router.put('/revise/:id', authorize(['student']), upload.single('file'), async (req, res) => {
+router.put('/revise/:id', requirePermission('research.submit'), upload.single('file'), async (req, res) => {
   try {
     const research = await Research.findOne({ _id: req.params.id, student: req.user.email });
     if (!research) return res.status(404).json({ error: 'Research not found or not owned by this student' });
@@ -322,58 +362,131 @@ router.put('/revise/:id', authorize(['student']), upload.single('file'), async (
       return res.status(403).json({ error: 'You can only revise within 5 minutes after upload.' });
     }
 
-    const { title, abstract, adviser, submissionType, keywords, authors } = req.body;
-
-    if (typeof title === 'string' && title.trim()) research.title = title;
-    if (typeof abstract !== 'undefined') research.abstract = abstract;
-    if (typeof adviser !== 'undefined') research.adviser = adviser;
-
-    if (submissionType === 'draft' || submissionType === 'final') {
-      research.submissionType = submissionType;
+    if (research.status === 'revision-requested') {
+      return res.status(409).json({ error: 'Changes were requested: use resubmit to answer them.' });
     }
 
-    if (typeof keywords !== 'undefined') {
-      research.keywords = normalizeKeywords(keywords);
-    }
+    // 🗂️ keep what is being replaced, and which review comment this answers
+    await ensureBaseline(research);
+    const answers = reviewContext(research);
 
-    if (typeof authors !== 'undefined') {
-      research.coAuthors = Array.from(
-        new Set(
-          String(authors || '')
-            .split(',')
-            .map(a => a.trim())
-            .filter(a => a && a !== req.user.email)
-        )
-      );
-    }
-
-    if (req.file && req.file.path) {
-      if (research.filePath && fs.existsSync(research.filePath)) {
-        try { fs.unlinkSync(research.filePath); } catch {}
-      }
-      research.filePath = req.file.path;
-      research.fileName = req.file.originalname;
-      research.fileType = req.file.mimetype;
-    }
+    applyRevision(research, req.body, req.file, req.user.email);
 
     research.status = 'pending';
     await research.save();
+    const version = await recordVersion(research, req, { answers });
 
     await cancelFinalEmail(String(research._id));
     const remaining = Math.max(0, FIVE_MIN_MS - elapsedMs);
     await queueFinalEmail(String(research._id), remaining);
 
-    res.json({ message: 'Revision uploaded successfully', research });
+    res.json({ message: 'Revision uploaded successfully', research, version: version?.number ?? null });
   } catch (err) {
     console.error('❌ Revision failed:', err);
     res.status(500).json({ error: 'Server error revising draft' });
   }
 });
 
+/* =========================================================
+   PUT /api/student/resubmit/:id
+   Answers the open revision request (multipart):
+   → file and/or the same fields as /revise
+   → items: JSON [{ id, status: 'addressed'|'unaddressed', response }]
+   → note: message to the adviser
+========================================================= */
+router.put('/resubmit/:id', requirePermission('research.submit'), upload.single('file'), async (req, res) => {
+  try {
+    const research = await Research.findOne({ _id: req.params.id, student: req.user.email });
+    if (!research) return res.status(404).json({ error: 'Research not found or not owned by this student' });
+
+    const request = await activeRequest(research._id);
+    if (research.status !== 'revision-requested' || !request || request.status !== 'open') {
+      return res.status(409).json({ error: 'There is no open revision request for this submission' });
+    }
+
+    let items = req.body.items;
+    if (typeof items === 'string') {
+      try { items = JSON.parse(items); } catch {
+        return res.status(400).json({ error: 'items must be JSON' });
+      }
+    }
+    const applied = applyItemUpdates(request, items, { by: 'student' });
+    if (applied.error) return res.status(400).json({ error: applied.error });
+
+    await ensureBaseline(research);
+    const answers = reviewContext(research);
+
+    applyRevision(research, req.body, req.file, req.user.email);
+    if (!req.file && !research.isModified()) {
+      return res.status(400).json({ error: 'Upload a revised file or change the submission details' });
+    }
+
+    research.status = 'pending';
+    await research.save();
+    const version = await recordVersion(research, req, {
+      answers,
+      note: `Resubmission for revision request #${request.round}`,
+    });
+
+    const now = new Date();
+    request.status = 'resubmitted';
+    request.resubmission = {
+      version: version?.number ?? null,
+      at: now,
+      note: String(req.body.note || '').slice(0, 2000),
+      late: now > request.dueAt,
+    };
+    await request.save();
+
+    if (transporter && research.adviser) {
+      await transporter
+        .sendMail({
+          from: process.env.MAIL_FROM || 'no-reply@yourapp.com',
+          to: research.adviser,
+          subject: `Resubmitted for Review: ${research.title}`,
+          html: `
+            <p>${escapeHtml(research.author)} resubmitted in answer to revision request #${request.round}${request.resubmission.late ? ' <b>(after the due date)</b>' : ''}.</p>
+            <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+            ${itemsHtml(request.items, { withStatus: true })}
+            ${request.resubmission.note ? `<p><b>Note:</b><br/>${escapeHtml(request.resubmission.note).replace(/\n/g, '<br/>')}</p>` : ''}
+          `,
+        })
+        .catch((err) => console.error('❌ Resubmission email error:', err));
+    }
+
+    res.json({
+      message: 'Resubmitted for review',
+      research,
+      version: version?.number ?? null,
+      revisionRequest: toPublicRequest(request),
+    });
+  } catch (err) {
+    console.error('❌ Resubmission failed:', err);
+    res.status(500).json({ error: 'Server error resubmitting research' });
+  }
+});
+
+/* =========================================================
+   GET /api/student/my-research/:id/revision-requests
+   → the revision request chain of one of my submissions, newest first
+========================================================= */
+router.get('/my-research/:id/revision-requests', requirePermission('research.submit'), async (req, res) => {
+  try {
+    const research = await Research.exists({ _id: req.params.id, student: req.user.email });
+    if (!research) return res.status(404).json({ error: 'Research not found or not owned by this student' });
+
+    const chain = await RevisionRequest.find({ research: research._id }).sort({ round: -1 }).lean();
+    res.json(chain.map(toPublicRequest));
+  } catch (err) {
+    console.error('❌ Fetch revision requests failed:', err);
+    res.status(500).json({ error: 'Failed to fetch revision requests' });
+  }
+});
+
 /* =========================================================
    DELETE /api/student/delete/:id
 ========================================================= */
-router.delete('/delete/:id', authorize(['student']), async (req, res) => {
+router.delete('/delete/:id', requirePermission('research.submit'), async (req, res) => {
   try {
     const research = await Research.findById(req.params.id);
     if (!research) return res.status(404).json({ error: 'Research not found' });
@@ -388,8 +501,12 @@ router.delete('/delete/:id', authorize(['student']), async (req, res) => {
 
     await cancelFinalEmail(String(research._id));
 
-    if (research.filePath && fs.existsSync(research.filePath)) {
-      try { fs.unlinkSync(research.filePath); } catch {}
+    const older = await purgeVersions(research._id, { keep: research.filePath });
+    for (const stored of [research.filePath, ...older]) {
+      const abs = resolveAbsPathFromDB(stored);
+      if (abs && fs.existsSync(abs)) {
+        try { fs.unlinkSync(abs); } catch {}
+      }
     }
     await research.deleteOne();
 
@@ -403,7 +520,7 @@ router.delete('/delete/:id', authorize(['student']), async (req, res) => {
 /* =========================================================
    GET /api/student/file/download/:id
 ========================================================= */
-router.get('/file/download/:id', authorize(['student']), async (req, res) => {
+router.get('/file/download/:id', requirePermission('research.submit'), async (req, res) => {
   try {
     const research = await Research.findById(req.params.id).lean();
     if (!research || !research.filePath) return res.status(404).json({ error: 'File not found' });
@@ -426,7 +543,7 @@ router.get('/file/download/:id', authorize(['student']), async (req, res) => {
 ========================================================= */
 router.post(
   '/upload',
-  authorize(['student']),
+  requirePermission('research.submit'),
   (req, res, next) => {
     upload.single('file')(req, res, (err) => {
       if (err && err.code === 'LIMIT_FILE_SIZE') {
@@ -453,6 +570,7 @@ router.post(
         visibility,
         embargoUntil,
         college,
+        department,
         year,
         keywords,
         category,
@@ -464,6 +582,9 @@ router.post(
         return res.status(400).json({ error: 'Title and abstract are required.' });
       }
 
+      const aff = await resolveAffiliation({ college, department }, { institution: req.user.institution });
+      if (!aff.ok) return res.status(aff.status).json({ error: aff.error });
+
       const vis = ['public', 'campus', 'private', 'embargo'].includes(visibility) 
         ? visibility 
         : 'private';
@@ -505,7 +626,7 @@ router.post(
           submissionType: subType,
           visibility: vis,
           embargoUntil: emb,
-          college: college || '',
+          ...aff.fields,
           year: year || '',
           keywords: parsedKeywords,
           category: category || '',
@@ -514,6 +635,7 @@ router.post(
           source: 'student-upload',
         });
 
+        await recordVersion(newResearch, req);
         await sendImmediateReceipt(newResearch);
         await queueFinalEmail(String(newResearch._id), FIVE_MIN_MS);
 
@@ -568,7 +690,7 @@ router.post(
           submissionType: subType,
           visibility: vis,
           embargoUntil: emb,
-          college: college || '',
+          ...aff.fields,
           year: year || '',
           keywords: parsedKeywords,
           category: category || '',
@@ -577,6 +699,7 @@ router.post(
           source: 'student-upload',
         });
 
+        await recordVersion(newResearch, req);
         await sendImmediateReceipt(newResearch);
         await queueFinalEmail(String(newResearch._id), FIVE_MIN_MS);
 
@@ -598,7 +721,7 @@ router.post(
 /* =========================================================
    GET /api/student/my-research
 ========================================================= */
-router.get('/my-research', authorize(['student']), async (req, res) => {
+router.get('/my-research', requirePermission('research.submit'), async (req, res) => {
   try {
     const myResearch = await Research.find({ student: req.user.email })
       .sort({ createdAt: -1 })
@@ -615,7 +738,7 @@ router.get('/my-research', authorize(['student']), async (req, res) => {
 /* =========================================================
    GET /api/student/research (proxy to main research route)
 ========================================================= */
-router.get('/research', authorize(['faculty', 'student', 'admin']), async (req, res) => {
+router.get('/research', requirePermission('repository.read'), async (req, res) => {
   try {
     const axios = require('axios');
     const base = `${req.protocol}://${req.get('host')}/api/research`;
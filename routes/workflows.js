@@ -0,0 +1,284 @@
+// routes/workflows.js  (mounted at /api/workflows)
+// Per-college approval workflows: stage definitions for admins, the sign-off
+// inbox and decisions for approvers. Approvers are named per stage, so the
+// inbox and decisions are open to any signed-in user and limited to the
+// stages that list them (staff sign library stages without research.review).
+// Engine: utils/workflow.js.
+const express = require('express');
+const router = express.Router();
+
+const Workflow = require('../models/Workflow');
+const Research = require('../models/Research');
+const User = require('../models/User');
+const { authorize, requirePermission } = require('../middleware/authMiddleware');
+const { can } = require('../utils/permissions');
+const { inCollegeScope, inInstitutionScope } = require('../utils/scope');
+const { findCollege } = require('../utils/colleges');
+const { recordAudit } = require('../utils/audit');
+const { parseItems, parseDueAt, openRequest, toPublicRequest } = require('../utils/revisions');
+const ResearchVersion = require('../models/ResearchVersion');
+const { ensureBaseline } = require('../utils/versions');
+const {
+  parseStages,
+  awaitingApprovers,
+  isApprover,
+  currentStage,
+  signOff,
+  notifyApprovers,
+  notifyOutcome,
+  toPublicWorkflow,
+} = require('../utils/workflow');
+
+/* =============================
+   Helpers
+============================= */
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// college by id / code / alias, within the caller's scope
+async function scopedCollege(req, res) {
+  const college = await findCollege(req.params.college, { includeInactive: true });
+  if (!college || !inInstitutionScope(req.user, college)) {
+    res.status(404).json({ error: 'College not found' });
+    return null;
+  }
+  if (!inCollegeScope(req.user, college.code)) {
+    res.status(403).json({ error: 'College is outside your assigned scope' });
+    return null;
+  }
+  return college;
+}
+
+// Approvers must be active, non-guest accounts of the college's institution
+async function checkApprovers(req, stages) {
+  const emails = [...new Set(stages.flatMap(s => s.approvers))];
+  const users = await User.find({ email: { $in: emails } }).select('email role status institution').lean();
+  for (const email of emails) {
+    const u = users.find(x => sameEmail(x.email, email));
+    if (!u) return `No account for approver ${email}`;
+    if (u.role === 'guest') return `${email} is a guest account; add external examiners to a review panel instead`;
+    if (u.status && u.status !== 'active') return `Approver ${email} is ${u.status}`;
+    if (!inInstitutionScope(req.user, u)) return `Approver ${email} belongs to another institution`;
+  }
+  return null;
+}
+
+// author, adviser, any approver of the run, or staff who can read everything
+function canSeeWorkflow(user, r) {
+  const email = user?.email;
+  return (
+    sameEmail(r.student, email) ||
+    sameEmail(r.author, email) ||
+    sameEmail(r.adviser, email) ||
+    isApprover(r, email) ||
+    can(user, 'research.read.all')
+  );
+}
+
+/* =========================================================
+   📋 Definitions
+   GET /api/workflows → every college in scope with its workflow (or null)
+========================================================= */
+router.get('/', requirePermission('workflows.manage'), async (req, res) => {
+  try {
+    const defs = await Workflow.find().populate('college', 'code name active institution').lean();
+    res.json(defs.filter(d => d.college && inInstitutionScope(req.user, d.college) && inCollegeScope(req.user, d.college.code)));
+  } catch (err) {
+    console.error('❌ Fetch workflows failed:', err);
+    res.status(500).json({ error: 'Failed to fetch workflows' });
+  }
+});
+
+router.get('/college/:college', requirePermission('workflows.manage'), async (req, res) => {
+  try {
+    const college = await scopedCollege(req, res);
+    if (!college) return;
+    const def = await Workflow.findOne({ college: college._id }).lean();
+    res.json({ college: { _id: college._id, code: college.code, name: college.name }, workflow: def || null });
+  } catch (err) {
+    console.error('❌ Fetch workflow failed:', err);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+/* =========================================================
+   PUT /api/workflows/college/:college
+   { name, stages: [{ key?, name, mode: 'sequential'|'parallel', approvers, required }], active }
+   Runs already under way keep the stages they started with.
+========================================================= */
+router.put('/college/:college', requirePermission('workflows.manage'), async (req, res) => {
+  try {
+    const college = await scopedCollege(req, res);
+    if (!college) return;
+
+    const parsed = parseStages(req.body?.stages);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const invalid = await checkApprovers(req, parsed.stages);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const update = {
+      stages: parsed.stages,
+      updatedBy: req.user.id,
+      ...(typeof req.body.name === 'string' && req.body.name.trim() ? { name: req.body.name.trim() } : {}),
+      ...(typeof req.body.active === 'boolean' ? { active: req.body.active } : {}),
+    };
+    const doc = await Workflow.findOneAndUpdate(
+      { college: college._id },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'workflow.save',
+      targetType: 'Workflow',
+      targetId: doc._id,
+      details: { college: college.code, active: doc.active, stages: doc.stages.map(s => s.key) },
+    });
+
+    res.json({ message: 'Workflow saved', workflow: doc });
+  } catch (err) {
+    if (err?.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('❌ Save workflow failed:', err);
+    res.status(500).json({ error: 'Failed to save workflow' });
+  }
+});
+
+// Back to the single adviser decision; items under way finish their current run
+router.delete('/college/:college', requirePermission('workflows.manage'), async (req, res) => {
+  try {
+    const college = await scopedCollege(req, res);
+    if (!college) return;
+
+    const doc = await Workflow.findOneAndDelete({ college: college._id });
+    if (!doc) return res.status(404).json({ error: 'This college has no workflow' });
+
+    await recordAudit(req, {
+      action: 'workflow.delete',
+      targetType: 'Workflow',
+      targetId: doc._id,
+      details: { college: college.code },
+    });
+
+    res.json({ message: 'Workflow removed' });
+  } catch (err) {
+    console.error('❌ Delete workflow failed:', err);
+    res.status(500).json({ error: 'Failed to delete workflow' });
+  }
+});
+
+/* =========================================================
+   📥 GET /api/workflows/inbox
+   → submissions whose current stage is waiting on me
+========================================================= */
+router.get('/inbox', authorize(), async (req, res) => {
+  try {
+    const email = String(req.user.email || '').toLowerCase();
+    const candidates = await Research.find({ status: 'in-workflow', 'workflow.stages.approvers': email })
+      .select('title author adviser student coAuthors submissionType college fileName workflow updatedAt')
+      .sort({ updatedAt: 1 });
+
+    const waiting = candidates
+      .map(r => ({ r, stage: currentStage(r) }))
+      .filter(({ stage }) => awaitingApprovers(stage).includes(email))
+      .map(({ r, stage }) => ({
+        _id: r._id,
+        title: r.title,
+        author: r.author,
+        adviser: r.adviser,
+        college: r.college,
+        fileName: r.fileName,
+        workflow: r.workflow.name,
+        stage: { key: stage.key, name: stage.name, mode: stage.mode, startedAt: stage.startedAt },
+        updatedAt: r.updatedAt,
+      }));
+
+    res.json(waiting);
+  } catch (err) {
+    console.error('❌ Fetch approvals inbox failed:', err);
+    res.status(500).json({ error: 'Failed to fetch approvals' });
+  }
+});
+
+/* =========================================================
+   GET /api/workflows/research/:id → current run + stage history
+========================================================= */
+router.get('/research/:id', requirePermission('repository.read'), async (req, res) => {
+  try {
+    const r = await Research.findById(req.params.id)
+      .select('title status author adviser student submissionType workflow stageHistory')
+      .lean();
+    if (!r) return res.status(404).json({ error: 'Research not found' });
+    if (!canSeeWorkflow(req.user, r)) return res.status(403).json({ error: 'Not allowed' });
+
+    res.json({ research: { id: r._id, title: r.title, status: r.status }, ...toPublicWorkflow(r) });
+  } catch (err) {
+    console.error('❌ Fetch workflow state failed:', err);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+/* =========================================================
+   POST /api/workflows/research/:id/decision
+   { decision: 'approved'|'rejected'|'revision-requested', comment,
+     items, dueAt }   (items / dueAt as for the adviser's revision request)
+========================================================= */
+router.post('/research/:id/decision', authorize(), async (req, res) => {
+  try {
+    const { decision, comment } = req.body || {};
+
+    let items = null;
+    let dueAt = null;
+    if (decision === 'revision-requested') {
+      const parsed = parseItems(req.body.items);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const due = parseDueAt(req.body.dueAt);
+      if (due.error) return res.status(400).json({ error: due.error });
+      ({ items } = parsed);
+      dueAt = due.date;
+    }
+
+    const research = await Research.findById(req.params.id);
+    if (!research) return res.status(404).json({ error: 'Research not found' });
+
+    const result = signOff(req, research, { decision, comment, items });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+
+    // returned: the student answers a revision request; the adviser's next approval starts a new run
+    let revisionRequest = null;
+    if (result.outcome === 'revision-requested') {
+      await ensureBaseline(research);
+      const latest = await ResearchVersion.findOne({ research: research._id }).sort({ number: -1 }).select('number').lean();
+      revisionRequest = await openRequest(req, research, {
+        items: result.items,
+        dueAt: dueAt || parseDueAt().date, // the final sign-off may have been a rejection
+        comment: research.facultyComment,
+        reviewedVersion: latest?.number ?? null,
+      });
+      if (!research.facultyComment) research.facultyComment = result.items.map((t, i) => `${i + 1}. ${t}`).join('\n');
+    }
+
+    await research.save();
+
+    await recordAudit(req, {
+      action: `workflow.${decision}`,
+      targetType: 'Research',
+      targetId: research._id,
+      details: { stage: result.stage.key, outcome: result.outcome },
+    });
+
+    if (result.outcome === 'advanced') notifyApprovers(research, result.next);
+    else notifyOutcome(research, result);
+
+    res.json({
+      message: `✅ ${result.stage.name}: ${decision}`,
+      outcome: result.outcome,
+      status: research.status,
+      ...toPublicWorkflow(research),
+      revisionRequest: revisionRequest ? toPublicRequest(revisionRequest) : null,
+    });
+  } catch (err) {
+    console.error('❌ Workflow decision failed:', err);
+    res.status(500).json({ error: 'Failed to record decision' });
+  }
+});
+
+module.exports = router;
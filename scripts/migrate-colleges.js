@@ -0,0 +1,173 @@
+// scripts/migrate-colleges.js
+// Maps the free-text `college` values on users and research onto the managed
+// College collection (sets the canonical code + `collegeId`).
+//
+//   npm run migrate:colleges                       → dry run, prints the mapping
+//   npm run migrate:colleges -- --apply            → writes the changes
+//   npm run migrate:colleges -- --seed colleges.json --map extra.json --apply
+//
+// --seed  JSON array of { code, name, aliases?, departments?: [{ code, name, aliases? }] }
+//         upserted (by code) before mapping
+// --map   JSON object { "free text value": "CODE" } for spellings no alias covers;
+//         with --apply those spellings are saved as aliases so new input resolves too
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const College = require('../models/College');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Research = require('../models/Research');
+const { findCollege, lookupKey, invalidateColleges } = require('../utils/colleges');
+
+/* =============================
+   Args
+============================= */
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+};
+
+const APPLY = flag('--apply');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+/* =============================
+   Steps
+============================= */
+async function seedColleges(file) {
+  const rows = readJson(file);
+  if (!Array.isArray(rows)) throw new Error('--seed file must contain an array');
+
+  for (const row of rows) {
+    const code = String(row.code || '').trim().toUpperCase();
+    if (!code || !row.name) throw new Error(`Seed entry needs code and name: ${JSON.stringify(row)}`);
+
+    console.log(`🌱 ${APPLY ? 'Upserting' : 'Would upsert'} college ${code}`);
+    if (!APPLY) continue;
+
+    const college = await College.findOneAndUpdate(
+      { code },
+      { $set: { name: row.name }, $addToSet: { aliases: { $each: row.aliases || [] } } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    for (const d of row.departments || []) {
+      await Department.findOneAndUpdate(
+        { college: college._id, code: String(d.code || '').trim().toUpperCase() },
+        { $set: { name: d.name }, $addToSet: { aliases: { $each: d.aliases || [] } } },
+        { upsert: true, new: true, runValidators: true }
+      );
+    }
+  }
+  invalidateColleges();
+}
+
+async function distinctValues() {
+  const [userColleges, researchColleges, scopes] = await Promise.all([
+    User.aggregate([{ $group: { _id: '$college', n: { $sum: 1 } } }]),
+    Research.aggregate([{ $group: { _id: '$college', n: { $sum: 1 } } }]),
+    User.aggregate([{ $unwind: '$scopeColleges' }, { $group: { _id: '$scopeColleges', n: { $sum: 1 } } }]),
+  ]);
+
+  const values = new Map();
+  const add = (rows, field) => {
+    for (const r of rows) {
+      const v = String(r._id || '').trim();
+      if (!v) continue;
+      const entry = values.get(v) || { users: 0, research: 0, scopes: 0 };
+      entry[field] += r.n;
+      values.set(v, entry);
+    }
+  };
+  add(userColleges, 'users');
+  add(researchColleges, 'research');
+  add(scopes, 'scopes');
+  return values;
+}
+
+async function resolveValue(value, manual) {
+  const direct = await findCollege(value, { includeInactive: true });
+  if (direct) return { college: direct, via: 'match' };
+
+  const mapped = manual[value] ?? manual[lookupKey(value)];
+  if (mapped) {
+    const target = await findCollege(mapped, { includeInactive: true });
+    if (!target) throw new Error(`--map points "${value}" at unknown college "${mapped}"`);
+    return { college: target, via: 'map' };
+  }
+  return null;
+}
+
+async function applyMapping(value, college, via) {
+  const set = { college: college.code, collegeId: college._id };
+  const [u, r, s] = await Promise.all([
+    User.updateMany({ college: value }, { $set: set }),
+    Research.updateMany({ college: value }, { $set: set }),
+    value === college.code
+      ? { modifiedCount: 0 }
+      : User.updateMany({ scopeColleges: value }, { $set: { 'scopeColleges.$[v]': college.code } }, {
+          arrayFilters: [{ v: value }],
+        }),
+  ]);
+
+  if (via === 'map') {
+    await College.updateOne({ _id: college._id }, { $addToSet: { aliases: value } });
+  }
+  return { users: u.modifiedCount, research: r.modifiedCount, scopes: s.modifiedCount };
+}
+
+/* =============================
+   Main
+============================= */
+async function main() {
+  if (!process.env.MONGO_URI) throw new Error('MONGO_URI is not set');
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ Connected (${APPLY ? 'APPLY' : 'dry run'})`);
+
+  if (option('--seed')) await seedColleges(option('--seed'));
+
+  const manualFile = option('--map');
+  const manual = manualFile ? readJson(manualFile) : {};
+  for (const k of Object.keys(manual)) manual[lookupKey(k)] = manual[k];
+
+  const values = await distinctValues();
+  const unmatched = [];
+  const totals = { users: 0, research: 0, scopes: 0 };
+
+  for (const [value, counts] of [...values].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const hit = await resolveValue(value, manual);
+    const usage = `${counts.users} user(s), ${counts.research} research, ${counts.scopes} scope(s)`;
+
+    if (!hit) {
+      unmatched.push(value);
+      console.log(`❓ "${value}" → no match (${usage})`);
+      continue;
+    }
+
+    console.log(`➡️  "${value}" → ${hit.college.code}${hit.via === 'map' ? ' [map]' : ''} (${usage})`);
+    if (APPLY) {
+      const changed = await applyMapping(value, hit.college, hit.via);
+      for (const k of Object.keys(totals)) totals[k] += changed[k];
+    }
+  }
+
+  if (APPLY) {
+    console.log(`✅ Updated ${totals.users} user(s), ${totals.research} research record(s), ${totals.scopes} scope list(s)`);
+  } else {
+    console.log('ℹ️  Dry run only — re-run with --apply to write changes');
+  }
+  if (unmatched.length) {
+    console.log(`⚠️  ${unmatched.length} value(s) left unmapped. Add aliases or a --map entry for:`);
+    for (const v of unmatched) console.log(`   - ${v}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ College migration failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
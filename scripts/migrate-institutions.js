@@ -0,0 +1,182 @@
+// scripts/migrate-institutions.js
+// Stamps `institution` on users and research created before tenancy.
+//
+//   npm run migrate:institutions                          → dry run, prints the mapping
+//   npm run migrate:institutions -- --apply               → writes the changes
+//   npm run migrate:institutions -- --seed institutions.json --apply
+//
+// --seed  JSON array of { code, name, shortName?, emailDomains, shareCampusWith?, branding?, mail? }
+//         upserted (by code) before mapping. Without it, an empty collection gets
+//         the built-in default (DEFAULT_INSTITUTION_*) so admins can edit it.
+//
+// Members are mapped by email domain, guests by the institution of whoever
+// invited them, research by its uploader; anything left over goes to the default.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const Research = require('../models/Research');
+const {
+  DEFAULT_INSTITUTION_CODE,
+  listInstitutions,
+  institutionForEmail,
+  invalidateInstitutions,
+} = require('../utils/institutions');
+
+/* =============================
+   Args
+============================= */
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+};
+
+const APPLY = flag('--apply');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+const UNSET = { $in: ['', null] }; // also matches a missing field
+
+/* =============================
+   Steps
+============================= */
+async function seedInstitutions(file) {
+  const rows = readJson(file);
+  if (!Array.isArray(rows)) throw new Error('--seed file must contain an array');
+
+  for (const row of rows) {
+    const code = String(row.code || '').trim().toUpperCase();
+    if (!code || !row.name || !row.emailDomains?.length)
+      throw new Error(`Seed entry needs code, name and emailDomains: ${JSON.stringify(row)}`);
+
+    console.log(`🌱 ${APPLY ? 'Upserting' : 'Would upsert'} institution ${code}`);
+    if (!APPLY) continue;
+
+    const { code: _code, ...fields } = row;
+    await Institution.findOneAndUpdate(
+      { code },
+      { $set: fields },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+  invalidateInstitutions();
+}
+
+// Saves the env-configured default as a real row so it can be managed
+async function seedDefault() {
+  if (await Institution.exists({})) return;
+  const [builtIn] = await listInstitutions();
+  console.log(`🌱 ${APPLY ? 'Creating' : 'Would create'} default institution ${builtIn.code} (${builtIn.emailDomains.join(', ')})`);
+  if (!APPLY) return;
+
+  const { builtIn: _flag, ...fields } = builtIn;
+  await Institution.create(fields);
+  invalidateInstitutions();
+}
+
+async function migrateMembers(totals, unmatched) {
+  const domains = await User.aggregate([
+    { $match: { institution: UNSET, role: { $ne: 'guest' } } },
+    { $group: { _id: { $arrayElemAt: [{ $split: ['$email', '@'] }, 1] }, n: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  for (const d of domains) {
+    const domain = String(d._id || '');
+    const inst = await institutionForEmail(`x@${domain}`);
+    if (!inst) {
+      unmatched.push(`${domain} (${d.n} user(s))`);
+      console.log(`❓ @${domain} → no institution (${d.n} user(s))`);
+      continue;
+    }
+
+    console.log(`➡️  @${domain} → ${inst.code} (${d.n} user(s))`);
+    if (!APPLY) continue;
+    const escaped = domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const r = await User.updateMany(
+      { institution: UNSET, role: { $ne: 'guest' }, email: new RegExp(`@${escaped}$`, 'i') },
+      { $set: { institution: inst.code } }
+    );
+    totals.users += r.modifiedCount;
+  }
+}
+
+async function migrateGuests(totals) {
+  const guests = await User.find({ institution: UNSET, role: 'guest' })
+    .select('email invitedBy')
+    .populate('invitedBy', 'institution')
+    .lean();
+
+  for (const g of guests) {
+    const code = g.invitedBy?.institution || DEFAULT_INSTITUTION_CODE;
+    console.log(`➡️  guest ${g.email} → ${code}`);
+    if (!APPLY) continue;
+    const r = await User.updateOne({ _id: g._id }, { $set: { institution: code } });
+    totals.users += r.modifiedCount;
+  }
+}
+
+async function migrateResearch(totals) {
+  const uploaders = await Research.aggregate([
+    { $match: { institution: UNSET } },
+    { $group: { _id: '$uploadedBy', n: { $sum: 1 } } },
+  ]);
+
+  const codes = new Map(); // institution → research count
+  for (const u of uploaders) {
+    const owner = u._id ? await User.findById(u._id).select('institution').lean() : null;
+    const code = owner?.institution || DEFAULT_INSTITUTION_CODE;
+    codes.set(code, (codes.get(code) || 0) + u.n);
+
+    if (!APPLY) continue;
+    const r = await Research.updateMany(
+      { institution: UNSET, uploadedBy: u._id ?? null },
+      { $set: { institution: code } }
+    );
+    totals.research += r.modifiedCount;
+  }
+
+  for (const [code, n] of codes) console.log(`➡️  research → ${code} (${n} record(s))`);
+}
+
+/* =============================
+   Main
+============================= */
+async function main() {
+  if (!process.env.MONGO_URI) throw new Error('MONGO_URI is not set');
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ Connected (${APPLY ? 'APPLY' : 'dry run'})`);
+
+  if (option('--seed')) await seedInstitutions(option('--seed'));
+  else await seedDefault();
+
+  const totals = { users: 0, research: 0 };
+  const unmatched = [];
+
+  // users first: research inherits from its uploader
+  await migrateMembers(totals, unmatched);
+  await migrateGuests(totals);
+  await migrateResearch(totals);
+
+  if (APPLY) {
+    console.log(`✅ Updated ${totals.users} user(s), ${totals.research} research record(s)`);
+  } else {
+    console.log('ℹ️  Dry run only — re-run with --apply to write changes');
+  }
+  if (unmatched.length) {
+    console.log(`⚠️  ${unmatched.length} domain(s) belong to no institution. Add them to an institution for:`);
+    for (const v of unmatched) console.log(`   - ${v}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Institution migration failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
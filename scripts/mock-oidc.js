@@ -0,0 +1,172 @@
+// scripts/mock-oidc.js
+// Local OpenID Connect provider for trying SSO without Google Workspace.
+// Implements discovery, an authorize page (pick any identity), the token
+// endpoint with PKCE, and JWKS. Never run it anywhere but a dev machine.
+//
+//   npm run mock:oidc                 → http://localhost:4010
+//
+// Point the API at it (.env):
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=repo-dev
+//   OIDC_CLIENT_SECRET=repo-dev-secret
+//   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+//   OIDC_ROLE_MAP={"teachers":"faculty","students":"student"}
+//   OIDC_ROLE_CLAIM=groups
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/* =============================
+   Config
+============================= */
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'repo-dev';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'repo-dev-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code → { clientId, redirectUri, codeChallenge, nonce, claims, exp }
+
+const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/* =============================
+   Discovery + keys
+============================= */
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+/* =============================
+   Authorize: a form instead of a real login
+============================= */
+app.get('/authorize', (req, res) => {
+  const q = req.query;
+  if (q.client_id !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (q.response_type !== 'code') return res.status(400).send('Only response_type=code is supported');
+  if (q.code_challenge_method !== 'S256' || !q.code_challenge) return res.status(400).send('PKCE (S256) is required');
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(k => `<input type="hidden" name="${k}" value="${escapeHtml(q[k])}">`)
+    .join('');
+
+  res.type('html').send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:360px;display:grid;gap:8px">
+  <h3>Mock identity provider</h3>
+  ${hidden}
+  <label>Email <input name="email" value="juan.delacruz@g.msuiit.edu.ph" required></label>
+  <label>Given name <input name="given_name" value="Juan"></label>
+  <label>Family name <input name="family_name" value="Dela Cruz"></label>
+  <label>Groups (comma-separated) <input name="groups" value="students"></label>
+  <label>College <input name="college" value=""></label>
+  <label>Department <input name="department" value=""></label>
+  <label><input type="checkbox" name="email_verified" value="true" checked> email verified</label>
+  <button name="decision" value="allow">Sign in</button>
+  <button name="decision" value="deny">Cancel</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const b = req.body;
+  const back = new URL(b.redirect_uri);
+  if (b.state) back.searchParams.set('state', b.state);
+
+  if (b.decision !== 'allow') {
+    back.searchParams.set('error', 'access_denied');
+    back.searchParams.set('error_description', 'Sign-in was cancelled');
+    return res.redirect(303, back.toString());
+  }
+
+  const email = String(b.email || '').trim().toLowerCase();
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: b.client_id,
+    redirectUri: b.redirect_uri,
+    codeChallenge: b.code_challenge,
+    nonce: b.nonce,
+    exp: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 21),
+      email,
+      email_verified: b.email_verified === 'true',
+      given_name: b.given_name || '',
+      family_name: b.family_name || '',
+      name: `${b.given_name || ''} ${b.family_name || ''}`.trim(),
+      groups: String(b.groups || '').split(',').map(s => s.trim()).filter(Boolean),
+      ...(b.college ? { college: b.college } : {}),
+      ...(b.department ? { department: b.department } : {}),
+      hd: email.split('@')[1],
+    },
+  });
+
+  back.searchParams.set('code', code);
+  res.redirect(303, back.toString());
+});
+
+/* =============================
+   Token endpoint
+============================= */
+function clientCredentials(req) {
+  const hdr = req.headers.authorization || '';
+  if (hdr.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(hdr.slice(6), 'base64').toString().split(':');
+    return { id: decodeURIComponent(id || ''), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+}
+
+app.post('/token', (req, res) => {
+  const fail = (error, description) => res.status(400).json({ error, error_description: description });
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (req.body.grant_type !== 'authorization_code') return fail('unsupported_grant_type');
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!entry || entry.exp < Date.now()) return fail('invalid_grant', 'Unknown or expired code');
+  if (entry.clientId !== client.id || entry.redirectUri !== req.body.redirect_uri) {
+    return fail('invalid_grant', 'redirect_uri mismatch');
+  }
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (challenge !== entry.codeChallenge) return fail('invalid_grant', 'PKCE verification failed');
+
+  const idToken = jwt.sign(
+    { ...entry.claims, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: 300 }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock OIDC provider at ${ISSUER} (client_id=${CLIENT_ID})`);
+});
@@ -51,7 +51,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','X-API-Key'],
   exposedHeaders: ['Content-Disposition'],
 };
 
@@ -96,8 +96,15 @@ mongoose.connect(process.env.MONGO_URI, {
 // app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); // ← keep disabled
 
 // Route mounts
+app.use('/api/auth/passkeys', require('./routes/passkeys')); // WebAuthn (before /api/auth)
+app.use('/api/auth/oidc',     require('./routes/oidc'));     // SSO (before /api/auth)
 app.use('/api/auth',       require('./routes/auth'));
 app.use('/api/admin',      require('./routes/admin'));      // if present
+app.use('/api/colleges',   require('./routes/colleges'));   // college / department lists
+app.use('/api/consent',    require('./routes/consent'));    // privacy notice / terms
+app.use('/api/institutions', require('./routes/institutions')); // tenants / email domains
+app.use('/api/invitations', require('./routes/invitations')); // guest invites
+app.use('/api/integrations', require('./routes/integrations')); // API-key clients
 app.use('/api/faculty',    require('./routes/faculty'));
 app.use('/api/student',    require('./routes/student'));
 app.use('/api/research',   require('./routes/research'));   // your guarded file upload/delivery routes
@@ -105,6 +112,7 @@ app.use('/api/staff',      require('./routes/staff'));
 app.use('/api/repository', require('./routes/repositoryRoutes'));
 app.use('/api/ai',         require('./routes/aiRoutes'));   // if present
 app.use('/api/research-admin', require('./routes/researchAdmin')); // staff controls (upload/visibility)
+app.use('/api/workflows',  require('./routes/workflows'));  // college approval stages / sign-off inbox
 
 
 /* ================================
@@ -137,7 +145,7 @@ app.use((err, req, res, next) => {
   }
 
   // Multer limits / file filter errors
-  if (err && (err.code === 'LIMIT_FILE_SIZE' || err.message?.includes('Only PDF') || err.message?.includes('Only DOC'))) {
+  if (err && (err.code === 'LIMIT_FILE_SIZE' || err.message?.includes('Only PDF') || err.message?.includes('Only DOC') || err.message?.includes('Only CSV'))) {
     return res.status(400).json({ error: err.message || 'Invalid file upload' });
   }
 
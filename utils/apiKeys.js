@@ -0,0 +1,76 @@
+// utils/apiKeys.js
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+
+/* =============================
+   Scope catalogue
+============================= */
+const API_KEY_SCOPES = {
+  "read-public": "Read metadata of public (and lapsed-embargo) research",
+  "read-campus": "Also read metadata of campus-only research",
+  ingest:        "Deposit research metadata records",
+};
+
+const hashKey = (k) => crypto.createHash("sha256").update(String(k || "")).digest("hex");
+
+/** New key material. The plain `key` is shown once; store `prefix` + `keyHash`. */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `rk_${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashKey(key) };
+}
+
+/**
+ * Looks up a presented key. Returns the ApiKey doc or `{ error }` when it is
+ * unknown, revoked or expired.
+ */
+async function verifyApiKey(presented) {
+  const m = /^rk_([a-f0-9]{12})_[A-Za-z0-9_-]{20,}$/.exec(String(presented || "").trim());
+  if (!m) return { error: "Invalid API key" };
+
+  const doc = await ApiKey.findOne({ prefix: m[1] }).select("+keyHash").lean();
+  const a = Buffer.from(doc?.keyHash || "", "hex");
+  const b = Buffer.from(hashKey(presented.trim()), "hex");
+  if (!doc || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { error: "Invalid API key" };
+  }
+
+  if (doc.revokedAt) return { error: "API key revoked" };
+  if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= Date.now()) {
+    return { error: "API key expired" };
+  }
+  return { key: doc };
+}
+
+// last-used bookkeeping is best-effort and never delays the request
+function touchApiKey(id, ip) {
+  ApiKey.updateOne(
+    { _id: id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: String(ip || "") }, $inc: { usageCount: 1 } }
+  ).catch(err => console.error("❌ API key usage update failed:", err?.message || err));
+}
+
+const toPublicKey = (k) => ({
+  id: k._id,
+  name: k.name,
+  prefix: `rk_${k.prefix}_…`,
+  scopes: k.scopes,
+  rateLimit: k.rateLimit,
+  institution: k.institution,
+  createdBy: k.createdBy,
+  createdAt: k.createdAt,
+  expiresAt: k.expiresAt,
+  revokedAt: k.revokedAt,
+  lastUsedAt: k.lastUsedAt,
+  lastUsedIp: k.lastUsedIp,
+  usageCount: k.usageCount,
+});
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  verifyApiKey,
+  touchApiKey,
+  toPublicKey,
+};
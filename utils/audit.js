@@ -0,0 +1,29 @@
+// utils/audit.js
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Appends an audit entry. `req` supplies the actor and client info;
+ * pass `session` to write inside a transaction. While impersonating, the
+ * actor is the real admin and the impersonated user is noted in details.
+ */
+async function recordAudit(req, { action, targetType = "", targetId = null, details = {} }, { session } = {}) {
+  const imp = req?.user?.impersonator;
+  const [doc] = await AuditLog.create(
+    [
+      {
+        action,
+        actor: imp?.id || req?.user?.id || null,
+        actorEmail: imp?.email || req?.user?.email || "",
+        targetType,
+        targetId,
+        details: imp ? { ...details, asUser: req.user.id, asEmail: req.user.email } : details,
+        ip: String(req?.ip || ""),
+        userAgent: String(req?.get?.("user-agent") || "").slice(0, 300),
+      },
+    ],
+    { session }
+  );
+  return doc;
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,162 @@
+// utils/colleges.js
+// Managed college / department lists. Free-text input ("ccs", "College of
+// Computer Studies", an alias …) is resolved to the canonical entity; records
+// store the college *code* in `college` plus a `collegeId` reference. Each
+// college belongs to one institution (tenant).
+const mongoose = require("mongoose");
+const College = require("../models/College");
+const Department = require("../models/Department");
+const { resolveWriteCollege, inInstitutionScope } = require("./scope");
+const { DEFAULT_INSTITUTION_CODE } = require("./institutions");
+
+/* =============================
+   Lookup keys
+============================= */
+// "College of Comp. Studies" → "college of comp studies"
+const lookupKey = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// colleges from before tenancy belong to the default institution
+const collegeInstitution = (c) => String(c?.institution || DEFAULT_INSTITUTION_CODE).toUpperCase();
+
+const keysOf = (doc) => [doc.code, doc.name, ...(doc.aliases || [])].map(lookupKey).filter(Boolean);
+
+/* =============================
+   Cached directory
+============================= */
+const CACHE_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+async function loadDirectory() {
+  if (cache && Date.now() - cachedAt < CACHE_MS) return cache;
+
+  const [colleges, departments] = await Promise.all([
+    College.find().lean(),
+    Department.find().lean(),
+  ]);
+
+  const byKey = new Map();
+  const byId = new Map();
+  for (const c of colleges) {
+    byId.set(String(c._id), c);
+    for (const k of keysOf(c)) if (!byKey.has(k)) byKey.set(k, c);
+  }
+
+  const deptsByCollege = new Map();
+  for (const d of departments) {
+    const list = deptsByCollege.get(String(d.college)) || [];
+    list.push(d);
+    deptsByCollege.set(String(d.college), list);
+  }
+
+  cache = { colleges, byKey, byId, deptsByCollege };
+  cachedAt = Date.now();
+  return cache;
+}
+
+function invalidateColleges() {
+  cache = null;
+}
+
+/**
+ * Finds a college by id, code, name or alias (case/punctuation-insensitive).
+ * Inactive colleges are skipped unless `includeInactive`.
+ */
+async function findCollege(input, { includeInactive = false } = {}) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+
+  const dir = await loadDirectory();
+  const hit = (mongoose.isValidObjectId(raw) && dir.byId.get(raw)) || dir.byKey.get(lookupKey(raw));
+  if (!hit || (!hit.active && !includeInactive)) return null;
+  return hit;
+}
+
+async function findDepartment(college, input, { includeInactive = false } = {}) {
+  const raw = String(input || "").trim();
+  if (!college || !raw) return null;
+
+  const dir = await loadDirectory();
+  const list = dir.deptsByCollege.get(String(college._id || college)) || [];
+  const key = lookupKey(raw);
+  const hit = list.find(d => String(d._id) === raw || keysOf(d).includes(key));
+  if (!hit || (!hit.active && !includeInactive)) return null;
+  return hit;
+}
+
+/**
+ * Validates the college / department given on a write path.
+ * Returns `{ ok: true, fields }` — fields to spread onto the User/Research doc —
+ * or `{ ok: false, status, error }`.
+ *
+ * With `institution` (a code), the college must belong to that institution.
+ * With `user`, it must also fall inside that user's scope (see
+ * utils/scope.js); scoped users with one college get it by default.
+ */
+async function resolveAffiliation({ college, department } = {}, { user, institution, required = false } = {}) {
+  let code = "";
+  if (String(college || "").trim()) {
+    const c = await findCollege(college);
+    if (!c) return { ok: false, status: 400, error: `Unknown college: ${String(college).trim()}` };
+    if (institution && collegeInstitution(c) !== String(institution).toUpperCase())
+      return { ok: false, status: 400, error: `${c.code} is not a college of ${String(institution).toUpperCase()}` };
+    if (user && !inInstitutionScope(user, c))
+      return { ok: false, status: 403, error: "College is outside your institution" };
+    code = c.code;
+  }
+
+  if (user) {
+    const scoped = resolveWriteCollege(user, code);
+    if (scoped.error) return { ok: false, status: 403, error: scoped.error };
+    code = scoped.college;
+  }
+
+  if (!code) {
+    if (required) return { ok: false, status: 400, error: "College is required" };
+    if (String(department || "").trim())
+      return { ok: false, status: 400, error: "Department requires a college" };
+    return { ok: true, fields: { college: "", collegeId: null, department: "", departmentId: null } };
+  }
+
+  const c = await findCollege(code);
+  if (!c) return { ok: false, status: 400, error: `Unknown college: ${code}` };
+
+  const fields = { college: c.code, collegeId: c._id, department: "", departmentId: null };
+  if (String(department || "").trim()) {
+    const d = await findDepartment(c, department);
+    if (!d) return { ok: false, status: 400, error: `Unknown department for ${c.code}: ${String(department).trim()}` };
+    fields.department = d.code;
+    fields.departmentId = d._id;
+  }
+  return { ok: true, fields };
+}
+
+/** Active colleges with their active departments (for pickers), optionally of one institution. */
+async function listDirectory({ includeInactive = false, institution = null } = {}) {
+  const dir = await loadDirectory();
+  const only = institution ? String(institution).toUpperCase() : null;
+  return dir.colleges
+    .filter(c => includeInactive || c.active)
+    .filter(c => !only || collegeInstitution(c) === only)
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(c => ({
+      ...c,
+      departments: (dir.deptsByCollege.get(String(c._id)) || [])
+        .filter(d => includeInactive || d.active)
+        .sort((a, b) => a.code.localeCompare(b.code)),
+    }));
+}
+
+module.exports = {
+  lookupKey,
+  collegeInstitution,
+  findCollege,
+  findDepartment,
+  resolveAffiliation,
+  listDirectory,
+  invalidateColleges,
+};
@@ -0,0 +1,138 @@
+// utils/consent.js
+// Versioned privacy notice / deposit terms (Data Privacy Act). A user is
+// "due" for a kind when its newest published version is higher than the
+// version recorded on their account.
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ConsentDocument = require("../models/ConsentDocument");
+const ConsentRecord = require("../models/ConsentRecord");
+
+const CONSENT_KINDS = {
+  privacy: "Privacy notice",
+  terms:   "Repository deposit terms",
+};
+
+/* =============================
+   Cached current versions
+============================= */
+const CACHE_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+/** Newest published document per kind: `{ privacy: doc|null, terms: doc|null }`. */
+async function currentDocuments() {
+  if (cache && Date.now() - cachedAt < CACHE_MS) return cache;
+
+  const current = {};
+  for (const kind of Object.keys(CONSENT_KINDS)) {
+    current[kind] = await ConsentDocument.findOne({ kind, publishedAt: { $ne: null } })
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  cache = current;
+  cachedAt = Date.now();
+  return current;
+}
+
+function invalidateConsent() {
+  cache = null;
+}
+
+const brief = (d) => ({
+  kind: d.kind,
+  version: d.version,
+  title: d.title,
+  summary: d.summary,
+  publishedAt: d.publishedAt,
+});
+
+/** Current documents `user` (with `consents`) still has to accept. */
+async function consentsDue(user) {
+  const current = await currentDocuments();
+  return Object.values(current)
+    .filter(d => d && Number(user?.consents?.[d.kind]?.version || 0) < d.version)
+    .map(brief);
+}
+
+/**
+ * Checks `accepted` (`[{ kind, version }]` or `{ privacy: 3, terms: 2 }`)
+ * against the current documents. With `requireAll`, every published kind
+ * must be included. Returns `{ docs }` to record or `{ error, required }`.
+ */
+async function matchAcceptance(accepted, { requireAll = false } = {}) {
+  const pairs = Array.isArray(accepted)
+    ? accepted.map(a => [a?.kind, a?.version])
+    : Object.entries(accepted || {});
+  const given = Object.fromEntries(pairs.map(([k, v]) => [String(k), Number(v)]));
+
+  const current = await currentDocuments();
+  const required = Object.values(current).filter(Boolean).map(brief);
+  const docs = [];
+
+  for (const [kind, version] of Object.entries(given)) {
+    const doc = current[kind];
+    if (!doc) return { error: `Nothing to accept for: ${kind}`, required };
+    if (version !== doc.version) {
+      return { error: `${CONSENT_KINDS[kind]} has changed — please review version ${doc.version}`, required };
+    }
+    docs.push(doc);
+  }
+
+  if (requireAll) {
+    const missing = required.filter(r => !given[r.kind]);
+    if (missing.length) {
+      return { error: `Please accept the ${missing.map(m => CONSENT_KINDS[m.kind]).join(" and ")}`, required };
+    }
+  }
+  return { docs };
+}
+
+/** Writes the proof rows and the account's latest versions together. */
+async function recordConsent(user, docs, req, { context = "prompt" } = {}) {
+  if (!docs.length) return [];
+  const now = new Date();
+  const client = {
+    ip: String(req?.ip || ""),
+    userAgent: String(req?.get?.("user-agent") || "").slice(0, 300),
+  };
+
+  const session = await mongoose.startSession();
+  let rows;
+  try {
+    await session.withTransaction(async () => {
+      rows = await ConsentRecord.create(
+        docs.map(d => ({
+          user: user._id,
+          email: user.email,
+          kind: d.kind,
+          version: d.version,
+          document: d._id,
+          context,
+          acceptedAt: now,
+          ...client,
+        })),
+        { session, ordered: true }
+      );
+
+      const set = {};
+      for (const d of docs) {
+        set[`consents.${d.kind}.version`] = d.version;
+        set[`consents.${d.kind}.acceptedAt`] = now;
+      }
+      await User.updateOne({ _id: user._id }, { $set: set }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return rows;
+}
+
+module.exports = {
+  CONSENT_KINDS,
+  currentDocuments,
+  invalidateConsent,
+  consentsDue,
+  matchAcceptance,
+  recordConsent,
+};
@@ -0,0 +1,74 @@
+// utils/csv.js
+// Minimal RFC 4180 reader/writer (quoted fields, "" escapes, CRLF or LF).
+
+/** Parses CSV text into an array of rows (arrays of strings). Blank lines are skipped. */
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, ""); // Excel BOM
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === "") quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(v => v.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+
+  row.push(field);
+  if (row.some(v => v.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parses CSV with a header line into objects keyed by header name
+ * (headers are trimmed; `normalize` can map them, e.g. to lowercase).
+ */
+function parseCsvObjects(text, { normalize = (h) => h } = {}) {
+  const [header = [], ...body] = parseCsv(text);
+  const keys = header.map(h => normalize(String(h).trim()));
+  return {
+    headers: keys,
+    rows: body.map(cells =>
+      Object.fromEntries(keys.map((k, i) => [k, String(cells[i] ?? "").trim()]))
+    ),
+  };
+}
+
+const escapeCell = (v) => {
+  const s = v == null ? "" : String(v);
+  // neutralise spreadsheet formulas in exported data
+  const safe = /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/** Serialises objects to CSV using `columns` as the header / key order. */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const r of rows) lines.push(columns.map(c => escapeCell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
@@ -0,0 +1,155 @@
+// utils/emailChange.js
+// Email is the identity key on Research (author / student / adviser /
+// coAuthors / allowedViewers), so changing it rewrites every reference in
+// the same transaction as the User update.
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Research = require("../models/Research");
+const ResearchVersion = require("../models/ResearchVersion");
+const RevisionRequest = require("../models/RevisionRequest");
+const Workflow = require("../models/Workflow");
+const { recordAudit } = require("./audit");
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SCALAR_FIELDS = ["author", "student", "adviser"];
+const ARRAY_FIELDS = ["coAuthors", "allowedViewers"];
+const VERSION_SCALAR_FIELDS = ["snapshot.author", "snapshot.student", "snapshot.adviser", "by.email"];
+
+/** Rewrites Research references from `oldEmail` to `newEmail`; returns per-field counts. */
+async function renameResearchReferences(oldEmail, newEmail, { session } = {}) {
+  const match = new RegExp(`^\\s*${escapeRegex(oldEmail)}\\s*$`, "i");
+  const counts = {};
+
+  for (const field of SCALAR_FIELDS) {
+    const r = await Research.updateMany(
+      { [field]: match },
+      { $set: { [field]: newEmail } },
+      { session }
+    );
+    counts[field] = r.modifiedCount || 0;
+  }
+
+  for (const field of ARRAY_FIELDS) {
+    const r = await Research.updateMany(
+      { [field]: match },
+      { $set: { [`${field}.$[e]`]: newEmail } },
+      { session, arrayFilters: [{ e: { $regex: match } }] }
+    );
+    counts[field] = r.modifiedCount || 0;
+  }
+
+  // version history snapshots carry the same references
+  let versions = 0;
+  for (const field of VERSION_SCALAR_FIELDS) {
+    const r = await ResearchVersion.updateMany({ [field]: match }, { $set: { [field]: newEmail } }, { session });
+    versions += r.modifiedCount || 0;
+  }
+  const co = await ResearchVersion.updateMany(
+    { "snapshot.coAuthors": match },
+    { $set: { "snapshot.coAuthors.$[e]": newEmail } },
+    { session, arrayFilters: [{ e: { $regex: match } }] }
+  );
+  counts.versions = versions + (co.modifiedCount || 0);
+
+  const rr = await RevisionRequest.updateMany(
+    { "requestedBy.email": match },
+    { $set: { "requestedBy.email": newEmail } },
+    { session }
+  );
+  counts.revisionRequests = rr.modifiedCount || 0;
+
+  // sign-off runs: approvers, their sign-offs and the stage history
+  const wf = await Research.updateMany(
+    {
+      $or: [
+        { "workflow.stages.approvers": match },
+        { "workflow.stages.signoffs.email": match },
+        { "stageHistory.by.email": match },
+      ],
+    },
+    {
+      $set: {
+        "workflow.stages.$[].approvers.$[e]": newEmail,
+        "workflow.stages.$[].signoffs.$[s].email": newEmail,
+        "stageHistory.$[h].by.email": newEmail,
+      },
+    },
+    {
+      session,
+      arrayFilters: [{ e: { $regex: match } }, { "s.email": { $regex: match } }, { "h.by.email": { $regex: match } }],
+    }
+  );
+  counts.workflow = wf.modifiedCount || 0;
+
+  // review panels: members, their recommendations and who assigned them
+  const panel = await Research.updateMany(
+    {
+      $or: [
+        { "panel.members.email": match },
+        { "panel.recommendations.email": match },
+      ],
+    },
+    {
+      $set: {
+        "panel.members.$[m].email": newEmail,
+        "panel.recommendations.$[r].email": newEmail,
+      },
+    },
+    { session, arrayFilters: [{ "m.email": { $regex: match } }, { "r.email": { $regex: match } }] }
+  );
+  const assigned = await Research.updateMany(
+    { "panel.assignedBy.email": match },
+    { $set: { "panel.assignedBy.email": newEmail } },
+    { session }
+  );
+  counts.panel = (panel.modifiedCount || 0) + (assigned.modifiedCount || 0);
+
+  return counts;
+}
+
+/**
+ * Moves `userId` to `newEmail` and cascades it, all or nothing.
+ * Throws `{ code: 11000 }` when the address was taken in the meantime.
+ */
+async function changeUserEmail(req, userId, newEmail) {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const user = await User.findById(userId).select("email").session(session);
+      if (!user) throw new Error("User not found");
+
+      const oldEmail = user.email;
+      await User.updateOne({ _id: userId }, { $set: { email: newEmail } }, { session });
+      const research = await renameResearchReferences(oldEmail, newEmail, { session });
+      // live approval workflows name approvers by email too
+      const match = new RegExp(`^\\s*${escapeRegex(oldEmail)}\\s*$`, "i");
+      await Workflow.updateMany(
+        { "stages.approvers": match },
+        { $set: { "stages.$[].approvers.$[e]": newEmail } },
+        { session, arrayFilters: [{ e: { $regex: match } }] }
+      );
+
+      await recordAudit(
+        req,
+        {
+          action: "user.email-change",
+          targetType: "User",
+          targetId: userId,
+          details: { from: oldEmail, to: newEmail, research },
+        },
+        { session }
+      );
+
+      result = { oldEmail, newEmail, research };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+module.exports = { changeUserEmail, renameResearchReferences };
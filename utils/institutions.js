@@ -0,0 +1,161 @@
+// utils/institutions.js
+// Tenants (campuses) sharing this backend. Membership comes from the email
+// domain; "campus" visibility is resolved per institution. Until an admin
+// creates Institution rows, a built-in default (MSU-IIT, from env) applies,
+// so single-campus deployments behave exactly as before.
+const Institution = require("../models/Institution");
+
+const list = (v) => String(v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const DEFAULT_INSTITUTION_CODE = String(process.env.DEFAULT_INSTITUTION_CODE || "MSU-IIT").toUpperCase();
+
+const BUILT_IN = {
+  code: DEFAULT_INSTITUTION_CODE,
+  name: process.env.DEFAULT_INSTITUTION_NAME || "MSU-IIT",
+  shortName: process.env.DEFAULT_INSTITUTION_SHORT_NAME || "MSU-IIT",
+  emailDomains: list(process.env.DEFAULT_INSTITUTION_DOMAINS || "g.msuiit.edu.ph"),
+  branding: {},
+  mail: {},
+  shareCampusWith: [],
+  active: true,
+  builtIn: true,
+};
+
+/* =============================
+   Cached directory
+============================= */
+const CACHE_MS = 30 * 1000;
+
+function buildDirectory(rows) {
+  const institutions = rows.length ? rows : [BUILT_IN];
+  const byCode = new Map();
+  const byDomain = new Map();
+  for (const i of institutions) {
+    byCode.set(i.code, i);
+    if (i.active === false) continue;
+    for (const d of i.emailDomains || []) byDomain.set(d, i);
+  }
+  return { institutions, byCode, byDomain };
+}
+
+// the sync helpers (mail branding, token claims) read the last loaded copy
+let cache = buildDirectory([]);
+let cachedAt = 0;
+
+async function loadDirectory() {
+  if (cachedAt && Date.now() - cachedAt < CACHE_MS) return cache;
+  cache = buildDirectory(await Institution.find().lean());
+  cachedAt = Date.now();
+  return cache;
+}
+
+function invalidateInstitutions() {
+  cachedAt = 0;
+}
+
+const domainOf = (email) => String(email || "").toLowerCase().trim().split("@")[1] || "";
+
+/* =============================
+   Lookups
+============================= */
+
+/** Active institution owning the address's domain, or null. */
+async function institutionForEmail(email) {
+  const dir = await loadDirectory();
+  return dir.byDomain.get(domainOf(email)) || null;
+}
+
+function institutionForEmailSync(email) {
+  return cache.byDomain.get(domainOf(email)) || null;
+}
+
+async function findInstitution(code) {
+  const dir = await loadDirectory();
+  return dir.byCode.get(String(code || "").trim().toUpperCase()) || null;
+}
+
+async function listInstitutions() {
+  return (await loadDirectory()).institutions;
+}
+
+/** Every domain that counts as a member address (for messages / SSO defaults). */
+async function memberDomains() {
+  return [...(await loadDirectory()).byDomain.keys()];
+}
+
+/**
+ * Institutions whose "campus" records members of `code` may see: their own
+ * plus every institution sharing with them (by code or "*").
+ */
+async function campusInstitutionsFor(code) {
+  if (!code) return [];
+  const dir = await loadDirectory();
+  const codes = new Set([code]);
+  for (const i of dir.institutions) {
+    if (i.active === false) continue;
+    const share = i.shareCampusWith || [];
+    if (share.includes("*") || share.includes(code)) codes.add(i.code);
+  }
+  return [...codes];
+}
+
+/* =============================
+   Visibility
+============================= */
+
+// records from before tenancy have no institution: they belong to the default
+const recordInstitution = (r) => r?.institution || DEFAULT_INSTITUTION_CODE;
+
+/** Mongo condition on `institution` matching any of `codes`. */
+function institutionMatch(codes = []) {
+  const all = [...codes];
+  if (codes.includes(DEFAULT_INSTITUTION_CODE)) all.push("", null);
+  return { $in: all };
+}
+
+/** Can `user` (from authorize()) see a "campus" record? */
+function campusVisibleTo(user, record) {
+  if (!user?.isCampus) return false;
+  return (user.campusInstitutions || []).includes(recordInstitution(record));
+}
+
+/** Filter clause for the "campus" records `user` may see (null when none). */
+function campusClause(user) {
+  if (!user?.isCampus || !user.campusInstitutions?.length) return null;
+  return { visibility: "campus", institution: institutionMatch(user.campusInstitutions) };
+}
+
+/* =============================
+   Branding (mail)
+============================= */
+function brandingFor(email, institutionCode) {
+  const inst =
+    (institutionCode && cache.byCode.get(String(institutionCode).toUpperCase())) ||
+    institutionForEmailSync(email) ||
+    cache.byCode.get(DEFAULT_INSTITUTION_CODE) ||
+    cache.institutions[0];
+
+  const label = inst?.shortName || inst?.name || "MSU-IIT";
+  return {
+    label,
+    footer: inst?.branding?.footer || `Research Repository • ${label}`,
+    senderName: inst?.mail?.senderName || "",
+    senderEmail: inst?.mail?.senderEmail || "",
+    replyTo: inst?.mail?.replyTo || "",
+  };
+}
+
+module.exports = {
+  DEFAULT_INSTITUTION_CODE,
+  institutionForEmail,
+  institutionForEmailSync,
+  findInstitution,
+  listInstitutions,
+  memberDomains,
+  campusInstitutionsFor,
+  institutionMatch,
+  campusVisibleTo,
+  campusClause,
+  brandingFor,
+  invalidateInstitutions,
+};
@@ -0,0 +1,115 @@
+// utils/loginEvents.js
+// Login history + new-device alerts. Recording never blocks or fails a sign-in.
+const crypto = require("crypto");
+const LoginEvent = require("../models/LoginEvent");
+const { sendSystemEmail } = require("./mailer");
+
+const SIGN_IN_STEPS = ["verify-code", "passkey", "sso"]; // steps that end in a session
+
+/* =============================
+   Device description
+============================= */
+function describeUserAgent(ua = "") {
+  const s = String(ua);
+  const browser =
+    (/Edg\//.test(s) && "Edge") ||
+    (/OPR\/|Opera/.test(s) && "Opera") ||
+    (/Firefox\//.test(s) && "Firefox") ||
+    (/Chrome\//.test(s) && "Chrome") ||
+    (/Safari\//.test(s) && "Safari") ||
+    (/okhttp|Expo|ReactNative/i.test(s) && "Mobile app") ||
+    (/curl|Postman|axios|node-fetch/i.test(s) && "API client") ||
+    "Unknown browser";
+  const os =
+    (/Windows/.test(s) && "Windows") ||
+    (/Android/.test(s) && "Android") ||
+    (/iPhone|iPad|iOS/.test(s) && "iOS") ||
+    (/Mac OS X|Macintosh/.test(s) && "macOS") ||
+    (/Linux/.test(s) && "Linux") ||
+    "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const keyOf = (s) => crypto.createHash("sha256").update(s).digest("hex").slice(0, 32);
+
+function clientOf(req) {
+  const userAgent = String(req?.get?.("user-agent") || "").slice(0, 300);
+  // apps may send a stable install id; browsers fall back to browser + OS,
+  // never the raw user agent (every version bump would look like a new device)
+  const deviceId = String(req?.body?.deviceId || "").slice(0, 100);
+  const device = describeUserAgent(userAgent);
+  return {
+    ip: String(req?.ip || ""),
+    userAgent,
+    device,
+    deviceKey: keyOf(deviceId || device),
+  };
+}
+
+/* =============================
+   Recording
+============================= */
+
+/** Records one attempt. `user` may be null (unknown email). */
+async function recordLoginAttempt(req, { user = null, email = "", step, method = "", success, reason = "" }) {
+  try {
+    return await LoginEvent.create({
+      user: user?._id || user || null,
+      email: String(email || user?.email || "").toLowerCase(),
+      step,
+      method,
+      success,
+      reason,
+      ...clientOf(req),
+    });
+  } catch (err) {
+    console.error("❌ Login event not recorded:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Records a completed sign-in (a session was issued) and emails the owner
+ * when it comes from a device they haven't signed in from before.
+ */
+async function recordSignIn(req, user, { step, method, session }) {
+  try {
+    const client = clientOf(req);
+    const prior = await LoginEvent.find({ user: user._id, success: true, step: { $in: SIGN_IN_STEPS } })
+      .select("deviceKey")
+      .limit(500)
+      .lean();
+
+    // the very first sign-in isn't "new" — there's nothing to compare against
+    // events recorded before keys ignored the browser version were keyed on the raw user agent
+    const legacyKey = keyOf(String(req?.body?.deviceId || "").slice(0, 100) || client.userAgent);
+    const newDevice = prior.length > 0 && !prior.some(e => e.deviceKey === client.deviceKey || e.deviceKey === legacyKey);
+
+    await LoginEvent.create({
+      user: user._id,
+      email: user.email,
+      step,
+      method,
+      success: true,
+      session: session?._id || null,
+      newDevice,
+      ...client,
+    });
+
+    if (newDevice) {
+      const when = new Date().toLocaleString("en-PH", { timeZone: "Asia/Manila" });
+      sendSystemEmail({
+        to: user.email,
+        subject: "Research Repository – New sign-in to your account",
+        text:
+          `Your account was just signed in from a new device: ${client.device} ` +
+          `(IP ${client.ip || "unknown"}) on ${when}. If this was you, no action is needed. ` +
+          "If not, change your PIN and sign out all devices from your profile.",
+      }).catch(err => console.error("❌ New-device alert failed:", err?.message || err));
+    }
+  } catch (err) {
+    console.error("❌ Sign-in event not recorded:", err?.message || err);
+  }
+}
+
+module.exports = { describeUserAgent, recordLoginAttempt, recordSignIn };
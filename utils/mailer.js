@@ -1,14 +1,44 @@
 // utils/mailer.js
 const Brevo = require("@getbrevo/brevo");
+const { brandingFor } = require("./institutions");
 const apiInstance = new Brevo.TransactionalEmailsApi();
 
 // Load API key
 apiInstance.authentications['apiKey'].apiKey = process.env.BREVO_API_KEY;
 
+const escapeHtml = (s) =>
+  String(s || "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+/* ========================================
+   BRANDING (per recipient institution)
+======================================== */
+const DEFAULT_SENDER_EMAIL = () => process.env.EMAIL_FROM.match(/<(.*)>/)?.[1] || "noreply@researchrepo.com";
+
+// sender / reply-to: the institution's, else the deployment defaults
+function envelope(brand) {
+  return {
+    sender: {
+      name: brand.senderName || "Research Repository (No Reply)",
+      email: brand.senderEmail || DEFAULT_SENDER_EMAIL()
+    },
+    replyTo: brand.replyTo
+      ? { email: brand.replyTo }
+      : { email: "noreply@researchrepo.com", name: "Do Not Reply" },
+  };
+}
+
+const footerHtml = (brand) => `
+      <hr style="margin:20px 0; opacity:0.3;">
+      <p style="font-size:12px; color:#9ca3af;">${escapeHtml(brand.footer)}</p>${brand.replyTo ? "" : `
+      <p style="font-size:12px; color:#ef4444; margin-top:15px;">
+        ⚠️ This is an automated message. Please do not reply to this email.
+      </p>`}`;
+
 /* ========================================
    SEND OTP EMAIL (Verification / Login)
 ======================================== */
-async function sendOtpEmail(to, code, title = "Your Verification Code") {
+async function sendOtpEmail(to, code, title = "Your Verification Code", { expiresInMinutes = 5 } = {}) {
+  const brand = brandingFor(to);
   const htmlContent = `
     <div style="font-family: Arial, sans-serif; padding: 20px;">
       <h2 style="color:#111827;">${title}</h2>
@@ -23,26 +53,15 @@ async function sendOtpEmail(to, code, title = "Your Verification Code") {
         ${code}
       </div>
       <p style="font-size:14px; color:#6b7280;">
-        This code will expire in 5 minutes.
-      </p>
-      <hr style="margin:20px 0; opacity:0.3;">
-      <p style="font-size:12px; color:#9ca3af;">Research Repository • MSU-IIT</p>
-      <p style="font-size:12px; color:#ef4444; margin-top:15px;">
-        ⚠️ This is an automated message. Please do not reply to this email.
+        This code will expire in ${expiresInMinutes} minutes.
       </p>
+      ${footerHtml(brand)}
     </div>
   `;
 
   const email = {
-    sender: {
-      name: "Research Repository (No Reply)",
-      email: process.env.EMAIL_FROM.match(/<(.*)>/)?.[1] || "noreply@researchrepo.com"
-    },
+    ...envelope(brand),
     to: [{ email: to }],
-    replyTo: {
-      email: "noreply@researchrepo.com",
-      name: "Do Not Reply"
-    },
     subject: title,
     htmlContent
   };
@@ -59,28 +78,18 @@ async function sendOtpEmail(to, code, title = "Your Verification Code") {
 /* ========================================
    SYSTEM EMAIL (Reset PIN, Notifications)
 ======================================== */
-async function sendSystemEmail({ to, subject, text, html }) {
+async function sendSystemEmail({ to, subject, text, html, institution }) {
+  const brand = brandingFor(to, institution);
   const finalHtml = html || `
     <div style="font-family: Arial, sans-serif; padding: 20px;">
       <p style="font-size:16px;">${text}</p>
-      <hr style="margin:20px 0; opacity:0.3;">
-      <p style="font-size:12px; color:#9ca3af;">Research Repository • MSU-IIT</p>
-      <p style="font-size:12px; color:#ef4444; margin-top:15px;">
-        ⚠️ This is an automated message. Please do not reply to this email.
-      </p>
+      ${footerHtml(brand)}
     </div>
   `;
 
   const email = {
-    sender: {
-      name: "Research Repository (No Reply)",
-      email: process.env.EMAIL_FROM.match(/<(.*)>/)?.[1] || "noreply@researchrepo.com"
-    },
+    ...envelope(brand),
     to: [{ email: to }],
-    replyTo: {
-      email: "noreply@researchrepo.com",
-      name: "Do Not Reply"
-    },
     subject,
     htmlContent: finalHtml
   };
@@ -94,7 +103,98 @@ async function sendSystemEmail({ to, subject, text, html }) {
   }
 }
 
+/* ========================================
+   LOCKOUT NOTICE (too many failed attempts)
+======================================== */
+const LOCKOUT_LABELS = {
+  login: "PIN sign-in",
+  otp: "verification code",
+  reset: "PIN reset code",
+};
+
+async function sendLockoutEmail(to, { scope, until }) {
+  const what = LOCKOUT_LABELS[scope] || "sign-in";
+  const when = until ? new Date(until).toLocaleString("en-PH", { timeZone: "Asia/Manila" }) : "later";
+
+  return sendSystemEmail({
+    to,
+    subject: "Research Repository – Account temporarily locked",
+    text:
+      `We blocked further ${what} attempts on your account after several failed tries. ` +
+      `You can try again after ${when}. If this wasn't you, reset your PIN once the lock ends ` +
+      `or contact the repository administrator.`,
+  });
+}
+
+/* ========================================
+   GUEST INVITATION
+======================================== */
+
+async function sendInvitationEmail(to, { inviterName, link, linkExpiresAt, accountExpiresAt, note, institution }) {
+  // guests aren't members by address: brand with the inviter's institution
+  const brand = brandingFor(to, institution);
+  const fmt = (d) => new Date(d).toLocaleDateString("en-PH", { timeZone: "Asia/Manila", dateStyle: "long" });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2 style="color:#111827;">You're invited to the Research Repository</h2>
+      <p style="font-size:16px;">
+        ${escapeHtml(inviterName)} invited you to a guest account on the ${escapeHtml(brand.label)} Research Repository.
+      </p>
+      ${note ? `<p style="font-size:15px; color:#374151; border-left:3px solid #e5e7eb; padding-left:10px;">${escapeHtml(note)}</p>` : ""}
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(link)}" style="background:#111827; color:#fff; padding:10px 18px; border-radius:6px; text-decoration:none;">
+          Accept invitation
+        </a>
+      </p>
+      <p style="font-size:14px; color:#6b7280;">
+        This link works until ${fmt(linkExpiresAt)}. Guest access ends on ${fmt(accountExpiresAt)}.
+      </p>
+      ${footerHtml(brand)}
+    </div>
+  `;
+
+  return sendSystemEmail({
+    to,
+    subject: "Research Repository – Guest invitation",
+    html,
+    institution,
+  });
+}
+
+/* ========================================
+   WELCOME (bulk-provisioned accounts)
+======================================== */
+async function sendWelcomeEmail(to, { firstName, role, pin }) {
+  const loginUrl = (process.env.APP_ORIGIN || "http://localhost:3000").split(",")[0].trim();
+  const brand = brandingFor(to);
+
+  return sendSystemEmail({
+    to,
+    subject: "Research Repository – Your account is ready",
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px;">
+        <h2 style="color:#111827;">Welcome, ${escapeHtml(firstName)}!</h2>
+        <p style="font-size:16px;">
+          A ${escapeHtml(role)} account was created for you on the ${escapeHtml(brand.label)} Research Repository.
+        </p>
+        <p style="font-size:16px;">Your initial PIN is:</p>
+        <h1 style="letter-spacing:8px; font-size:36px; color:#111827;">${escapeHtml(pin)}</h1>
+        <p style="font-size:14px; color:#6b7280;">
+          Sign in at <a href="${escapeHtml(loginUrl)}">${escapeHtml(loginUrl)}</a> with this email address,
+          then change your PIN from your profile.
+        </p>
+        ${footerHtml(brand)}
+      </div>
+    `,
+  });
+}
+
 module.exports = {
   sendOtpEmail,
   sendSystemEmail,
+  sendLockoutEmail,
+  sendInvitationEmail,
+  sendWelcomeEmail,
+  escapeHtml,
 };
\ No newline at end of file
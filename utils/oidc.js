@@ -0,0 +1,252 @@
+// utils/oidc.js
+// OpenID Connect relying party (authorization code + PKCE) for institutional
+// SSO, e.g. Google Workspace on g.msuiit.edu.ph. Discovery and signing keys
+// are fetched from the issuer and cached; ID tokens are verified locally.
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { resolveAffiliation } = require("./colleges");
+const { isKnownRole } = require("./permissions");
+const { memberDomains } = require("./institutions");
+
+/* =============================
+   Config
+============================= */
+const list = (v) => String(v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+function parseRoleMap(raw) {
+  if (!raw) return {};
+  try {
+    const map = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(map).map(([k, v]) => [String(k).toLowerCase(), String(v).toLowerCase()])
+    );
+  } catch (err) {
+    console.error("❌ OIDC_ROLE_MAP is not valid JSON — ignoring it");
+    return {};
+  }
+}
+
+const config = {
+  issuer: String(process.env.OIDC_ISSUER || "").replace(/\/+$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID || "",
+  clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+  redirectUri: process.env.OIDC_REDIRECT_URI || "",
+  scopes: process.env.OIDC_SCOPES || "openid email profile",
+  tokenAuth: process.env.OIDC_TOKEN_AUTH || "client_secret_basic", // or client_secret_post
+  label: process.env.OIDC_LABEL || "Sign in with your institution account",
+
+  // unset → every institution's member domains (see utils/institutions.js)
+  allowedDomains: list(process.env.OIDC_ALLOWED_DOMAINS),
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== "false",
+
+  // claim → role / college mapping
+  roleClaim: process.env.OIDC_ROLE_CLAIM || "role",
+  roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP), // {"teachers":"faculty", ...}
+  defaultRole: String(process.env.OIDC_DEFAULT_ROLE || "student").toLowerCase(),
+  syncRole: process.env.OIDC_SYNC_ROLE === "true",
+  collegeClaim: process.env.OIDC_COLLEGE_CLAIM || "college",
+  departmentClaim: process.env.OIDC_DEPARTMENT_CLAIM || "department",
+
+  // accounts with an authenticator app still enter a code after SSO unless
+  // the IdP is trusted to enforce its own MFA
+  trustIdpMfa: process.env.OIDC_TRUST_IDP_MFA === "true",
+};
+
+// roles an IdP claim may never grant
+const UNMAPPABLE_ROLES = ["admin", "guest"];
+const CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const oidcEnabled = () =>
+  !!(config.issuer && config.clientId && config.redirectUri && process.env.JWT_SECRET);
+
+/* =============================
+   Discovery + signing keys
+============================= */
+let discovery = null;
+let discoveredAt = 0;
+let jwks = null;
+let jwksAt = 0;
+
+async function discover() {
+  if (discovery && Date.now() - discoveredAt < CACHE_MS) return discovery;
+  const { data } = await axios.get(`${config.issuer}/.well-known/openid-configuration`, {
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  if (String(data?.issuer || "").replace(/\/+$/, "") !== config.issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: ${data?.issuer}`);
+  }
+  discovery = data;
+  discoveredAt = Date.now();
+  return discovery;
+}
+
+async function loadKeys({ force = false } = {}) {
+  if (!force && jwks && Date.now() - jwksAt < CACHE_MS) return jwks;
+  const { jwks_uri: uri } = await discover();
+  const { data } = await axios.get(uri, { timeout: HTTP_TIMEOUT_MS });
+  jwks = (data?.keys || []).filter(k => !k.use || k.use === "sig");
+  jwksAt = Date.now();
+  return jwks;
+}
+
+async function signingKeyFor(header) {
+  const pick = (keys) =>
+    header.kid ? keys.find(k => k.kid === header.kid) : keys.length === 1 ? keys[0] : null;
+
+  // an unknown kid usually means the IdP rotated keys — refetch once
+  const jwk = pick(await loadKeys()) || pick(await loadKeys({ force: true }));
+  if (!jwk) throw new Error("No matching signing key");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/* =============================
+   Authorization request
+============================= */
+async function allowedDomains() {
+  return config.allowedDomains.length ? config.allowedDomains : memberDomains();
+}
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const pkceChallenge = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+/** Fresh state / nonce / PKCE verifier and the IdP URL to send the browser to. */
+async function createAuthorizationRequest() {
+  const { authorization_endpoint: endpoint } = await discover();
+  const state = randomToken();
+  const nonce = randomToken();
+  const domains = await allowedDomains();
+  const codeVerifier = randomToken();
+
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+    prompt: "select_account",
+    // Google Workspace hint; other IdPs ignore it
+    ...(domains.length === 1 ? { hd: domains[0] } : {}),
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/* =============================
+   Code exchange + ID token
+============================= */
+async function exchangeCode(code, codeVerifier) {
+  const { token_endpoint: endpoint } = await discover();
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code: String(code),
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+  if (config.tokenAuth === "client_secret_post" || !config.clientSecret) {
+    form.set("client_id", config.clientId);
+    if (config.clientSecret) form.set("client_secret", config.clientSecret);
+  } else {
+    const basic = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+  }
+
+  const { data } = await axios.post(endpoint, form.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+  if (!data?.id_token) throw new Error("Token response has no id_token");
+  return data;
+}
+
+/** Verifies signature, issuer, audience, expiry and nonce; returns the claims. */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) throw new Error("Malformed ID token");
+
+  const key = await signingKeyFor(decoded.header);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId,
+    clockTolerance: 30,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.clientId) {
+    throw new Error("ID token azp mismatch");
+  }
+  return claims;
+}
+
+/* =============================
+   Claim mapping
+============================= */
+const claimValues = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(x => String(x).toLowerCase());
+
+/** Role granted by the IdP claim via OIDC_ROLE_MAP, or null when none applies. */
+async function mappedRole(claims) {
+  for (const value of claimValues(claims[config.roleClaim])) {
+    const role = config.roleMap[value];
+    if (role && !UNMAPPABLE_ROLES.includes(role) && (await isKnownRole(role))) return role;
+  }
+  return null;
+}
+
+/**
+ * Turns verified ID-token claims into our profile fields.
+ * Returns `{ error }` when the identity can't be used here.
+ */
+async function mapClaims(claims) {
+  const email = String(claims.email || "").toLowerCase().trim();
+  if (!email) return { error: "Your identity provider did not share an email address" };
+  if (claims.email_verified !== true && claims.email_verified !== "true") {
+    return { error: "Your email address is not verified with the identity provider" };
+  }
+
+  const domain = email.split("@")[1] || "";
+  const domains = await allowedDomains();
+  if (!domains.includes(domain)) {
+    return { error: `Only ${domains.join(", ")} accounts can use single sign-on` };
+  }
+
+  const [first = "", ...rest] = String(claims.name || "").trim().split(/\s+/);
+  const firstName = String(claims.given_name || first || email.split("@")[0]).trim();
+  const lastName = String(claims.family_name || rest.join(" ") || "-").trim();
+
+  const role = await mappedRole(claims);
+
+  // unknown college / department claims are dropped rather than failing the sign-in
+  let affiliation = null;
+  const college = claims[config.collegeClaim];
+  if (college) {
+    const aff = await resolveAffiliation({ college, department: claims[config.departmentClaim] });
+    const collegeOnly = aff.ok ? aff : await resolveAffiliation({ college });
+    if (collegeOnly.ok) affiliation = collegeOnly.fields;
+  }
+
+  return {
+    profile: {
+      issuer: config.issuer,
+      subject: String(claims.sub),
+      email,
+      firstName,
+      lastName,
+      role,
+      affiliation,
+    },
+  };
+}
+
+module.exports = {
+  oidcConfig: config,
+  oidcEnabled,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  mapClaims,
+};
@@ -0,0 +1,140 @@
+// utils/otp.js
+const crypto = require("crypto");
+const OneTimeCode = require("../models/OneTimeCode");
+
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || "change-me";
+
+// How long each kind of code stays valid
+const OTP_TTL_MS = {
+  verify: 30 * 60 * 1000,
+  login: 5 * 60 * 1000,
+  reset: 15 * 60 * 1000,
+  "email-change": 15 * 60 * 1000,
+  "phone-verify": 10 * 60 * 1000,
+};
+
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+// Bound to user + purpose so a code can't be replayed for another flow
+function hashCode(userId, purpose, code) {
+  return crypto
+    .createHmac("sha256", OTP_SECRET)
+    .update(`${userId}:${purpose}:${String(code).trim()}`)
+    .digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a || ""), "hex");
+  const bb = Buffer.from(String(b || ""), "hex");
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+const ttlMinutes = (purpose) => Math.round((OTP_TTL_MS[purpose] || 0) / 60000);
+
+/**
+ * Creates (or replaces) the code for this user/purpose/target.
+ * Returns `{ ok: true, code, expiresAt }`, or `{ ok: false, reason: 'cooldown', retryAfter }`
+ * when the previous code was sent less than `cooldownMs` ago.
+ */
+async function issueCode({ user, purpose, target = "", cooldownMs = RESEND_COOLDOWN_MS }) {
+  if (!OTP_TTL_MS[purpose]) throw new Error(`Unknown OTP purpose: ${purpose}`);
+
+  const userId = user._id || user;
+  const key = { user: userId, purpose, target: String(target || "").toLowerCase().trim() };
+
+  if (cooldownMs > 0) {
+    const prev = await OneTimeCode.findOne({ ...key, consumedAt: null }).select("lastSentAt").lean();
+    const since = prev ? Date.now() - new Date(prev.lastSentAt).getTime() : Infinity;
+    if (since < cooldownMs) {
+      return { ok: false, reason: "cooldown", retryAfter: Math.ceil((cooldownMs - since) / 1000) };
+    }
+  }
+
+  const code = generateCode();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MS[purpose]);
+
+  await OneTimeCode.findOneAndUpdate(
+    key,
+    {
+      $set: {
+        codeHash: hashCode(userId, purpose, code),
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        lastSentAt: now,
+        consumedAt: null,
+        expiresAt,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return { ok: true, code, expiresAt };
+}
+
+/**
+ * Checks a code. Every wrong guess counts toward `maxAttempts`, after which
+ * the code is burned. With `consume` (default) a correct code is single-use.
+ * Returns `{ ok: true }` or `{ ok: false, reason }` where reason is one of
+ * 'missing' | 'expired' | 'invalid' | 'too-many-attempts'.
+ */
+async function verifyCode({ user, purpose, code, target = "", consume = true }) {
+  const userId = user._id || user;
+  const key = { user: userId, purpose, target: String(target || "").toLowerCase().trim() };
+
+  const doc = await OneTimeCode.findOne({ ...key, consumedAt: null }).select("+codeHash");
+  if (!doc) return { ok: false, reason: "missing" };
+  if (doc.expiresAt.getTime() < Date.now()) return { ok: false, reason: "expired" };
+  if (doc.attempts >= doc.maxAttempts) return { ok: false, reason: "too-many-attempts" };
+
+  if (!safeEqualHex(doc.codeHash, hashCode(userId, purpose, code))) {
+    const bumped = await OneTimeCode.findOneAndUpdate(
+      { _id: doc._id },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (bumped && bumped.attempts >= bumped.maxAttempts) {
+      await OneTimeCode.updateOne({ _id: doc._id }, { $set: { consumedAt: new Date() } });
+      return { ok: false, reason: "too-many-attempts" };
+    }
+    return { ok: false, reason: "invalid" };
+  }
+
+  if (consume) {
+    // conditional update so two concurrent requests can't both redeem it
+    const r = await OneTimeCode.updateOne(
+      { _id: doc._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!r.modifiedCount) return { ok: false, reason: "missing" };
+  }
+
+  return { ok: true };
+}
+
+async function revokeCodes(user, purpose) {
+  const filter = { user: user._id || user, consumedAt: null };
+  if (purpose) filter.purpose = purpose;
+  await OneTimeCode.updateMany(filter, { $set: { consumedAt: new Date() } });
+}
+
+// User-facing text for each failure reason
+const OTP_ERRORS = {
+  missing: "No active code. Please request a new one.",
+  expired: "Code expired",
+  invalid: "Invalid code",
+  "too-many-attempts": "Too many wrong attempts. Please request a new code.",
+};
+
+module.exports = {
+  OTP_TTL_MS,
+  OTP_ERRORS,
+  RESEND_COOLDOWN_MS,
+  ttlMinutes,
+  issueCode,
+  verifyCode,
+  revokeCodes,
+};
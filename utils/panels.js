@@ -0,0 +1,188 @@
+// utils/panels.js
+// Review panels on a submission (Research.panel): assigned faculty and
+// external examiners recommend independently and the panel's consensus rule
+// turns their recommendations into the review decision. Rounds restart after
+// each decision, so a resubmission is recommended on afresh.
+
+const PANEL_ROLES = ["chair", "member", "external"];
+const ROLE_LABELS = { chair: "Chair", member: "Member", external: "External examiner" };
+const RECOMMENDATIONS = ["approved", "rejected", "revision-requested"];
+const MAX_MEMBERS = 12;
+
+/*
+ * Consensus rules:
+ *   majority  → more than half of the panel recommends the same
+ *   unanimous → every panelist approves (any other recommendation blocks it)
+ *   chair     → the chair's recommendation decides; the others advise
+ *   threshold → at least `threshold` approvals
+ * A panel that does not approve asks for revision unless most of the
+ * non-approving panelists recommend rejection.
+ */
+const RULES = ["majority", "unanimous", "chair", "threshold"];
+const DEFAULT_RULE = RULES.includes(process.env.PANEL_CONSENSUS_RULE) ? process.env.PANEL_CONSENSUS_RULE : "majority";
+
+const norm = (e) => String(e || "").trim().toLowerCase();
+
+/* =============================
+   Input parsing
+============================= */
+
+/** `[{ email, role }]` → `{ members }` or `{ error }` (at most one chair). */
+function parseMembers(input) {
+  if (!Array.isArray(input) || !input.length) return { error: "Assign at least one panelist" };
+  if (input.length > MAX_MEMBERS) return { error: `At most ${MAX_MEMBERS} panelists` };
+
+  const members = [];
+  for (const m of input) {
+    const email = norm(m?.email);
+    const role = PANEL_ROLES.includes(m?.role) ? m.role : "member";
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: `Invalid panelist email: ${m?.email || ""}` };
+    if (members.some(x => x.email === email)) return { error: `${email} is listed twice` };
+    members.push({ email, role });
+  }
+  if (members.filter(m => m.role === "chair").length > 1) return { error: "A panel has at most one chair" };
+  return { members };
+}
+
+/** `{ type, threshold }` (or just the type) → `{ rule }` or `{ error }`. */
+function parseRule(input, members) {
+  const type = typeof input === "string" ? input : input?.type || DEFAULT_RULE;
+  if (!RULES.includes(type)) return { error: `Consensus rule must be one of: ${RULES.join(", ")}` };
+  if (type === "chair" && !members.some(m => m.role === "chair")) {
+    return { error: "The chair rule needs a panelist with the chair role" };
+  }
+  if (type !== "threshold") return { rule: { type, threshold: null } };
+
+  const threshold = Number(input?.threshold);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > members.length) {
+    return { error: `threshold must be between 1 and ${members.length}` };
+  }
+  return { rule: { type, threshold } };
+}
+
+/* =============================
+   Consensus
+============================= */
+const hasPanel = (research) => (research?.panel?.members || []).length > 0;
+
+const panelistOf = (research, email) =>
+  (research?.panel?.members || []).find(m => norm(m.email) === norm(email)) || null;
+
+/** Recommendations of the current round (one per panelist). */
+const currentRecommendations = (panel) =>
+  (panel?.recommendations || []).filter(r => r.round === panel.round);
+
+function tally(panel) {
+  const recs = currentRecommendations(panel);
+  const counts = { members: panel.members.length, received: recs.length, approved: 0, rejected: 0, "revision-requested": 0 };
+  for (const r of recs) counts[r.recommendation] += 1;
+  return counts;
+}
+
+// not approved: revise unless most of the non-approving panelists reject
+const notApproved = (c) => (c.rejected > c["revision-requested"] ? "rejected" : "revision-requested");
+
+/**
+ * `{ decided, outcome, counts }` for the current round. Approval is decided
+ * as soon as it is certain; otherwise the panel waits for everyone (the
+ * chair rule waits only for the chair).
+ */
+function consensus(panel) {
+  const counts = tally(panel);
+  const remaining = counts.members - counts.received;
+  const pending = { decided: false, outcome: null, counts };
+  const type = panel.rule?.type || DEFAULT_RULE;
+
+  if (type === "chair") {
+    const chair = panel.members.find(m => m.role === "chair");
+    const rec = currentRecommendations(panel).find(r => norm(r.email) === norm(chair?.email));
+    return rec ? { decided: true, outcome: rec.recommendation, counts } : pending;
+  }
+
+  const needed =
+    type === "unanimous" ? counts.members
+    : type === "threshold" ? panel.rule.threshold
+    : Math.floor(counts.members / 2) + 1;
+
+  if (counts.approved >= needed) return { decided: true, outcome: "approved", counts };
+  if (remaining) return pending;
+
+  // everyone is in: majority also decides on a majority for one of the other options
+  if (type === "majority") {
+    for (const o of ["rejected", "revision-requested"]) {
+      if (counts[o] >= needed) return { decided: true, outcome: o, counts };
+    }
+  }
+  return { decided: true, outcome: notApproved(counts), counts };
+}
+
+/**
+ * The panel's comment and requested changes for the decision: the
+ * recommendations' comments labelled by role, and the changes asked for by
+ * panelists who did not approve (their comments when none were itemized).
+ */
+function aggregate(panel) {
+  const recs = currentRecommendations(panel);
+  const comment = recs
+    .filter(r => r.comment)
+    .map(r => `${ROLE_LABELS[r.role] || "Panelist"} (${r.recommendation}): ${r.comment}`)
+    .join("\n\n");
+
+  const against = recs.filter(r => r.recommendation !== "approved");
+  let items = [...new Set(against.flatMap(r => r.items || []))];
+  if (!items.length) items = against.map(r => r.comment).filter(Boolean);
+  if (!items.length) items = ["Address the review panel's comments"];
+  return { comment, items };
+}
+
+/* =============================
+   Output
+============================= */
+
+/**
+ * Panel as seen by `viewer`. Recommendations stay hidden from panelists
+ * until they have submitted their own (or the round is decided), so each
+ * one is independent; `full` (managers) sees everything.
+ */
+function toPublicPanel(panel, { viewer, full = false } = {}) {
+  if (!panel || !(panel.members || []).length) return null;
+  const recs = currentRecommendations(panel);
+  const mine = recs.find(r => norm(r.email) === norm(viewer)) || null;
+  const showAll = full || !!mine;
+
+  return {
+    members: panel.members.map(m => ({
+      email: m.email,
+      role: m.role,
+      roleLabel: ROLE_LABELS[m.role],
+      recommended: recs.some(r => norm(r.email) === norm(m.email)),
+    })),
+    rule: panel.rule,
+    round: panel.round,
+    counts: showAll ? tally(panel) : { members: panel.members.length, received: recs.length },
+    recommendations: showAll ? recs : [],
+    myRecommendation: mine,
+    myRole: panel.members.find(m => norm(m.email) === norm(viewer))?.role || null,
+    decisions: panel.decisions || [],
+    // earlier rounds are decided: their recommendations are no longer private
+    previous: (panel.recommendations || []).filter(r => r.round < panel.round),
+    assignedBy: panel.assignedBy,
+    assignedAt: panel.assignedAt,
+  };
+}
+
+module.exports = {
+  PANEL_ROLES,
+  ROLE_LABELS,
+  RECOMMENDATIONS,
+  RULES,
+  DEFAULT_RULE,
+  parseMembers,
+  parseRule,
+  hasPanel,
+  panelistOf,
+  currentRecommendations,
+  consensus,
+  aggregate,
+  toPublicPanel,
+};
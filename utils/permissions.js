@@ -0,0 +1,118 @@
+// utils/permissions.js
+const RolePermission = require("../models/RolePermission");
+
+/* =============================
+   Capability catalogue
+============================= */
+const CAPABILITIES = {
+  "repository.read":   "Browse and search the repository",
+  "research.submit":   "Submit and revise own research as a student",
+  "research.author":   "Deposit and manage own faculty research",
+  "research.review":   "Review advisee submissions",
+  "research.publish":  "Publish research (uploads, imports of faculty-approved finals)",
+  "research.manage":   "Edit, re-classify, change visibility of or delete any research",
+  "research.read.all": "Open any research file regardless of visibility",
+  "users.manage":      "Create, update and remove user accounts",
+  "users.invite":      "Invite outside examiners / collaborators as guests",
+  "users.impersonate": "View the app as another user (help desk)",
+  "roles.manage":      "Edit role → capability grants",
+  "security.manage":   "View and clear lockouts, reset second factors",
+  "ai.use":            "Use the AI summary and citation tools",
+  "scope.global":      "Act on every college (otherwise limited to assigned colleges)",
+  "colleges.manage":   "Maintain the college and department lists",
+  "integrations.manage": "Issue and revoke API keys for service integrations",
+  "consent.manage":    "Publish privacy notice / terms versions and export consent records",
+  "institutions.manage": "Maintain institutions (email domains, campus sharing, branding)",
+  "workflows.manage":  "Define the approval stages of college workflows",
+  "panels.manage":     "Assign review panels to student submissions",
+};
+
+const ALL = "*"; // grants every capability
+
+// Used for built-in roles until an admin saves an override
+const DEFAULT_GRANTS = {
+  student: ["repository.read", "research.submit", "ai.use"],
+  faculty: ["repository.read", "research.author", "research.review", "users.invite", "ai.use"],
+  staff:   ["repository.read", "research.publish", "research.manage", "research.read.all", "ai.use"],
+  "college-admin": [
+    "repository.read", "research.review", "research.publish",
+    "research.manage", "research.read.all", "workflows.manage", "panels.manage", "ai.use",
+  ],
+  // invited outsiders: browse only, never campus-visible records
+  guest:   ["repository.read"],
+  admin:   [ALL],
+};
+
+const BUILT_IN_ROLES = Object.keys(DEFAULT_GRANTS);
+
+/* =============================
+   Cached registry
+============================= */
+const CACHE_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+async function loadGrants() {
+  if (cache && Date.now() - cachedAt < CACHE_MS) return cache;
+
+  const rows = await RolePermission.find().lean();
+  const grants = {};
+  for (const role of BUILT_IN_ROLES) {
+    grants[role] = { role, label: "", capabilities: DEFAULT_GRANTS[role], builtIn: true };
+  }
+  for (const r of rows) {
+    grants[r.role] = {
+      role: r.role,
+      label: r.label || "",
+      capabilities: r.capabilities || [],
+      builtIn: BUILT_IN_ROLES.includes(r.role),
+    };
+  }
+
+  cache = grants;
+  cachedAt = Date.now();
+  return grants;
+}
+
+function invalidatePermissions() {
+  cache = null;
+}
+
+const expand = (caps = []) => (caps.includes(ALL) ? Object.keys(CAPABILITIES) : caps);
+
+/** Effective capability list for a role ([] for unknown roles). */
+async function capabilitiesFor(role) {
+  const grants = await loadGrants();
+  return expand(grants[String(role || "").toLowerCase()]?.capabilities);
+}
+
+async function listRoles() {
+  return Object.values(await loadGrants());
+}
+
+async function isKnownRole(role) {
+  const grants = await loadGrants();
+  return !!grants[String(role || "").toLowerCase()];
+}
+
+/**
+ * Sync check against the list `authorize()` puts on `req.user.permissions`.
+ * `caps` may be a string or an array (any-of).
+ */
+function can(user, caps) {
+  const list = Array.isArray(caps) ? caps : [caps];
+  const have = Array.isArray(user?.permissions) ? user.permissions : [];
+  return list.some(c => have.includes(c));
+}
+
+module.exports = {
+  ALL,
+  CAPABILITIES,
+  DEFAULT_GRANTS,
+  BUILT_IN_ROLES,
+  capabilitiesFor,
+  listRoles,
+  isKnownRole,
+  invalidatePermissions,
+  can,
+};
@@ -0,0 +1,229 @@
+// utils/personalData.js
+// Data-subject rights: a copy of everything stored about a user (export) and
+// anonymization on an approved erasure request. Published works stay in the
+// repository, attributed by the person's name instead of their email.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+
+const User = require("../models/User");
+const Research = require("../models/Research");
+const LoginEvent = require("../models/LoginEvent");
+const Session = require("../models/Session");
+const Passkey = require("../models/Passkey");
+const OneTimeCode = require("../models/OneTimeCode");
+const AuthThrottle = require("../models/AuthThrottle");
+const AuthChallenge = require("../models/AuthChallenge");
+const Invitation = require("../models/Invitation");
+const ConsentRecord = require("../models/ConsentRecord");
+const ErasureRequest = require("../models/ErasureRequest");
+const AuditLog = require("../models/AuditLog");
+const ResearchVersion = require("../models/ResearchVersion");
+const RevisionRequest = require("../models/RevisionRequest");
+const Workflow = require("../models/Workflow");
+const { renameResearchReferences } = require("./emailChange");
+const { recordAudit } = require("./audit");
+const { purgeVersions } = require("./versions");
+const { resolveAbsPathFromDB } = require("./storage");
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const emailMatch = (email) => new RegExp(`^\\s*${escapeRegex(email)}\\s*$`, "i");
+
+const ERASED_DOMAIN = "erased.invalid";
+const erasedEmail = (id) => `erased-${id}@${ERASED_DOMAIN}`;
+
+/* =============================
+   Export
+============================= */
+
+/**
+ * Collects the user's data. Returns `{ json: { "name.json": data, … }, files: [{ name, abs }] }`
+ * or null when the user doesn't exist.
+ */
+async function collectPersonalData(userId) {
+  const user = await User.findById(userId).lean(); // secrets are select:false
+  if (!user) return null;
+
+  const match = emailMatch(user.email);
+  const [own, advised, shared, logins, sessions, passkeys, consents, invitations, erasure] = await Promise.all([
+    Research.find({
+      $or: [{ uploadedBy: user._id }, { author: match }, { student: match }, { coAuthors: match }],
+    })
+      // panelists' recommendations on a round under review stay private (see toPublicPanel)
+      .select("+filePath -panel.recommendations")
+      .lean(),
+    Research.find({ adviser: match }).select("title status facultyComment submissionType updatedAt").lean(),
+    Research.find({ allowedViewers: match }).select("title visibility").lean(),
+    LoginEvent.find({ $or: [{ user: user._id }, { email: user.email }] }).sort({ createdAt: -1 }).lean(),
+    Session.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Passkey.find({ user: user._id }).lean(),
+    ConsentRecord.find({ user: user._id }).sort({ acceptedAt: -1 }).lean(),
+    Invitation.find({ $or: [{ invitedBy: user._id }, { email: user.email }] }).lean(),
+    ErasureRequest.find({ user: user._id }).lean(),
+  ]);
+
+  const files = own
+    .filter(r => r.filePath && String(r.uploadedBy) === String(user._id))
+    .map(r => ({ name: `files/${r._id}-${path.basename(r.fileName || r.filePath)}`, abs: resolveAbsPathFromDB(r.filePath) }))
+    .filter(f => f.abs && fs.existsSync(f.abs));
+
+  const withoutPath = ({ filePath, ...rest }) => rest;
+
+  return {
+    json: {
+      "profile.json": user,
+      "research.json": own.map(withoutPath),
+      "reviews-given.json": advised,
+      "shared-with-me.json": shared,
+      "login-history.json": logins,
+      "sessions.json": sessions,
+      "passkeys.json": passkeys,
+      "consents.json": consents,
+      "invitations.json": invitations,
+      "erasure-requests.json": erasure,
+    },
+    files,
+  };
+}
+
+/* =============================
+   Erasure
+============================= */
+
+/**
+ * Review duties that would stall without this person — transfer these first
+ * (admin → /users/:id/transfer): pending advisees, sign-offs in running
+ * workflows, seats on open review panels and approver slots in college
+ * workflow definitions. Returns the counts and their `total`.
+ */
+async function pendingReviewDuties(email) {
+  const match = emailMatch(email);
+  const [advisees, approvals, panels, workflows] = await Promise.all([
+    Research.countDocuments({ adviser: match, status: "pending" }),
+    Research.countDocuments({
+      "workflow.state": "in-progress",
+      "workflow.stages": { $elemMatch: { approvers: match, state: { $in: ["waiting", "active"] } } },
+    }),
+    Research.countDocuments({ "panel.members.email": match, status: { $nin: ["approved", "rejected"] } }),
+    Workflow.countDocuments({ "stages.approvers": match }),
+  ]);
+  return { advisees, approvals, panels, workflows, total: advisees + approvals + panels + workflows };
+}
+
+/**
+ * Anonymizes `userId` in one transaction: profile scrubbed, sign-in data and
+ * unpublished uploads removed, email references on kept research replaced by
+ * the person's name. Files of removed uploads are deleted afterwards.
+ * Returns the per-collection counts.
+ */
+async function eraseUser(req, userId, { requestId = null } = {}) {
+  const session = await mongoose.startSession();
+  let result;
+  let filesToRemove = [];
+
+  try {
+    await session.withTransaction(async () => {
+      const user = await User.findById(userId).select("email firstName lastName erasedAt").session(session);
+      if (!user) throw new Error("User not found");
+      if (user.erasedAt) throw new Error("User already erased");
+
+      const email = user.email;
+      const name = `${user.firstName} ${user.lastName}`.trim() || "Former member";
+      const anon = erasedEmail(user._id);
+      const counts = {};
+
+      // 1) access lists: just drop the address
+      const pulled = await Research.updateMany(
+        { allowedViewers: emailMatch(email) },
+        { $pull: { allowedViewers: { $regex: emailMatch(email) } } },
+        { session }
+      );
+      counts.allowedViewers = pulled.modifiedCount || 0;
+
+      // 2) never-published uploads go (with their files)
+      const unpublished = await Research.find({ uploadedBy: user._id, status: { $ne: "approved" } })
+        .select("+filePath")
+        .session(session)
+        .lean();
+      filesToRemove = unpublished.map(r => r.filePath).filter(Boolean);
+      for (const r of unpublished) {
+        filesToRemove.push(...(await purgeVersions(r._id, { keep: r.filePath, session })));
+      }
+      const removed = await Research.deleteMany({ _id: { $in: unpublished.map(r => r._id) } }, { session });
+      counts.unpublishedResearch = removed.deletedCount || 0;
+
+      // 3) everything kept is attributed by name
+      counts.research = await renameResearchReferences(email, name, { session });
+
+      // 4) sign-in data
+      const del = async (Model, filter) => (await Model.deleteMany(filter, { session })).deletedCount || 0;
+      counts.sessions = await del(Session, { user: user._id });
+      counts.passkeys = await del(Passkey, { user: user._id });
+      counts.loginEvents = await del(LoginEvent, { $or: [{ user: user._id }, { email }] });
+      counts.codes = await del(OneTimeCode, { user: user._id });
+      counts.throttles = await del(AuthThrottle, { kind: "account", subject: email });
+      counts.challenges = await del(AuthChallenge, { user: user._id });
+      counts.invitations = await del(Invitation, { $or: [{ email }, { acceptedUser: user._id }] });
+
+      // 5) evidence we must keep loses the address
+      await ConsentRecord.updateMany({ user: user._id }, { $set: { email: anon } }, { session });
+      await ErasureRequest.updateMany({ user: user._id }, { $set: { email: anon } }, { session });
+      await AuditLog.updateMany({ actor: user._id }, { $set: { actorEmail: anon } }, { session });
+      await ResearchVersion.updateMany({ "by.user": user._id }, { $set: { "by.email": anon } }, { session });
+      await RevisionRequest.updateMany({ "requestedBy.user": user._id }, { $set: { "requestedBy.email": anon } }, { session });
+
+      // 6) the profile itself (validators skipped: the address is deliberately not a campus one)
+      const now = new Date();
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            firstName: "Erased",
+            lastName: "User",
+            email: anon,
+            phone: "",
+            affiliation: "",
+            pinHash: await bcrypt.hash(crypto.randomBytes(24).toString("hex"), 10),
+            verified: false,
+            lastVerifiedAt: null,
+            totp: { enabled: false, enrolledAt: null, recoveryCodes: [] },
+            sso: { issuer: "", subject: "", linkedAt: null, lastLoginAt: null },
+            status: "deactivated",
+            statusReason: "Erased on request",
+            statusChangedAt: now,
+            statusChangedBy: req.user?.id || null,
+            erasedAt: now,
+          },
+          $push: {
+            statusHistory: { status: "deactivated", reason: "Erased on request", at: now, by: req.user?.id || null },
+          },
+        },
+        { session }
+      );
+
+      await recordAudit(
+        req,
+        { action: "user.erase", targetType: "User", targetId: user._id, details: { request: requestId, counts } },
+        { session }
+      );
+
+      result = counts;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const stored of filesToRemove) {
+    const abs = resolveAbsPathFromDB(stored);
+    if (!abs) continue;
+    await fs.promises.unlink(abs).catch(err => {
+      if (err.code !== "ENOENT") console.error("❌ Erased upload not removed:", abs, err.message);
+    });
+  }
+
+  return result;
+}
+
+module.exports = { collectPersonalData, pendingReviewDuties, eraseUser, ERASED_DOMAIN };
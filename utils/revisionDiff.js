@@ -0,0 +1,394 @@
+// utils/revisionDiff.js
+// Text comparison between stored versions of a submission. Page text is
+// extracted with pdf-parse once per file and cached on the version; the diff
+// splits pages into paragraphs, aligns pages (or headed sections) and reports
+// added / removed / changed paragraphs with a summary.
+const fs = require("fs");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const ResearchVersion = require("../models/ResearchVersion");
+const { resolveAbsPathFromDB } = require("./storage");
+
+const MAX_LCS_CELLS = 250 * 1000;  // paragraph / word alignment budget per unit
+const MAX_WORD_DIFF = 400;         // words per paragraph for an inline word diff
+const FLAG_RATIO = 0.3;            // a unit this changed is always flagged
+const TOP_UNITS = 5;
+
+/* =============================
+   Extraction (cached per file)
+============================= */
+
+// same line joining as pdf-parse's default renderer, kept per page
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then((content) => {
+    let lastY;
+    let text = "";
+    for (const item of content.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+}
+
+async function extractPages(buffer) {
+  const pages = [];
+  const { numpages } = await pdfParse(buffer, {
+    pagerender: (pageData) =>
+      renderPage(pageData).then((text) => {
+        pages[pageData.pageIndex] = text;
+        return text;
+      }),
+  });
+  return Array.from({ length: numpages }, (_, i) => pages[i] || "");
+}
+
+const isPdf = (file) =>
+  /pdf/i.test(file?.type || "") || path.extname(file?.name || file?.path || "").toLowerCase() === ".pdf";
+
+/**
+ * Page texts of a version's file: `{ pages }` or `{ error }`. Extracted once
+ * and stored on every version sharing that file.
+ */
+async function versionText(version) {
+  const filePath = version.file?.path;
+  if (!filePath) return { error: "This version has no file" };
+
+  const cached = await ResearchVersion.findOne({
+    research: version.research,
+    "file.path": filePath,
+    "text.extractedAt": { $ne: null },
+  })
+    .select("+text.pages text")
+    .lean();
+  if (cached) return cached.text.error ? { error: cached.text.error } : { pages: cached.text.pages || [] };
+
+  let text;
+  if (!isPdf(version.file)) {
+    text = { error: "Text comparison is available for PDF files only" };
+  } else {
+    try {
+      const abs = resolveAbsPathFromDB(filePath);
+      const pages = await extractPages(await fs.promises.readFile(abs));
+      text = { pages, pageCount: pages.length };
+    } catch (err) {
+      console.error("❌ Text extraction failed:", { research: String(version.research), err: err.message });
+      text = { error: err.code === "ENOENT" ? "File not found on disk" : "Could not read text from this PDF" };
+    }
+  }
+
+  await ResearchVersion.updateMany(
+    { research: version.research, "file.path": filePath },
+    { $set: { text: { pages: text.pages, pageCount: text.pageCount ?? null, extractedAt: new Date(), error: text.error || "" } } }
+  );
+  return text.error ? { error: text.error } : { pages: text.pages };
+}
+
+/* =============================
+   Paragraphs, headings, sections
+============================= */
+const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+const norm = (s) => clean(s).toLowerCase();
+const words = (s) => clean(s).split(" ").filter(Boolean);
+
+const isPageNumber = (line) => /^(page\s+)?[0-9ivxlc]+(\s+of\s+\d+)?$/i.test(line);
+
+function isHeading(line) {
+  if (line.length > 80 || /[.,;]$/.test(line)) return false;
+  if (/^(chapter|appendix|part)\b/i.test(line)) return true;
+  if (/^\d+(\.\d+)*\.?\s+[A-Z]/.test(line) && words(line).length <= 12) return true;
+  const letters = line.replace(/[^A-Za-z]/g, "");
+  return letters.length >= 4 && letters === letters.toUpperCase() && words(line).length <= 10;
+}
+
+/** `[{ text, heading }]` for one page: lines joined until a sentence ends on a short line. */
+function paragraphsOf(pageText) {
+  const lines = String(pageText || "").split("\n").map(clean).filter((l) => l && !isPageNumber(l));
+  // a full line is about as long as most of the longer ones
+  const lengths = lines.map((l) => l.length).sort((a, b) => a - b);
+  const width = lengths[Math.floor(lengths.length * 0.8)] || 0;
+
+  const out = [];
+  let cur = "";
+  const flush = () => {
+    if (cur) out.push({ text: cur, heading: false });
+    cur = "";
+  };
+
+  for (const line of lines) {
+    if (isHeading(line)) {
+      flush();
+      out.push({ text: line, heading: true });
+      continue;
+    }
+    // re-join words hyphenated across lines
+    cur = !cur ? line : /[a-z]-$/.test(cur) && /^[a-z]/.test(line) ? cur.slice(0, -1) + line : `${cur} ${line}`;
+    if (/[.!?:]["')\]]?$/.test(line) && line.length < width * 0.85) flush();
+  }
+  flush();
+  return out;
+}
+
+const sectionKey = (heading) => norm(heading).replace(/^(chapter|appendix|part)?\s*[0-9ivxlc]+(\.\d+)*\.?\s*/i, "") || norm(heading);
+
+/** Units to compare: one per page, or one per heading (with the page it starts on). */
+function unitsOf(pages, by) {
+  if (by === "page") {
+    return pages.map((p, i) => ({
+      key: String(i + 1),
+      label: `Page ${i + 1}`,
+      page: i + 1,
+      paragraphs: paragraphsOf(p).map((x) => x.text),
+    }));
+  }
+
+  const units = [];
+  let cur = { key: "", label: "Front matter", page: 1, paragraphs: [] };
+  pages.forEach((p, i) => {
+    for (const para of paragraphsOf(p)) {
+      if (para.heading) {
+        if (cur.paragraphs.length || cur.key) units.push(cur);
+        cur = { key: sectionKey(para.text), label: para.text, page: i + 1, paragraphs: [] };
+      } else {
+        cur.paragraphs.push(para.text);
+      }
+    }
+  });
+  if (cur.paragraphs.length || cur.key) units.push(cur);
+
+  // repeated headings (e.g. running titles) get distinct keys
+  const seen = new Map();
+  for (const u of units) {
+    const n = (seen.get(u.key) || 0) + 1;
+    seen.set(u.key, n);
+    if (n > 1) u.key = `${u.key}#${n}`;
+  }
+  return units;
+}
+
+/* =============================
+   Alignment
+============================= */
+
+/** LCS alignment of two key lists → [{ op: "=", a, b } | { op: "-", a } | { op: "+", b }] */
+function align(aKeys, bKeys) {
+  const n = aKeys.length;
+  const m = bKeys.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) return alignBySet(aKeys, bKeys);
+
+  const w = m + 1;
+  const dp = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i * w + j] = aKeys[i] === bKeys[j]
+        ? dp[(i + 1) * w + j + 1] + 1
+        : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (aKeys[i] === bKeys[j]) ops.push({ op: "=", a: i++, b: j++ });
+    else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) ops.push({ op: "-", a: i++ });
+    else ops.push({ op: "+", b: j++ });
+  }
+  while (i < n) ops.push({ op: "-", a: i++ });
+  while (j < m) ops.push({ op: "+", b: j++ });
+  return ops;
+}
+
+// very long units: anything present on both sides counts as kept
+function alignBySet(aKeys, bKeys) {
+  const inB = new Set(bKeys);
+  const inA = new Set(aKeys);
+  return [
+    ...aKeys.map((k, a) => (inB.has(k) ? { op: "=", a, b: bKeys.indexOf(k) } : { op: "-", a })),
+    ...bKeys.map((k, b) => (inA.has(k) ? null : { op: "+", b })).filter(Boolean),
+  ];
+}
+
+// Dice coefficient on word multisets
+function similarity(a, b) {
+  const count = (s) => words(norm(s)).reduce((m, w) => m.set(w, (m.get(w) || 0) + 1), new Map());
+  const ca = count(a);
+  const cb = count(b);
+  let shared = 0;
+  let total = 0;
+  for (const [w, n] of ca) { shared += Math.min(n, cb.get(w) || 0); total += n; }
+  for (const n of cb.values()) total += n;
+  return total ? (2 * shared) / total : 1;
+}
+
+function wordDiff(before, after) {
+  const a = words(before);
+  const b = words(after);
+  if (a.length > MAX_WORD_DIFF || b.length > MAX_WORD_DIFF) return null;
+
+  const parts = [];
+  for (const o of align(a.map((x) => x.toLowerCase()), b.map((x) => x.toLowerCase()))) {
+    const text = o.op === "+" ? b[o.b] : a[o.a];
+    const last = parts[parts.length - 1];
+    if (last && last.op === o.op) last.text += ` ${text}`;
+    else parts.push({ op: o.op, text });
+  }
+  return parts;
+}
+
+/* =============================
+   Diff
+============================= */
+const PAIR_SIMILARITY = 0.5;
+
+function diffUnit(before, after) {
+  const a = before?.paragraphs || [];
+  const b = after?.paragraphs || [];
+  const result = { added: [], removed: [], changed: [] };
+  let unchanged = 0;
+
+  // between kept paragraphs, pair removed and added ones that are mostly the same text
+  let removedRun = [];
+  let addedRun = [];
+  const settle = () => {
+    for (const r of removedRun) {
+      let best = -1;
+      let bestScore = PAIR_SIMILARITY;
+      addedRun.forEach((x, k) => {
+        if (x == null) return;
+        const score = similarity(r, x);
+        if (score >= bestScore) { best = k; bestScore = score; }
+      });
+      if (best >= 0) {
+        result.changed.push({ before: r, after: addedRun[best], similarity: Math.round(bestScore * 100) / 100, words: wordDiff(r, addedRun[best]) });
+        addedRun[best] = null;
+      } else {
+        result.removed.push(r);
+      }
+    }
+    result.added.push(...addedRun.filter((x) => x != null));
+    removedRun = [];
+    addedRun = [];
+  };
+
+  for (const o of align(a.map(norm), b.map(norm))) {
+    if (o.op === "=") { settle(); unchanged++; }
+    else if (o.op === "-") removedRun.push(a[o.a]);
+    else addedRun.push(b[o.b]);
+  }
+  settle();
+
+  let wordsAdded = result.added.reduce((n, p) => n + words(p).length, 0);
+  let wordsRemoved = result.removed.reduce((n, p) => n + words(p).length, 0);
+  for (const c of result.changed) {
+    if (c.words) {
+      for (const part of c.words) {
+        if (part.op === "+") wordsAdded += words(part.text).length;
+        if (part.op === "-") wordsRemoved += words(part.text).length;
+      }
+    } else {
+      wordsAdded += words(c.after).length;
+      wordsRemoved += words(c.before).length;
+    }
+  }
+  const total = [...a, ...b].reduce((n, p) => n + words(p).length, 0);
+
+  return {
+    ...result,
+    stats: {
+      paragraphs: { added: result.added.length, removed: result.removed.length, changed: result.changed.length, unchanged },
+      wordsAdded,
+      wordsRemoved,
+      changeRatio: total ? Math.round(((wordsAdded + wordsRemoved) / total) * 1000) / 1000 : 0,
+    },
+  };
+}
+
+const pct = (r) => `${Math.round(r * 100)}%`;
+
+/**
+ * Compares two page-text arrays. `by` is "section" (default) or "page".
+ * Returns `{ by, units, summary }`; unchanged units are counted, not listed.
+ */
+function diffTexts(fromPages, toPages, { by = "section" } = {}) {
+  const unitsA = unitsOf(fromPages, by);
+  const unitsB = unitsOf(toPages, by);
+  const ops = by === "page"
+    ? Array.from({ length: Math.max(unitsA.length, unitsB.length) }, (_, i) =>
+        i < unitsA.length && i < unitsB.length ? { op: "=", a: i, b: i } : i < unitsA.length ? { op: "-", a: i } : { op: "+", b: i })
+    : align(unitsA.map((u) => u.key), unitsB.map((u) => u.key));
+
+  const units = [];
+  const counts = { compared: 0, added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const totals = { added: 0, removed: 0, changed: 0, wordsAdded: 0, wordsRemoved: 0 };
+
+  for (const o of ops) {
+    const before = o.a != null ? unitsA[o.a] : null;
+    const after = o.b != null ? unitsB[o.b] : null;
+    const d = diffUnit(before, after);
+    const p = d.stats.paragraphs;
+    const status = !before ? "added" : !after ? "removed" : p.added || p.removed || p.changed ? "modified" : "unchanged";
+
+    counts.compared++;
+    counts[status]++;
+    totals.added += p.added;
+    totals.removed += p.removed;
+    totals.changed += p.changed;
+    totals.wordsAdded += d.stats.wordsAdded;
+    totals.wordsRemoved += d.stats.wordsRemoved;
+    if (status === "unchanged") continue;
+
+    const ref = after || before;
+    units.push({
+      unit: ref.label,
+      page: ref.page,
+      fromPage: before?.page ?? null,
+      status,
+      added: d.added,
+      removed: d.removed,
+      changed: d.changed,
+      stats: d.stats,
+    });
+  }
+
+  const mostChanged = [...units]
+    .filter((u) => u.stats.wordsAdded + u.stats.wordsRemoved > 0)
+    .sort((x, y) => y.stats.changeRatio - x.stats.changeRatio)
+    .slice(0, TOP_UNITS)
+    .map((u) => ({ unit: u.unit, page: u.page, status: u.status, changeRatio: u.stats.changeRatio }));
+
+  const what = by === "page" ? "page" : "section";
+  const text = counts.compared === counts.unchanged
+    ? "No text changes."
+    : `${counts.modified + counts.added + counts.removed} of ${counts.compared} ${what}s changed` +
+      ` (${counts.added} added, ${counts.removed} removed); ` +
+      `${totals.added} paragraph(s) added, ${totals.removed} removed, ${totals.changed} revised ` +
+      `(+${totals.wordsAdded} / −${totals.wordsRemoved} words).` +
+      (mostChanged.length ? ` Most changed: ${mostChanged.slice(0, 3).map((u) => `${u.unit} (${pct(u.changeRatio)})`).join(", ")}.` : "");
+
+  return {
+    by,
+    units,
+    summary: {
+      pages: { from: fromPages.length, to: toPages.length },
+      units: counts,
+      paragraphs: { added: totals.added, removed: totals.removed, changed: totals.changed },
+      wordsAdded: totals.wordsAdded,
+      wordsRemoved: totals.wordsRemoved,
+      mostChanged,
+      text,
+    },
+  };
+}
+
+/** Units to draw the reviewer's eye to: anything past FLAG_RATIO, else the top few that changed at all. */
+function flagUnits(diff) {
+  const ranked = diff.summary.mostChanged;
+  const over = ranked.filter((u) => u.changeRatio >= FLAG_RATIO);
+  return (over.length ? over : ranked.filter((u) => u.changeRatio > 0).slice(0, 3)).map((u) => ({
+    ...u,
+    reason: u.status === "added" ? "new" : u.status === "removed" ? "removed" : `${pct(u.changeRatio)} of its text changed`,
+  }));
+}
+
+module.exports = { versionText, diffTexts, flagUnits, paragraphsOf };
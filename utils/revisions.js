@@ -0,0 +1,156 @@
+// utils/revisions.js
+// "Needs revision" requests in the review workflow (models/RevisionRequest.js).
+// The reviewer opens one with itemized changes and a due date, the student
+// resubmits against it, and the next review decision closes it.
+const RevisionRequest = require("../models/RevisionRequest");
+const { escapeHtml } = require("./mailer");
+
+const REVISION_DUE_DAYS = Number(process.env.REVISION_DUE_DAYS || 14);
+const MAX_ITEMS = 50;
+const ITEM_STATUSES = ["open", "addressed", "unaddressed"];
+
+/* =============================
+   Input parsing
+============================= */
+
+/** Requested changes from an array or one-per-line text. */
+function parseItems(input) {
+  const list = Array.isArray(input)
+    ? input.map(x => (typeof x === "object" && x ? x.text : x))
+    : String(input || "").split(/\r?\n/);
+  const items = list.map(s => String(s || "").replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim()).filter(Boolean);
+  if (!items.length) return { error: "List at least one requested change" };
+  if (items.length > MAX_ITEMS) return { error: `At most ${MAX_ITEMS} requested changes` };
+  return { items };
+}
+
+/** Due date from the body, or REVISION_DUE_DAYS from now. */
+function parseDueAt(input) {
+  if (input === undefined || input === null || input === "") {
+    return { date: new Date(Date.now() + REVISION_DUE_DAYS * 24 * 60 * 60 * 1000) };
+  }
+  const date = new Date(input);
+  if (Number.isNaN(date.getTime())) return { error: "dueAt must be a valid date" };
+  if (date.getTime() <= Date.now()) return { error: "dueAt must be in the future" };
+  return { date };
+}
+
+/**
+ * Applies `[{ id, status?, response?, note? }]` to a request's items. Students
+ * may set addressed / unaddressed with a response; reviewers may also reopen
+ * an item and leave a note. Returns `{ error }` for unknown ids or statuses.
+ */
+function applyItemUpdates(request, updates, { by }) {
+  if (!updates) return {};
+  if (!Array.isArray(updates)) return { error: "items must be a list of { id, status }" };
+
+  for (const u of updates) {
+    const item = request.items.id(String(u?.id || ""));
+    if (!item) return { error: `Unknown requested change: ${u?.id}` };
+
+    if (u.status !== undefined) {
+      const allowed = by === "reviewer" ? ITEM_STATUSES : ["addressed", "unaddressed"];
+      if (!allowed.includes(u.status)) return { error: `Invalid status for a requested change: ${u.status}` };
+      item.status = u.status;
+    }
+    if (by === "student" && u.response !== undefined) item.response = String(u.response || "").slice(0, 2000);
+    if (by === "reviewer" && u.note !== undefined) item.reviewerNote = String(u.note || "").slice(0, 2000);
+    item.updatedAt = new Date();
+  }
+  return {};
+}
+
+/* =============================
+   Lifecycle
+============================= */
+const activeRequest = (researchId) => RevisionRequest.findOne({ research: researchId, active: true });
+
+/** Closes the active request (if any) with the review `outcome`. Returns it. */
+async function closeActiveRequest(req, researchId, outcome, { itemUpdates } = {}) {
+  const request = await activeRequest(researchId);
+  if (!request) return { request: null };
+
+  const applied = applyItemUpdates(request, itemUpdates, { by: "reviewer" });
+  if (applied.error) return applied;
+
+  // anything the student never answered counts as not addressed
+  for (const item of request.items) if (item.status === "open") item.status = "unaddressed";
+  request.status = "closed";
+  request.active = false;
+  request.outcome = outcome;
+  request.closedAt = new Date();
+  request.closedBy = req.user?.id || null;
+  await request.save();
+  return { request };
+}
+
+/** Opens the next round on `research` (the active one must be closed first). */
+async function openRequest(req, research, { items, dueAt, comment, reviewedVersion }) {
+  const last = await RevisionRequest.findOne({ research: research._id }).sort({ round: -1 }).select("round").lean();
+  return RevisionRequest.create({
+    research: research._id,
+    round: (last?.round || 0) + 1,
+    requestedBy: { user: req.user?.id || null, email: req.user?.email || "" },
+    comment: String(comment || "").trim(),
+    items: items.map(text => ({ text })),
+    dueAt,
+    reviewedVersion: reviewedVersion ?? null,
+  });
+}
+
+/* =============================
+   Output
+============================= */
+function itemCounts(items = []) {
+  const counts = { total: items.length, open: 0, addressed: 0, unaddressed: 0 };
+  for (const i of items) counts[i.status] = (counts[i.status] || 0) + 1;
+  return counts;
+}
+
+/** Numbered list of the requested changes for notification emails. */
+function itemsHtml(items = [], { withStatus = false } = {}) {
+  const li = items.map(i => {
+    const status = withStatus ? ` <i>(${escapeHtml(i.status)})</i>` : "";
+    const response = withStatus && i.response ? `<br/><small>${escapeHtml(i.response)}</small>` : "";
+    return `<li>${escapeHtml(i.text)}${status}${response}</li>`;
+  });
+  return `<ol>${li.join("")}</ol>`;
+}
+
+const toPublicRequest = (r) => ({
+  id: r._id,
+  research: r.research,
+  round: r.round,
+  requestedBy: r.requestedBy,
+  comment: r.comment,
+  items: (r.items || []).map(i => ({
+    id: i._id,
+    text: i.text,
+    status: i.status,
+    response: i.response,
+    reviewerNote: i.reviewerNote,
+    updatedAt: i.updatedAt,
+  })),
+  counts: itemCounts(r.items),
+  dueAt: r.dueAt,
+  overdue: r.status === "open" && new Date(r.dueAt).getTime() < Date.now(),
+  reviewedVersion: r.reviewedVersion,
+  status: r.status,
+  resubmission: r.resubmission?.at ? r.resubmission : null,
+  outcome: r.outcome,
+  closedAt: r.closedAt,
+  createdAt: r.createdAt,
+});
+
+module.exports = {
+  REVISION_DUE_DAYS,
+  parseItems,
+  parseDueAt,
+  applyItemUpdates,
+  activeRequest,
+  closeActiveRequest,
+  openRequest,
+  itemCounts,
+  itemsHtml,
+  toPublicRequest,
+};
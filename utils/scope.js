@@ -0,0 +1,92 @@
+// utils/scope.js
+// College scoping for staff, reviewers and college admins.
+//  - users with the `scope.global` capability (admins) act on every college
+//  - everyone else is limited to `req.user.colleges` (their assigned colleges,
+//    falling back to their own `college`); an empty scope reaches nothing
+//  - either way they stay inside their own institution (tenant) unless they
+//    can `institutions.manage`
+const { can } = require("./permissions");
+const { DEFAULT_INSTITUTION_CODE, institutionMatch } = require("./institutions");
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+/** null = unrestricted, otherwise the list of colleges the user may act on. */
+function collegeScope(user) {
+  if (can(user, "scope.global")) return null;
+  return Array.isArray(user?.colleges) ? user.colleges : [];
+}
+
+/** null = every institution, otherwise the one institution the user acts on. */
+function institutionScope(user) {
+  if (can(user, "institutions.manage")) return null;
+  return String(user?.institution || DEFAULT_INSTITUTION_CODE).toUpperCase();
+}
+
+// records (and colleges) from before tenancy belong to the default institution
+function inInstitutionScope(user, record) {
+  const scope = institutionScope(user);
+  return !scope || String(record?.institution || DEFAULT_INSTITUTION_CODE).toUpperCase() === scope;
+}
+
+/**
+ * Mongo condition on `institution` and `college` for this user ({} when
+ * unrestricted). `includeUnassigned` also admits records with no college
+ * (used for reviews, where the named adviser relationship already limits
+ * what is returned).
+ */
+function collegeFilter(user, { includeUnassigned = false } = {}) {
+  const filter = {};
+  const institution = institutionScope(user);
+  if (institution) filter.institution = institutionMatch([institution]);
+
+  const scope = collegeScope(user);
+  if (!scope) return filter;
+  const list = scope.map(c => new RegExp(`^${escapeRegex(String(c).trim())}$`, "i"));
+  if (includeUnassigned) list.push("");
+  filter.college = { $in: list };
+  return filter;
+}
+
+/** AND-s the scope onto an existing filter without clobbering its own `college` / `institution` keys. */
+function withCollegeScope(filter, user, opts) {
+  const scoped = collegeFilter(user, opts);
+  if (!Object.keys(scoped).length) return filter;
+  return Object.keys(filter || {}).length ? { $and: [filter, scoped] } : scoped;
+}
+
+function inCollegeScope(user, college, { includeUnassigned = false } = {}) {
+  const scope = collegeScope(user);
+  if (!scope) return true;
+  if (!norm(college)) return includeUnassigned;
+  return scope.some(c => norm(c) === norm(college));
+}
+
+/**
+ * Picks the college for a record being written by `user`.
+ * Returns `{ college }` or `{ error }` when the requested one is out of scope.
+ * Scoped users with a single college get it by default.
+ */
+function resolveWriteCollege(user, requested) {
+  const want = String(requested || "").trim();
+  const scope = collegeScope(user);
+
+  if (!scope) return { college: want };
+  if (want) {
+    return inCollegeScope(user, want)
+      ? { college: scope.find(c => norm(c) === norm(want)) || want }
+      : { error: "College is outside your assigned scope" };
+  }
+  if (scope.length === 1) return { college: scope[0] };
+  return { error: "College is required" };
+}
+
+module.exports = {
+  collegeScope,
+  institutionScope,
+  inInstitutionScope,
+  collegeFilter,
+  withCollegeScope,
+  inCollegeScope,
+  resolveWriteCollege,
+};
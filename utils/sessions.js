@@ -0,0 +1,243 @@
+// utils/sessions.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { institutionForEmailSync } = require("./institutions");
+
+const JWT_ISSUER = "repo-api";
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const IMPERSONATION_TTL_SECONDS = Number(process.env.IMPERSONATION_TTL_SECONDS || 30 * 60);
+
+/* =============================
+   Helpers
+============================= */
+function getAffiliation(email = "") {
+  // ✅ a member domain names its institution; anyone else is external
+  const inst = institutionForEmailSync(email);
+  return inst ? inst.shortName || inst.code : "external";
+}
+
+/** Why this account can't be used right now (sign-in or API), or null. */
+function accountBlockReason(user) {
+  if (user?.status === "suspended") return "This account is suspended";
+  if (user?.status === "deactivated") return "This account has been deactivated";
+  if (user?.accountExpiresAt && new Date(user.accountExpiresAt).getTime() <= Date.now()) {
+    return "This guest account has expired";
+  }
+  return null;
+}
+
+const hashToken = (t) => crypto.createHash("sha256").update(String(t)).digest("hex");
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a || ""), "hex");
+  const bb = Buffer.from(String(b || ""), "hex");
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req?.get?.("user-agent") || "").slice(0, 300),
+    ip: String(req?.ip || ""),
+  };
+}
+
+/* =============================
+   Access token (short-lived JWT)
+============================= */
+function signAuthToken(user, session, { claims = {}, expiresIn = ACCESS_TOKEN_TTL_SECONDS } = {}) {
+  const affiliation = getAffiliation(user.email);
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      affiliation,
+      college: user.college || "",
+      sid: String(session._id),
+      ...claims,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn, issuer: JWT_ISSUER }
+  );
+}
+
+/* =============================
+   Second-factor ticket
+============================= */
+// Short-lived proof that the first sign-in step (PIN or single sign-on)
+// passed; required before a TOTP or recovery code is accepted (email codes
+// already imply it).
+const MFA_AUDIENCE = "repo-mfa";
+
+function signMfaTicket(user) {
+  return jwt.sign(
+    { sub: String(user._id), email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m", issuer: JWT_ISSUER, audience: MFA_AUDIENCE }
+  );
+}
+
+function mfaTicketMatches(ticket, user) {
+  try {
+    const p = jwt.verify(String(ticket || ""), process.env.JWT_SECRET, {
+      issuer: JWT_ISSUER,
+      audience: MFA_AUDIENCE,
+    });
+    return p.sub === String(user._id);
+  } catch {
+    return false;
+  }
+}
+
+/* =============================
+   Session lifecycle
+============================= */
+
+/**
+ * Opens a new session for `user` and returns the token pair.
+ * Refresh tokens look like `<sessionId>.<secret>`; only the secret's hash is stored.
+ */
+async function startSession(user, req) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...clientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    session,
+    token: signAuthToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new pair (rotation).
+ * Presenting the previous, already-rotated token revokes the session, since
+ * it means the token was copied; any other wrong secret is just refused (the
+ * session id alone is no secret). Returns null when the token is unusable.
+ */
+async function rotateSession(refreshToken, req, loadUser) {
+  const [sid, secret] = String(refreshToken || "").split(".");
+  if (!sid || !secret || !/^[a-f0-9]{24}$/i.test(sid)) return null;
+
+  const session = await Session.findById(sid).select("+refreshTokenHash +prevRefreshTokenHash");
+  if (!session || session.revokedAt || session.expiresAt.getTime() < Date.now()) return null;
+
+  const presented = hashToken(secret);
+  if (!safeEqualHex(session.refreshTokenHash, presented)) {
+    if (!safeEqualHex(session.prevRefreshTokenHash, presented)) return null;
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh-token-reuse";
+    await session.save();
+    console.warn("⚠️ Refresh token reuse detected; session revoked:", sid);
+    return null;
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) return null;
+
+  const nextSecret = crypto.randomBytes(32).toString("base64url");
+  session.prevRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextSecret);
+  session.lastUsedAt = new Date();
+  Object.assign(session, clientInfo(req));
+  await session.save();
+
+  return {
+    user,
+    session,
+    token: signAuthToken(user, session),
+    refreshToken: `${session._id}.${nextSecret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * "View as user": a short-lived, non-refreshable session for `target`.
+ * The token's `imp` claim names the real admin; authorize() exposes it as
+ * `req.user.impersonator` and blocks writes unless `allowWrites`.
+ */
+async function startImpersonation(admin, target, req, { reason = "", allowWrites = false } = {}) {
+  const session = await Session.create({
+    user: target._id,
+    // unusable refresh hash — impersonation can't be extended
+    refreshTokenHash: hashToken(crypto.randomBytes(32).toString("base64url")),
+    ...clientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000),
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+  });
+
+  const token = signAuthToken(target, session, {
+    expiresIn: IMPERSONATION_TTL_SECONDS,
+    claims: { imp: { by: String(admin._id), email: admin.email, writes: !!allowWrites } },
+  });
+
+  return { session, token, expiresIn: IMPERSONATION_TTL_SECONDS };
+}
+
+/** The `user` object returned by every sign-in route. */
+function sessionUserPayload(user, { token, refreshToken, expiresIn }) {
+  return {
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    college: user.college,
+    token,
+    refreshToken,
+    expiresIn,
+  };
+}
+
+async function revokeSession(sessionId, reason = "logout") {
+  if (!sessionId) return;
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/** Revokes every live session of a user, optionally keeping one (the caller's). */
+async function revokeAllSessions(userId, reason, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const r = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason || "revoked" },
+  });
+  return r.modifiedCount || 0;
+}
+
+async function isSessionActive(sid, userId) {
+  if (!sid) return false;
+  const s = await Session.findById(sid).select("user revokedAt expiresAt").lean();
+  return !!s &&
+    !s.revokedAt &&
+    s.expiresAt.getTime() > Date.now() &&
+    String(s.user) === String(userId);
+}
+
+module.exports = {
+  JWT_ISSUER,
+  getAffiliation,
+  accountBlockReason,
+  signAuthToken,
+  signMfaTicket,
+  mfaTicketMatches,
+  startSession,
+  rotateSession,
+  startImpersonation,
+  sessionUserPayload,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,140 @@
+// utils/sms.js
+// Text-message delivery behind one interface. Pick the provider with SMS_PROVIDER:
+//
+//   http     → POST to an SMS gateway (SMS_GATEWAY_URL, see httpGateway below)
+//   file     → append to SMS_OUTBOX_FILE (development: read codes from the file)
+//   console  → print to the server log (development)
+//
+// Unset means "console" outside production and disabled in production.
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const SMS_SENDER = process.env.SMS_SENDER || "RESEARCHREPO";
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || "63"; // PH
+
+/* =============================
+   Phone numbers
+============================= */
+
+/** E.164 ("+639171234567") from local or international input, or null when unusable. */
+function normalizePhone(input) {
+  let digits = String(input || "").trim();
+  const plus = digits.startsWith("+");
+  digits = digits.replace(/[^\d]/g, "");
+  if (!digits) return null;
+
+  if (!plus) {
+    if (digits.startsWith("0")) digits = DEFAULT_COUNTRY_CODE + digits.slice(1); // 0917… → 63917…
+    else if (digits.length === 10 && digits.startsWith("9")) digits = DEFAULT_COUNTRY_CODE + digits;
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+// "+63•••••••4567" — enough for the user to recognise their number
+const maskPhone = (e164) => {
+  const s = String(e164 || "");
+  return s.length > 7 ? `${s.slice(0, 3)}${"•".repeat(s.length - 7)}${s.slice(-4)}` : s;
+};
+
+/* =============================
+   Providers
+============================= */
+const parseJson = (raw, fallback) => {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.error("❌ Invalid JSON in SMS gateway config — using defaults");
+    return fallback;
+  }
+};
+
+/**
+ * Generic HTTP gateway. Field names and fixed extras are configurable so the
+ * same adapter fits most providers, e.g. for Semaphore:
+ *   SMS_GATEWAY_URL=https://api.semaphore.co/api/v4/messages
+ *   SMS_GATEWAY_FIELDS={"to":"number","message":"message","sender":"sendername"}
+ *   SMS_GATEWAY_EXTRA={"apikey":"…"}
+ * SMS_GATEWAY_TOKEN, when set, is sent as a Bearer token.
+ */
+const httpGateway = {
+  name: "http",
+  available: () => !!process.env.SMS_GATEWAY_URL,
+  async send(to, message) {
+    const fields = { to: "to", message: "message", sender: "sender", ...parseJson(process.env.SMS_GATEWAY_FIELDS, {}) };
+    const body = {
+      ...parseJson(process.env.SMS_GATEWAY_EXTRA, {}),
+      [fields.to]: to,
+      [fields.message]: message,
+      [fields.sender]: SMS_SENDER,
+    };
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.SMS_GATEWAY_TOKEN) headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+
+    const { status } = await axios.post(process.env.SMS_GATEWAY_URL, body, { headers, timeout: 10 * 1000 });
+    return { provider: "http", status };
+  },
+};
+
+const fileOutbox = {
+  name: "file",
+  available: () => true,
+  async send(to, message) {
+    const file = path.resolve(process.env.SMS_OUTBOX_FILE || "sms-outbox.log");
+    const line = JSON.stringify({ at: new Date().toISOString(), to, message });
+    await fs.promises.appendFile(file, `${line}\n`);
+    console.log(`📱 SMS to ${to} written to ${file}`);
+    return { provider: "file" };
+  },
+};
+
+const consoleOutbox = {
+  name: "console",
+  available: () => true,
+  async send(to, message) {
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { provider: "console" };
+  },
+};
+
+const PROVIDERS = { http: httpGateway, file: fileOutbox, console: consoleOutbox };
+
+function activeProvider() {
+  const name =
+    process.env.SMS_PROVIDER || (process.env.NODE_ENV === "production" ? "" : "console");
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  return provider && provider.available() ? provider : null;
+}
+
+const smsEnabled = () => !!activeProvider();
+
+/* =============================
+   Sending
+============================= */
+async function sendSms(to, message) {
+  const provider = activeProvider();
+  if (!provider) throw new Error("SMS is not configured");
+
+  try {
+    return await provider.send(to, message);
+  } catch (err) {
+    console.error(`❌ SMS via ${provider.name} failed:`, err.response?.data || err.message || err);
+    throw err;
+  }
+}
+
+const OTP_SMS_TEXT = {
+  login: "sign-in",
+  reset: "PIN reset",
+  "phone-verify": "phone verification",
+};
+
+async function sendOtpSms(to, code, purpose, { expiresInMinutes = 5 } = {}) {
+  const what = OTP_SMS_TEXT[purpose] || "verification";
+  return sendSms(
+    to,
+    `${code} is your Research Repository ${what} code. It expires in ${expiresInMinutes} min. Never share it.`
+  );
+}
+
+module.exports = { normalizePhone, maskPhone, smsEnabled, sendSms, sendOtpSms };
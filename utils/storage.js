@@ -0,0 +1,25 @@
+// utils/storage.js
+const fs = require("fs");
+const path = require("path");
+
+const UPLOAD_ROOT = path.resolve(path.join(__dirname, "..", "uploads"));
+const RESEARCH_DIR = path.join(UPLOAD_ROOT, "research");
+
+/** Absolute path for a Research `filePath` ("/uploads/research/x.pdf", legacy absolute paths, bare names). */
+function resolveAbsPathFromDB(storedPath) {
+  if (!storedPath) return null;
+  const p = String(storedPath).replace(/\\/g, "/");
+
+  if (p.startsWith("/uploads/")) return path.resolve(path.join(UPLOAD_ROOT, "..", `.${p}`));
+  if (p.startsWith("./") || p.startsWith("uploads/")) return path.resolve(path.join(UPLOAD_ROOT, "..", p));
+
+  if (path.isAbsolute(p)) {
+    if (fs.existsSync(p)) return p;
+    const rebased = path.join(RESEARCH_DIR, path.basename(p));
+    return fs.existsSync(rebased) ? rebased : p;
+  }
+
+  return path.join(RESEARCH_DIR, p);
+}
+
+module.exports = { UPLOAD_ROOT, RESEARCH_DIR, resolveAbsPathFromDB };
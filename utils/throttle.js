@@ -0,0 +1,90 @@
+// utils/throttle.js
+const AuthThrottle = require("../models/AuthThrottle");
+
+/**
+ * Attempts allowed before locking, then the lock doubles on every further
+ * failure (base, 2×base, 4×base …) up to the cap.
+ */
+const POLICY = {
+  account: { freeAttempts: 5,  baseLockMs: 60 * 1000, maxLockMs: 24 * 60 * 60 * 1000 },
+  ip:      { freeAttempts: 20, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 },
+};
+
+const QUIET_PERIOD_MS = 24 * 60 * 60 * 1000; // counters reset after a day without failures
+
+function keysFor(scope, { email, ip } = {}) {
+  const keys = [];
+  const e = String(email || "").toLowerCase().trim();
+  if (e) keys.push({ key: `${scope}:account:${e}`, scope, kind: "account", subject: e });
+  if (ip) keys.push({ key: `${scope}:ip:${ip}`, scope, kind: "ip", subject: String(ip) });
+  return keys;
+}
+
+const secondsUntil = (d) => Math.max(1, Math.ceil((new Date(d).getTime() - Date.now()) / 1000));
+
+/** Returns `{ locked, retryAfter }` for the account and/or IP in this scope. */
+async function checkLock(scope, who) {
+  const keys = keysFor(scope, who).map(k => k.key);
+  if (!keys.length) return { locked: false, retryAfter: 0 };
+
+  const rows = await AuthThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+    .select("lockedUntil")
+    .lean();
+
+  if (!rows.length) return { locked: false, retryAfter: 0 };
+  const latest = rows.reduce((m, r) => (r.lockedUntil > m ? r.lockedUntil : m), rows[0].lockedUntil);
+  return { locked: true, retryAfter: secondsUntil(latest), lockedUntil: latest };
+}
+
+/**
+ * Counts a failed guess. Returns the lock state and which kinds
+ * ("account" / "ip") were locked by this very failure.
+ */
+async function recordFailure(scope, who) {
+  const now = new Date();
+  const newlyLocked = [];
+  let lockedUntil = null;
+
+  for (const k of keysFor(scope, who)) {
+    const row = await AuthThrottle.findOneAndUpdate(
+      { key: k.key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + QUIET_PERIOD_MS) },
+        $setOnInsert: { scope: k.scope, kind: k.kind, subject: k.subject },
+      },
+      { upsert: true, new: true }
+    );
+
+    const policy = POLICY[k.kind];
+    const over = row.failures - policy.freeAttempts;
+    if (over < 0) continue;
+
+    const lockMs = Math.min(policy.baseLockMs * 2 ** over, policy.maxLockMs);
+    const until = new Date(now.getTime() + lockMs);
+    const wasLocked = row.lockedUntil && row.lockedUntil > now;
+
+    await AuthThrottle.updateOne(
+      { _id: row._id },
+      { $set: { lockedUntil: until, expiresAt: new Date(until.getTime() + QUIET_PERIOD_MS) } }
+    );
+
+    if (!wasLocked) newlyLocked.push(k.kind);
+    if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+  }
+
+  return {
+    locked: !!lockedUntil,
+    lockedUntil,
+    retryAfter: lockedUntil ? secondsUntil(lockedUntil) : 0,
+    newlyLocked,
+  };
+}
+
+/** A success clears the account counter; the IP counter is left to decay. */
+async function clearFailures(scope, { email } = {}) {
+  const [acct] = keysFor(scope, { email });
+  if (acct) await AuthThrottle.deleteOne({ key: acct.key });
+}
+
+module.exports = { POLICY, checkLock, recordFailure, clearFailures };
@@ -0,0 +1,129 @@
+// utils/totp.js
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 s steps) — what Google Authenticator,
+// Microsoft Authenticator, Aegis etc. expect by default.
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || "Research Repository";
+const ENC_KEY = crypto
+  .createHash("sha256")
+  .update(String(process.env.TOTP_ENC_KEY || process.env.JWT_SECRET || "change-me"))
+  .digest();
+
+/* -------------------- Base32 (RFC 4648, no padding) -------------------- */
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | B32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* -------------------- HOTP / TOTP -------------------- */
+function hotp(secretB32, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac("sha1", base32Decode(secretB32)).update(buf).digest();
+  const offset = h[h.length - 1] & 0x0f;
+  const bin = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(bin).padStart(DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Checks `token` against the current step ± `window` steps.
+ * Returns the matched step (store it to block replays) or null.
+ * Steps at or before `lastUsedStep` are refused.
+ */
+function verifyTotp(secretB32, token, { window = 1, lastUsedStep = 0 } = {}) {
+  const t = String(token || "").trim();
+  if (!/^\d{6}$/.test(t)) return null;
+
+  const now = currentStep();
+  for (let s = now - window; s <= now + window; s++) {
+    if (s <= lastUsedStep) continue;
+    const candidate = Buffer.from(hotp(secretB32, s));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(t))) return s;
+  }
+  return null;
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function otpauthUrl(secretB32, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secretB32,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* -------------------- Secret at rest (AES-256-GCM) -------------------- */
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENC_KEY, iv);
+  const enc = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored || "").split(".").map(p => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENC_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+/* -------------------- Recovery codes -------------------- */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHmac("sha256", ENC_KEY)
+    .update(String(code || "").toLowerCase().replace(/[^a-z2-7]/g, ""))
+    .digest("hex");
+
+/** Ten single-use codes like "k3mf-q7za"; returns `{ codes, hashes }`. */
+function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase().slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  generateSecret,
+  otpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
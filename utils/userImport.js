@@ -0,0 +1,183 @@
+// utils/userImport.js
+// Bulk provisioning from CSV (firstName, lastName, email, role, college[, department]).
+// planUserImport() validates every row without writing; commitUserImport()
+// creates the "ready" rows and emails each new user an initial PIN.
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const { parseCsvObjects } = require("./csv");
+const { resolveAffiliation } = require("./colleges");
+const { isKnownRole } = require("./permissions");
+const { sendWelcomeEmail } = require("./mailer");
+
+const MAX_ROWS = 2000;
+const EMAIL_CONCURRENCY = 5;
+
+// "First Name", "first_name", "FIRSTNAME" … → firstName
+const HEADERS = {
+  firstname: "firstName",
+  lastname: "lastName",
+  email: "email",
+  role: "role",
+  college: "college",
+  department: "department",
+};
+const REQUIRED = ["firstName", "lastName", "email"];
+const NOT_IMPORTABLE = ["admin", "guest"]; // promoted / invited separately
+
+const RESULT_COLUMNS = [
+  "line", "firstName", "lastName", "email", "role", "college", "department",
+  "status", "message", "emailed",
+];
+
+const normalizeHeader = (h) => HEADERS[String(h).toLowerCase().replace(/[^a-z]/g, "")] || h;
+
+const generatePin = () => String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+/**
+ * Validates the CSV. Returns `{ error }` for unusable input, otherwise
+ * `{ rows }` where each row has `line`, the cleaned fields, `status`
+ * ('ready' | 'invalid' | 'duplicate' | 'exists') and `message`.
+ */
+async function planUserImport(text) {
+  const { headers, rows } = parseCsvObjects(text, { normalize: normalizeHeader });
+
+  const missing = REQUIRED.filter(h => !headers.includes(h));
+  if (missing.length) return { error: `Missing column(s): ${missing.join(", ")}` };
+  if (!rows.length) return { error: "The CSV has no data rows" };
+  if (rows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} rows per import` };
+
+  const emails = rows.map(r => String(r.email || "").toLowerCase());
+  const existing = new Set(
+    (await User.find({ email: { $in: emails.filter(Boolean) } }).select("email").lean()).map(u => u.email)
+  );
+
+  const seen = new Set();
+  const out = [];
+
+  for (const [i, raw] of rows.entries()) {
+    const row = {
+      line: i + 2, // header is line 1
+      firstName: raw.firstName || "",
+      lastName: raw.lastName || "",
+      email: String(raw.email || "").toLowerCase(),
+      role: String(raw.role || "student").toLowerCase(),
+      college: raw.college || "",
+      department: raw.department || "",
+      status: "ready",
+      message: "",
+    };
+    out.push(row);
+
+    const empty = REQUIRED.filter(k => !row[k]);
+    if (empty.length) {
+      Object.assign(row, { status: "invalid", message: `Missing ${empty.join(", ")}` });
+      continue;
+    }
+    if (seen.has(row.email)) {
+      Object.assign(row, { status: "duplicate", message: "Email appears earlier in the file" });
+      continue;
+    }
+    seen.add(row.email);
+
+    if (existing.has(row.email)) {
+      Object.assign(row, { status: "exists", message: "An account with this email already exists" });
+      continue;
+    }
+    if (NOT_IMPORTABLE.includes(row.role) || !(await isKnownRole(row.role))) {
+      Object.assign(row, { status: "invalid", message: `Role not allowed: ${row.role}` });
+      continue;
+    }
+
+    const aff = await resolveAffiliation({ college: row.college, department: row.department });
+    if (!aff.ok) {
+      Object.assign(row, { status: "invalid", message: aff.error });
+      continue;
+    }
+    row.fields = aff.fields;
+
+    // run the real schema (email domain, names, role …) without saving
+    try {
+      await new User({
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email: row.email,
+        role: row.role,
+        pinHash: "pending",
+        ...aff.fields,
+      }).validate();
+    } catch (err) {
+      const msg = err?.errors
+        ? Object.values(err.errors).map(e => e.message).join("; ")
+        : err.message;
+      Object.assign(row, { status: "invalid", message: msg });
+    }
+  }
+
+  return { rows: out };
+}
+
+/** Creates every 'ready' row (→ 'created' | 'exists' | 'failed') and emails the initial PIN. */
+async function commitUserImport(rows) {
+  const welcome = [];
+
+  for (const row of rows) {
+    if (row.status !== "ready") continue;
+
+    const pin = generatePin();
+    try {
+      const user = await User.create({
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email: row.email,
+        role: row.role,
+        pinHash: await bcrypt.hash(pin, 10),
+        ...row.fields,
+        verified: true, // same as create-user: the PIN is sent to this address
+      });
+      Object.assign(row, { status: "created", message: "", emailed: false });
+      welcome.push({ row, user, pin });
+    } catch (err) {
+      if (err?.code === 11000) {
+        Object.assign(row, { status: "exists", message: "An account with this email already exists" });
+      } else {
+        console.error("❌ Bulk create failed:", row.email, err?.message || err);
+        Object.assign(row, { status: "failed", message: err?.message || "Create failed" });
+      }
+    }
+  }
+
+  // a few at a time so a big batch doesn't trip the mail provider's limits
+  for (let i = 0; i < welcome.length; i += EMAIL_CONCURRENCY) {
+    await Promise.all(
+      welcome.slice(i, i + EMAIL_CONCURRENCY).map(async ({ row, user, pin }) => {
+        try {
+          await sendWelcomeEmail(user.email, { firstName: user.firstName, role: user.role, pin });
+          row.emailed = true;
+        } catch (err) {
+          row.message = "Account created but the welcome email failed — reset the PIN to resend";
+        }
+      })
+    );
+  }
+
+  return rows;
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length };
+  for (const r of rows) summary[r.status] = (summary[r.status] || 0) + 1;
+  return summary;
+}
+
+// Row shape for the JSON response / results file (no internal fields)
+const resultRow = (r) => Object.fromEntries(RESULT_COLUMNS.map(c => [c, r[c] ?? ""]));
+
+module.exports = {
+  MAX_ROWS,
+  RESULT_COLUMNS,
+  planUserImport,
+  commitUserImport,
+  summarize,
+  resultRow,
+};
@@ -0,0 +1,164 @@
+// utils/versions.js
+// Version history of Research records. Routes call ensureBaseline() before
+// changing a record (so records from before history keep their old state)
+// and recordVersion() after saving it.
+const fs = require("fs");
+const ResearchVersion = require("../models/ResearchVersion");
+const RevisionRequest = require("../models/RevisionRequest");
+const { resolveAbsPathFromDB } = require("./storage");
+const { versionText } = require("./revisionDiff");
+
+// metadata kept per version (and put back by a restore)
+const SNAPSHOT_FIELDS = [
+  "title", "abstract", "author", "adviser", "student", "coAuthors",
+  "keywords", "year", "category", "categories", "genreTags", "submissionType",
+];
+
+const plain = (v) => (Array.isArray(v) ? v.map(String) : v == null ? "" : String(v));
+
+function snapshotOf(r) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(f => [f, plain(r[f])]));
+}
+
+function fileOf(r) {
+  let size = null;
+  const abs = resolveAbsPathFromDB(r.filePath);
+  try { if (abs) size = fs.statSync(abs).size; } catch {}
+  return { path: r.filePath || "", name: r.fileName || "", type: r.fileType || "", size };
+}
+
+function changedFields(prev, next) {
+  const out = SNAPSHOT_FIELDS.filter(f => JSON.stringify(prev.snapshot?.[f] ?? "") !== JSON.stringify(next.snapshot[f]));
+  if ((prev.file?.path || "") !== next.file.path) out.unshift("file");
+  return out;
+}
+
+/** The review a change responds to: call before overwriting status / comment. */
+function reviewContext(r) {
+  const comment = String(r.facultyComment || "").trim();
+  return comment ? { comment, decision: r.status || "" } : null;
+}
+
+const latestVersion = (researchId, { session } = {}) =>
+  ResearchVersion.findOne({ research: researchId })
+    .sort({ number: -1 })
+    .select("+file.path")
+    .session(session || null)
+    .lean();
+
+/**
+ * Records the current state as version 1 when `r` has no history yet
+ * (records created before versioning, or by paths that don't record one).
+ */
+async function ensureBaseline(r, { session } = {}) {
+  if (await ResearchVersion.exists({ research: r._id }).session(session || null)) return null;
+  const [doc] = await ResearchVersion.create(
+    [
+      {
+        research: r._id,
+        number: 1,
+        kind: "created",
+        snapshot: snapshotOf(r),
+        file: fileOf(r),
+        by: { user: r.uploadedBy || null, email: r.student || r.author || "", role: r.uploaderRole || "" },
+        note: "State before version history was kept",
+        createdAt: r.updatedAt || r.createdAt || new Date(),
+      },
+    ],
+    { session }
+  );
+  return doc;
+}
+
+/**
+ * Appends the saved state of `r` as the next version. Returns null when
+ * nothing versioned changed (a restore is always recorded).
+ */
+async function recordVersion(r, req, { kind, answers = null, restoredFrom = null, note = "", session } = {}) {
+  const next = { snapshot: snapshotOf(r), file: fileOf(r) };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const last = await latestVersion(r._id, { session });
+    const changed = last ? changedFields(last, next) : [];
+    if (last && !changed.length && kind !== "restore") return null;
+
+    try {
+      const [doc] = await ResearchVersion.create(
+        [
+          {
+            research: r._id,
+            number: (last?.number || 0) + 1,
+            kind: kind || (!last ? "created" : changed.includes("file") ? "file" : "metadata"),
+            changedFields: changed,
+            ...next,
+            by: { user: req?.user?.id || null, email: req?.user?.email || "", role: req?.user?.role || "" },
+            answers: answers || undefined,
+            restoredFrom,
+            note: String(note || "").slice(0, 500),
+          },
+        ],
+        { session }
+      );
+      // new file: extract its text for revision diffs now rather than on the first compare
+      if (!session && doc.file.path && (!last || changed.includes("file"))) {
+        setImmediate(() => versionText(doc).catch(err => console.error("❌ Version text extraction failed:", err.message)));
+      }
+      return doc;
+    } catch (err) {
+      // two saves raced for the same number: recount once
+      if (err?.code !== 11000 || attempt) throw err;
+    }
+  }
+  return null;
+}
+
+/** Puts a past version's metadata and file back on the (mongoose) document `r`. */
+function applyVersion(r, version) {
+  for (const f of SNAPSHOT_FIELDS) {
+    if (version.snapshot?.[f] !== undefined) r[f] = version.snapshot[f];
+  }
+  if (version.file?.path) {
+    r.filePath = version.file.path;
+    r.fileName = version.file.name;
+    r.fileType = version.file.type || r.fileType;
+  }
+}
+
+/**
+ * Deletes a record's history (versions and revision requests). Returns the
+ * stored file paths it referenced (besides `keep`) so callers that remove the
+ * record's file can remove these too.
+ */
+async function purgeVersions(researchId, { keep = "", session } = {}) {
+  const versions = await ResearchVersion.find({ research: researchId })
+    .select("+file.path")
+    .session(session || null)
+    .lean();
+  await ResearchVersion.deleteMany({ research: researchId }, { session });
+  await RevisionRequest.deleteMany({ research: researchId }, { session });
+  return [...new Set(versions.map(v => v.file?.path).filter(p => p && p !== keep))];
+}
+
+const toPublicVersion = (v, { latest } = {}) => ({
+  number: v.number,
+  kind: v.kind,
+  changedFields: v.changedFields,
+  snapshot: v.snapshot,
+  file: { name: v.file?.name || "", type: v.file?.type || "", size: v.file?.size ?? null },
+  by: v.by,
+  answers: v.answers?.comment ? v.answers : null,
+  restoredFrom: v.restoredFrom,
+  note: v.note,
+  createdAt: v.createdAt,
+  current: latest === v.number,
+});
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  reviewContext,
+  ensureBaseline,
+  recordVersion,
+  applyVersion,
+  purgeVersions,
+  toPublicVersion,
+};
@@ -0,0 +1,323 @@
+// utils/workflow.js
+// Per-college approval workflow for FINAL submissions (models/Workflow.js).
+// After the adviser approves, the item walks the college's stages (panel,
+// chair, dean …) and only then becomes `source: "faculty-approved"`, i.e.
+// enters the staff publishing queue. Routes mutate the Research document
+// through these helpers and save it themselves.
+const Workflow = require("../models/Workflow");
+const { findCollege } = require("./colleges");
+const { sendSystemEmail, escapeHtml } = require("./mailer");
+
+const DECISIONS = ["approved", "rejected", "revision-requested"];
+const MAX_STAGES = 10;
+
+const asList = (v) => (Array.isArray(v) ? v : String(v || "").split(/[;,\n]/));
+const sameEmail = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/* =============================
+   Definitions
+============================= */
+
+/** Validates stage definitions from a request body. Returns `{ stages }` or `{ error }`. */
+function parseStages(input) {
+  if (!Array.isArray(input) || !input.length) return { error: "Add at least one stage" };
+  if (input.length > MAX_STAGES) return { error: `At most ${MAX_STAGES} stages` };
+
+  const stages = [];
+  for (const [i, s] of input.entries()) {
+    const name = String(s?.name || "").trim();
+    const key = String(s?.key || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32);
+    const approvers = [...new Set(asList(s?.approvers).map(e => String(e || "").trim().toLowerCase()).filter(Boolean))];
+    const mode = s?.mode === "sequential" ? "sequential" : "parallel";
+    const required = Number(s?.required || 0);
+
+    if (!name || !key) return { error: `Stage ${i + 1} needs a name` };
+    if (key === "adviser") return { error: `"adviser" is reserved for the adviser's own decision` };
+    if (stages.some(x => x.key === key)) return { error: `Duplicate stage key: ${key}` };
+    if (!approvers.length) return { error: `Stage "${name}" needs at least one approver` };
+    if (approvers.some(e => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e))) return { error: `Stage "${name}" has an invalid approver email` };
+    if (!Number.isInteger(required) || required < 0 || required > approvers.length) {
+      return { error: `Stage "${name}": required approvals must be between 0 (all) and ${approvers.length}` };
+    }
+    stages.push({ key, name, mode, approvers, required: mode === "sequential" ? 0 : required });
+  }
+  return { stages };
+}
+
+/** The active workflow of the college `research` belongs to, or null (drafts never have one). */
+async function workflowFor(research) {
+  if (research.submissionType !== "final") return null;
+  let collegeId = research.collegeId;
+  if (!collegeId && research.college) collegeId = (await findCollege(research.college, { includeInactive: true }))?._id;
+  if (!collegeId) return null;
+  return Workflow.findOne({ college: collegeId, active: true }).lean();
+}
+
+/* =============================
+   Runs
+============================= */
+const actor = (req) => ({ user: req.user?.id || null, email: req.user?.email || "" });
+
+const approvalsOf = (stage) => (stage.signoffs || []).filter(s => s.decision === "approved");
+const needed = (stage) => (stage.mode === "sequential" || !stage.required ? stage.approvers.length : stage.required);
+
+/** Whether `email` wrote, co-wrote or advises `research` (never signs it off). */
+const involvedIn = (research, email) =>
+  !!email &&
+  [research.author, research.student, research.adviser, ...(research.coAuthors || [])].some(e => sameEmail(e, email));
+
+/** Emails the active stage is waiting on (the next one in line for a sequential stage). */
+function awaitingApprovers(stage) {
+  if (!stage || stage.state !== "active") return [];
+  const signed = (stage.signoffs || []).map(s => s.email);
+  const open = stage.approvers.filter(e => !signed.some(x => sameEmail(x, e)));
+  return stage.mode === "sequential" ? open.slice(0, 1) : open;
+}
+
+/** Whether `email` signs any stage of the current / last run (they may open the file). */
+const isApprover = (research, email) =>
+  !!email && (research.workflow?.stages || []).some(s => (s.approvers || []).some(e => sameEmail(e, email)));
+
+function currentStage(research) {
+  const wf = research.workflow;
+  return wf?.state === "in-progress" ? wf.stages?.[wf.stage] || null : null;
+}
+
+function activate(research, index) {
+  const stage = research.workflow.stages[index];
+  research.workflow.stage = index;
+  stage.state = "active";
+  stage.startedAt = new Date();
+  research.stageHistory.push({ stage: stage.key, name: stage.name, action: "started", by: { user: null, email: "" } });
+  return stage;
+}
+
+/** Records a stage decision (the adviser's, or a manager's override) without running one. */
+function logDecision(req, research, { stage = "adviser", name = "Adviser", action, comment }) {
+  research.stageHistory.push({ stage, name, action, by: actor(req), comment: String(comment || "") });
+}
+
+// a run's stages leave out approvers who wrote, co-wrote or advise the item
+function runStages(research, definition) {
+  return definition.stages.map(s => {
+    const approvers = s.approvers.filter(e => !involvedIn(research, e));
+    return { key: s.key, name: s.name, mode: s.mode, approvers, required: Math.min(s.required || 0, approvers.length) };
+  });
+}
+
+/** Why `definition` can't run on `research` (a stage with nobody left to sign), or null. */
+function runConflict(research, definition) {
+  const empty = runStages(research, definition).find(s => !s.approvers.length);
+  return empty
+    ? `Every approver of the "${empty.name}" stage wrote, co-wrote or advises this submission; ask an administrator to add another`
+    : null;
+}
+
+/**
+ * Starts a new run of `definition` on `research` (status → in-workflow).
+ * Check runConflict() first. Returns the first stage; notify awaitingApprovers(stage).
+ */
+function startWorkflow(req, research, definition) {
+  research.workflow = {
+    definition: definition._id,
+    name: definition.name,
+    state: "in-progress",
+    stage: 0,
+    stages: runStages(research, definition).map(s => ({ ...s, state: "waiting", signoffs: [] })),
+    startedAt: new Date(),
+    completedAt: null,
+  };
+  research.status = "in-workflow";
+  return activate(research, 0);
+}
+
+/**
+ * Applies the signed-in approver's decision to the current stage.
+ * Returns `{ error, code }` or `{ outcome, stage, next, items }` where outcome is
+ * "waiting" (stage needs more sign-offs), "advanced" (next stage started),
+ * "completed" (item approved for publishing), "rejected" or "revision-requested"
+ * (`items`: the changes asked for by the approvers who did not approve).
+ *
+ * A parallel stage needing N of M approvals fails only once the approvers
+ * still to sign can no longer make up N; every other stage fails on the first
+ * decision that is not an approval.
+ */
+function signOff(req, research, { decision, comment, items = null }) {
+  if (!DECISIONS.includes(decision)) return { error: "Invalid decision", code: 400 };
+  const stage = currentStage(research);
+  if (!stage) return { error: "This submission is not awaiting sign-off", code: 409 };
+  if (involvedIn(research, req.user?.email)) {
+    return { error: "You can't sign off a submission you wrote, co-wrote or advise", code: 403 };
+  }
+  if (!awaitingApprovers(stage).some(e => sameEmail(e, req.user?.email))) {
+    const listed = stage.approvers.some(e => sameEmail(e, req.user?.email));
+    return {
+      error: listed ? "It is not your turn to sign this stage" : "You are not an approver of the current stage",
+      code: listed ? 409 : 403,
+    };
+  }
+
+  const now = new Date();
+  const text = String(comment || "").trim().slice(0, 5000);
+  stage.signoffs.push({
+    email: String(req.user.email).toLowerCase(),
+    user: req.user.id || null,
+    decision,
+    comment: text,
+    ...(items ? { items } : {}),
+    at: now,
+  });
+  research.stageHistory.push({ stage: stage.key, name: stage.name, action: decision, by: actor(req), comment: text, at: now });
+
+  const wf = research.workflow;
+  if (decision !== "approved") {
+    const stillPossible = approvalsOf(stage).length + awaitingApprovers(stage).length >= needed(stage);
+    if (stage.mode === "parallel" && stage.required && stillPossible) return { outcome: "waiting", stage };
+
+    // as for panels: revise unless most of the approvers against it reject
+    const against = stage.signoffs.filter(s => s.decision !== "approved");
+    const rejects = against.filter(s => s.decision === "rejected").length;
+    const outcome = rejects > against.length - rejects ? "rejected" : "revision-requested";
+    const comments = against.map(s => s.comment).filter(Boolean);
+    let requested = [...new Set(against.flatMap(s => s.items || []))];
+    if (!requested.length) requested = comments.length ? comments : [`Address the ${stage.name} stage's comments`];
+
+    stage.state = outcome === "rejected" ? "rejected" : "returned";
+    stage.completedAt = now;
+    wf.state = outcome === "rejected" ? "rejected" : "returned";
+    wf.completedAt = now;
+    research.status = outcome;
+    research.facultyComment = comments.join("\n\n");
+    return { outcome, stage, items: requested };
+  }
+
+  if (approvalsOf(stage).length < needed(stage)) return { outcome: "waiting", stage };
+
+  stage.state = "approved";
+  stage.completedAt = now;
+  research.stageHistory.push({ stage: stage.key, name: stage.name, action: "stage-completed", by: { user: null, email: "" }, at: now });
+
+  if (wf.stage + 1 < wf.stages.length) {
+    return { outcome: "advanced", stage, next: activate(research, wf.stage + 1) };
+  }
+
+  wf.state = "completed";
+  wf.completedAt = now;
+  research.status = "approved";
+  research.source = "faculty-approved";
+  research.stageHistory.push({ stage: "", name: wf.name, action: "completed", by: { user: null, email: "" }, at: now });
+  return { outcome: "completed", stage };
+}
+
+/**
+ * Update that stops the run of `research` (a plain record) when staff
+ * override its status directly; null when no run is under way.
+ */
+function cancelUpdate(req, research, comment = "") {
+  const stage = currentStage(research);
+  if (!stage) return null;
+  return {
+    $set: {
+      "workflow.state": "cancelled",
+      "workflow.completedAt": new Date(),
+      [`workflow.stages.${research.workflow.stage}.state`]: "waiting",
+    },
+    $push: { stageHistory: { stage: stage.key, name: stage.name, action: "cancelled", by: actor(req), comment, at: new Date() } },
+  };
+}
+
+/* =============================
+   Notifications
+============================= */
+function mailEach(recipients, research, subject, body) {
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <p><b>Title:</b> ${escapeHtml(research.title)}</p>
+      ${body}
+    </div>
+  `;
+  for (const to of [...new Set(recipients.filter(Boolean).map(e => String(e).toLowerCase()))]) {
+    sendSystemEmail({ to, subject, html, institution: research.institution })
+      .catch(err => console.error("❌ Workflow email failed:", err?.message || err));
+  }
+}
+
+/** Tells the approvers a stage is waiting on them (the next in line for sequential stages). */
+function notifyApprovers(research, stage) {
+  mailEach(awaitingApprovers(stage), research, `Sign-off requested (${stage.name}): ${research.title}`, `
+    <p>A final submission is waiting for your sign-off as part of the ${escapeHtml(stage.name)} stage.</p>
+    <p><b>Author:</b> ${escapeHtml(research.author)}</p>
+    <p>Open your approvals inbox to approve, reject or request revisions.</p>
+  `);
+}
+
+/** Tells the author (and adviser) how the run ended; staff learn about completed items. */
+function notifyOutcome(research, { outcome, stage }) {
+  const author = research.student || research.author;
+  const comment = research.facultyComment
+    ? `<p><b>Feedback:</b><br/>${escapeHtml(research.facultyComment).replace(/\n/g, "<br/>")}</p>`
+    : "";
+
+  if (outcome === "completed") {
+    const staff = String(process.env.STAFF_PUBLISH_EMAILS || "").split(",").map(s => s.trim());
+    mailEach([author, research.adviser, ...staff], research, `Final Approved for Publishing: ${research.title}`, `
+      <p>Every stage of the ${escapeHtml(research.workflow.name)} signed off. The submission is ready for publishing.</p>
+    `);
+  } else if (outcome === "rejected" || outcome === "revision-requested") {
+    const what = outcome === "rejected" ? "rejected" : "returned for revision";
+    mailEach([author, research.adviser], research, `Submission ${outcome === "rejected" ? "Rejected" : "Needs Revision"} (${stage.name}): ${research.title}`, `
+      <p>The submission was ${what} at the ${escapeHtml(stage.name)} stage.</p>
+      ${comment}
+    `);
+  }
+}
+
+/* =============================
+   Output
+============================= */
+function toPublicWorkflow(research) {
+  const wf = research.workflow;
+  return {
+    workflow: wf?.state
+      ? {
+          name: wf.name,
+          state: wf.state,
+          stage: wf.stage,
+          startedAt: wf.startedAt,
+          completedAt: wf.completedAt,
+          stages: (wf.stages || []).map(s => ({
+            key: s.key,
+            name: s.name,
+            mode: s.mode,
+            approvers: s.approvers,
+            required: needed(s),
+            approvals: approvalsOf(s).length,
+            state: s.state,
+            awaiting: awaitingApprovers(s),
+            signoffs: s.signoffs,
+            startedAt: s.startedAt,
+            completedAt: s.completedAt,
+          })),
+        }
+      : null,
+    history: research.stageHistory || [],
+  };
+}
+
+module.exports = {
+  DECISIONS,
+  parseStages,
+  workflowFor,
+  awaitingApprovers,
+  involvedIn,
+  isApprover,
+  currentStage,
+  runConflict,
+  startWorkflow,
+  logDecision,
+  signOff,
+  cancelUpdate,
+  notifyApprovers,
+  notifyOutcome,
+  toPublicWorkflow,
+};
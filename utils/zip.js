@@ -0,0 +1,119 @@
+// utils/zip.js
+// Minimal streaming ZIP writer (deflate, no ZIP64 — archives stay < 4 GB).
+// Entries are written one after another, then the central directory:
+//
+//   const zip = createZip(res);
+//   await zip.addFile("profile.json", JSON.stringify(data));
+//   await zip.addPath("files/thesis.pdf", absPath);
+//   await zip.finish();
+const fs = require("fs");
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers
+function dosDateTime(d = new Date()) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// "../x" or "/etc/x" never end up in an archive path
+const safeName = (name) =>
+  String(name)
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter(p => p && p !== "." && p !== "..")
+    .join("/");
+
+/** Starts an archive on `out` (any writable stream, e.g. an Express response). */
+function createZip(out) {
+  const entries = [];
+  let offset = 0;
+
+  const write = (buf) =>
+    new Promise((resolve, reject) => {
+      offset += buf.length;
+      out.write(buf, (err) => (err ? reject(err) : resolve()));
+    });
+
+  async function addFile(name, content, { date = new Date() } = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+    const packed = await deflateRaw(data);
+    const nameBuf = Buffer.from(safeName(name), "utf8");
+    const { time, date: dosDate } = dosDateTime(date);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);         // version needed
+    header.writeUInt16LE(0x0800, 6);     // UTF-8 names
+    header.writeUInt16LE(8, 8);          // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(packed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push({ nameBuf, crc, time, dosDate, compressed: packed.length, size: data.length, offset });
+    await write(header);
+    await write(nameBuf);
+    await write(packed);
+  }
+
+  async function addPath(name, absPath) {
+    const [data, stat] = await Promise.all([fs.promises.readFile(absPath), fs.promises.stat(absPath)]);
+    return addFile(name, data, { date: stat.mtime });
+  }
+
+  async function finish() {
+    const start = offset;
+    for (const e of entries) {
+      const cd = Buffer.alloc(46);
+      cd.writeUInt32LE(0x02014b50, 0);
+      cd.writeUInt16LE(20, 4);           // version made by
+      cd.writeUInt16LE(20, 6);           // version needed
+      cd.writeUInt16LE(0x0800, 8);
+      cd.writeUInt16LE(8, 10);
+      cd.writeUInt16LE(e.time, 12);
+      cd.writeUInt16LE(e.dosDate, 14);
+      cd.writeUInt32LE(e.crc, 16);
+      cd.writeUInt32LE(e.compressed, 20);
+      cd.writeUInt32LE(e.size, 24);
+      cd.writeUInt16LE(e.nameBuf.length, 28);
+      // extra, comment, disk, internal attrs = 0
+      cd.writeUInt32LE(0, 38);           // external attrs
+      cd.writeUInt32LE(e.offset, 42);
+      await write(cd);
+      await write(e.nameBuf);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+    out.end();
+  }
+
+  return { addFile, addPath, finish };
+}
+
+module.exports = { createZip, crc32 };